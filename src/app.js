@@ -0,0 +1,137 @@
+/**
+ * The Express app: chart routes from the registry, /api/charts, /api/openapi.json, /api/locations and the admin
+ * routes. Configuration is read from the environment when modules load; src/index.js loads .env and starts listening,
+ * and tests import the app directly.
+ */
+
+import crypto from "crypto";
+import express from "express";
+import { UpstreamError } from "./services/httpClient.js";
+import { getCache, locationTag } from "./services/cache.js";
+import { ENDPOINT_COSTS, getUsage, limitRequests } from "./services/rateLimit.js";
+import { getProvider } from "./providers/index.js";
+import {
+  buildOpenApiDocument,
+  chartRoute,
+  describeCharts,
+  getCharts,
+  LOCATION_SEARCH,
+  parseParams,
+  ValidationError,
+} from "./charts/index.js";
+
+export const app = express();
+
+// Behind a load balancer / ingress, per-IP rate limits need the client address from X-Forwarded-For:
+// TRUST_PROXY=true trusts every proxy, a number trusts that many hops, or list the proxies' addresses / subnets
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set("trust proxy", trust === "true" ? true : /^\d+$/.test(trust) ? Number(trust) : trust);
+}
+
+// Initialize cache at startup to avoid async overhead on first request
+let cacheReady = false;
+getCache().then(() => {
+  cacheReady = true;
+  console.log("Cache initialized and ready");
+}).catch(err => {
+  console.error(`Cache initialization error: ${err.message}`);
+});
+
+// Chart routes, one per registered chart (see src/charts): GET /api/weather-image?city=London ...
+for (const chart of getCharts()) {
+  app.get(`/api/${chart.name}`, limitRequests(chart.cost), chartRoute(chart));
+}
+
+// GET /api/charts  -> every chart route with its parameters (types, defaults, limits) and example queries
+app.get("/api/charts", (req, res) => {
+  res.json({ charts: describeCharts() });
+});
+
+// GET /api/openapi.json  -> OpenAPI 3 description of every route, generated from the same specs requests are validated against
+app.get("/api/openapi.json", (req, res) => {
+  res.json(buildOpenApiDocument());
+});
+
+// GET /api/locations?q=Paris  -> ranked candidate places; pass a result's id as location_id to any chart route
+// GET /api/locations?q=Cambridge&country=US&count=5  (country: ISO code or name; admin1: state / region)
+// GET /api/locations?q=Heathrow&source=csv  -> stations of the local CSV source
+app.get("/api/locations", limitRequests(ENDPOINT_COSTS.search), async (req, res) => {
+  try {
+    const { q: query, country, admin1, count, source } = parseParams(LOCATION_SEARCH.params, req.query);
+    const results = await getProvider(source).searchLocations(query, { country, admin1, count });
+    res.json({ query, results });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return res.status(400).json(err.toJSON());
+    }
+    if (err instanceof UpstreamError && err.unavailable) {
+      console.error(`[UPSTREAM] locations: ${err.message}`);
+      if (err.retryAfterSeconds != null) res.set("Retry-After", String(Math.ceil(err.retryAfterSeconds)));
+      return res.status(503).json({ error: err.message });
+    }
+    console.error(err);
+    res.status(500).json({
+      error: err.message || "Failed to search locations",
+    });
+  }
+});
+
+/**
+ * Admin auth: requires ADMIN_API_TOKEN as a bearer token. Admin routes are disabled (404) when it is unset.
+ */
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  const header = req.get("Authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  const a = Buffer.from(token);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ error: "Invalid or missing admin token" });
+  }
+  next();
+}
+
+// DELETE /api/admin/cache?key=<X-Cache-Key>          -> purge one entry (all formats)
+// DELETE /api/admin/cache?endpoint=weather-year-image -> purge every entry for an endpoint
+// DELETE /api/admin/cache?city=Paris&country=US  or  ?location_id=4717560  or  ?lat=51.5&lon=-0.1  (optionally combined with endpoint)
+// DELETE /api/admin/cache?all=true                   -> purge everything
+// Applies to the in-memory cache and the persistent backend (filesystem or Azure Blob).
+app.delete("/api/admin/cache", requireAdmin, async (req, res) => {
+  try {
+    const { key, endpoint, city, country, admin1, location_id, lat, lon, all } = req.query;
+    const filter = {
+      key: key || undefined,
+      endpoint: endpoint || undefined,
+      location: locationTag({ id: location_id, city, country, admin1, lat, lon }) || undefined,
+      all: ["true", "1", "yes"].includes(String(all).toLowerCase()),
+    };
+    if (!filter.key && !filter.endpoint && !filter.location && !filter.all) {
+      return res.status(400).json({
+        error: "Provide one of: key, endpoint, city, location_id, lat and lon, or all=true",
+      });
+    }
+
+    const cache = await getCache();
+    const purged = await cache.purge(filter);
+    console.log(`[CACHE PURGE] ${JSON.stringify(filter)}: ${purged.memory} in memory, ${purged.storage} in storage`);
+    res.json({ purged, filter });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      error: err.message || "Failed to purge cache",
+    });
+  }
+});
+
+// GET /api/admin/usage  -> requests, points and rate-limit rejections per API key and per IP since startup
+app.get("/api/admin/usage", requireAdmin, (req, res) => {
+  res.json(getUsage());
+});
+
+app.get("/health", (req, res) => {
+  res.json({ ok: true });
+});
@@ -0,0 +1,42 @@
+/**
+ * Calendar heatmap: a year as weeks × weekdays (a GitHub contribution grid), each day coloured by one daily metric.
+ * A compact alternative to the 24-column year heatmaps for dashboard tiles.
+ */
+
+import { CALENDAR_METRICS, buildCalendarHeatmapSvg } from "../services/chart.js";
+import { ENDPOINT_COSTS } from "../services/rateLimit.js";
+import { buildCalendarTable } from "../services/tables.js";
+import { OUTPUT, PALETTE, PLACE, SOURCE, THEME, YEAR, unitsFor } from "./params.js";
+
+export default {
+  name: "calendar-image",
+  title: "Calendar heatmap",
+  description: "One cell per day of a year, weeks across and weekdays down, coloured by a daily temperature or rainfall metric",
+  examples: [
+    "?city=London&year=2024",
+    "?city=London&year=2024&metric=rainfall",
+    "?city=London&metric=rain-hours&cell_size=16&theme=dark",
+  ],
+  cost: ENDPOINT_COSTS.yearHeatmap,
+  params: [
+    PLACE,
+    SOURCE,
+    YEAR,
+    {
+      name: "metric",
+      type: "enum",
+      values: Object.keys(CALENDAR_METRICS),
+      default: "max-temp",
+      description: "What to colour the days by: daily max, min or mean temperature, total rainfall, or hours with rain",
+    },
+    { name: "cell_size", type: "integer", min: 4, max: 40, default: 12, hint: "(pixels per day)", visual: true, description: "Size of each day's square" },
+    { name: "show_labels", type: "boolean", default: true, visual: true, description: "Hover labels on each day" },
+    unitsFor("temperature", "precipitation"),
+    THEME,
+    PALETTE,
+    OUTPUT,
+  ],
+  svg: ({ data }, { year, metric, cell_size, show_labels, units, theme, palette }) =>
+    buildCalendarHeatmapSvg(data, { year, metric, cellSize: cell_size, showTooltips: show_labels, units, theme, palette }),
+  table: ({ data }, { metric, units }) => buildCalendarTable(data, { metric, units }),
+};
@@ -0,0 +1,34 @@
+/**
+ * Comparison of 2–6 locations: daily max / min temperature or rainfall, one colour per location.
+ * city, location_id and coords can be mixed; locations are drawn in that order (cities, then ids, then coords).
+ */
+
+import { buildComparisonChartSvg } from "../services/chart.js";
+import { ENDPOINT_COSTS } from "../services/rateLimit.js";
+import { buildComparisonTable } from "../services/tables.js";
+import { CANVAS, COMPARE_PLACES, OUTPUT, SOURCE, THEME, dateRange, unitsFor } from "./params.js";
+
+export default {
+  name: "compare-image",
+  title: "Comparison chart",
+  description: "Daily temperature or rainfall for 2–6 locations (default: last 7 days, ~5-day archive delay)",
+  examples: [
+    "?city=London&city=Paris",
+    "?coords=51.5,-0.1&coords=48.85,2.35&metric=rainfall&start_date=2025-01-01&end_date=2025-01-31",
+    "?location_id=2988507&location_id=4717560",
+  ],
+  cost: ENDPOINT_COSTS.compare,
+  params: [
+    COMPARE_PLACES,
+    SOURCE,
+    dateRange(),
+    { name: "metric", type: "enum", values: ["temperature", "rainfall"], default: "temperature", description: "What to compare" },
+    unitsFor("temperature", "precipitation"),
+    THEME,
+    OUTPUT,
+    CANVAS,
+  ],
+  svg: ({ locations }, { metric, units, theme, width, height }) =>
+    buildComparisonChartSvg(locations, { metric, units, theme, width, height }),
+  table: ({ locations }, { metric, units }) => buildComparisonTable(locations, { metric, units }),
+};
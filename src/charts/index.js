@@ -0,0 +1,24 @@
+/**
+ * Every chart the API serves. To add one, write its definition module (see registry.js) and register it here.
+ */
+
+import { registerChart } from "./registry.js";
+import weather from "./weather.js";
+import rainfall from "./rainfall.js";
+import rainfallYear from "./rainfallYear.js";
+import weatherYear from "./weatherYear.js";
+import calendar from "./calendar.js";
+import windRose from "./windRose.js";
+import wind from "./wind.js";
+import compare from "./compare.js";
+import stripes from "./stripes.js";
+import multiYear from "./multiYear.js";
+
+for (const chart of [weather, rainfall, rainfallYear, weatherYear, calendar, windRose, wind, compare, stripes, multiYear]) {
+  registerChart(chart);
+}
+
+export { describeCharts, getCharts } from "./registry.js";
+export { chartRoute } from "./pipeline.js";
+export { buildOpenApiDocument } from "./openapi.js";
+export { LOCATION_SEARCH, ValidationError, parseParams } from "./params.js";
@@ -0,0 +1,48 @@
+/**
+ * Multi-year heatmap: one row per year, one column per day of the year, coloured by daily mean temperature or
+ * rainfall. Built from decades of daily history (services/history.js) rather than one period's weather.
+ */
+
+import { buildMultiYearHeatmapSvg } from "../services/chart.js";
+import { getDailyHistory } from "../services/history.js";
+import { ENDPOINT_COSTS } from "../services/rateLimit.js";
+import { buildDailyHistoryTable } from "../services/tables.js";
+import { OUTPUT, PALETTE, PLACE, SOURCE, THEME, unitsFor, yearRange } from "./params.js";
+
+export default {
+  name: "multi-year-image",
+  title: "Multi-year heatmap",
+  description: "Daily mean temperature or rainfall, one row per year (default: the last 30 years)",
+  examples: [
+    "?city=London",
+    "?city=London&from=1940&metric=rainfall&cell_height=4",
+    "?city=London&scale=diverging&domain=auto",
+  ],
+  cost: ENDPOINT_COSTS.history,
+  params: [
+    PLACE,
+    SOURCE,
+    yearRange({ defaultYears: 30 }),
+    { name: "metric", type: "enum", values: ["temperature", "rainfall"], default: "temperature", description: "What to colour the days by" },
+    { name: "cell_width", type: "integer", min: 1, max: 8, default: 2, hint: "(pixels per day)", visual: true, description: "Pixels per day, across" },
+    { name: "cell_height", type: "integer", min: 1, max: 32, default: 8, hint: "(pixels per year)", visual: true, description: "Pixels per year, down" },
+    { name: "show_labels", type: "boolean", default: false, visual: true, description: "Hover labels on each day (large SVGs)" },
+    unitsFor("temperature", "precipitation"),
+    THEME,
+    PALETTE,
+    OUTPUT,
+  ],
+  loadData: async (location, { provider, fromYear, toYear, units }) =>
+    getDailyHistory(provider, await provider.locate(location), fromYear, toYear, units),
+  svg: ({ data }, { metric, cell_width, cell_height, show_labels, units, theme, palette }) =>
+    buildMultiYearHeatmapSvg(data, {
+      metric,
+      cellWidth: cell_width,
+      cellHeight: cell_height,
+      showTooltips: show_labels,
+      units,
+      theme,
+      palette,
+    }),
+  table: ({ data }, { metric, units }) => buildDailyHistoryTable(data, { metric, units }),
+};
@@ -0,0 +1,222 @@
+/**
+ * OpenAPI 3 document for GET /api/openapi.json, generated from the chart registry and the parameter specs the
+ * routes validate against, so the document and the validation cannot drift apart.
+ * Built per request: some defaults and limits move with the date (the default and latest year).
+ */
+
+import fs from "fs";
+import { getFormatInfo } from "../services/cache.js";
+import { NOT_FOUND_CODES } from "../services/errors.js";
+import { getCharts } from "./registry.js";
+import { LOCATION_SEARCH, OUTPUT_FORMATS, VALIDATION_CODES, openApiParameter } from "./params.js";
+
+const { version } = JSON.parse(fs.readFileSync(new URL("../../package.json", import.meta.url), "utf8"));
+
+// API keys are optional unless API_KEYS_REQUIRED is set ({} = no key)
+const API_KEY_SECURITY = [{}, { apiKeyHeader: [] }, { apiKeyQuery: [] }];
+const ADMIN_SECURITY = [{ adminToken: [] }];
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+});
+
+const jsonResponse = (description, schema = { type: "object" }) => ({
+  description,
+  content: { "application/json": { schema } },
+});
+
+// Responses every rate-limited route can return besides its own
+const LIMITED_RESPONSES = {
+  400: { $ref: "#/components/responses/BadRequest" },
+  401: errorResponse("Unknown API key, or none sent while keys are required"),
+  429: errorResponse("Rate limit exceeded; see the Retry-After header"),
+  503: errorResponse("Upstream weather service unavailable (and nothing cached to fall back on); see the Retry-After header when set"),
+};
+
+function chartOperation(chart) {
+  const formats = chart.specs.find((spec) => spec.name === "format")?.values ?? OUTPUT_FORMATS;
+  const content = Object.fromEntries(
+    formats.map((format) => [getFormatInfo(format).contentType.split(";")[0], { schema: { type: "string", format: "binary" } }])
+  );
+  return {
+    get: {
+      operationId: chart.name.replace(/-(\w)/g, (_, c) => c.toUpperCase()),
+      tags: ["charts"],
+      summary: chart.title,
+      description: `${chart.description}. Costs ${chart.cost} rate-limit point(s).`,
+      "x-rate-limit-cost": chart.cost,
+      security: API_KEY_SECURITY,
+      parameters: chart.specs.map(openApiParameter),
+      responses: {
+        200: {
+          description: "The chart in the requested format, or the data behind it for json / csv",
+          headers: {
+            "X-Cache-Key": { description: "Cache entry key (for DELETE /api/admin/cache)", schema: { type: "string" } },
+            "X-Cache-Stale": {
+              description: "\"true\" when upstream was unavailable and an expired cached response was served instead",
+              schema: { type: "string", enum: ["true"] },
+            },
+          },
+          content,
+        },
+        ...LIMITED_RESPONSES,
+        404: { $ref: "#/components/responses/NotFound" },
+        500: errorResponse("Upstream weather data or rendering failed"),
+      },
+    },
+  };
+}
+
+/**
+ * The OpenAPI document for every route of this app.
+ */
+export function buildOpenApiDocument() {
+  const paths = {};
+  for (const chart of getCharts()) {
+    paths[`/api/${chart.name}`] = chartOperation(chart);
+  }
+
+  paths["/api/locations"] = {
+    get: {
+      operationId: "searchLocations",
+      tags: ["locations"],
+      summary: "Search places by name",
+      description: "Candidate places, best match first; pass a result's id as location_id to any chart route.",
+      security: API_KEY_SECURITY,
+      parameters: LOCATION_SEARCH.params.map(openApiParameter),
+      responses: {
+        200: jsonResponse("Matching places", {
+          type: "object",
+          properties: {
+            query: { type: "string" },
+            results: { type: "array", items: { $ref: "#/components/schemas/Place" } },
+          },
+        }),
+        ...LIMITED_RESPONSES,
+        500: errorResponse("Geocoding failed"),
+      },
+    },
+  };
+  paths["/api/charts"] = {
+    get: {
+      operationId: "listCharts",
+      tags: ["meta"],
+      summary: "Chart routes and their parameters",
+      responses: { 200: jsonResponse("Every registered chart") },
+    },
+  };
+  paths["/api/openapi.json"] = {
+    get: {
+      operationId: "getOpenApiDocument",
+      tags: ["meta"],
+      summary: "This document",
+      responses: { 200: jsonResponse("OpenAPI 3 document") },
+    },
+  };
+  paths["/api/admin/cache"] = {
+    delete: {
+      operationId: "purgeCache",
+      tags: ["admin"],
+      summary: "Purge cached responses by key, endpoint or location, or all of them",
+      description: "Disabled (404) unless ADMIN_API_TOKEN is set.",
+      security: ADMIN_SECURITY,
+      parameters: [
+        { name: "key", in: "query", description: "An X-Cache-Key value", schema: { type: "string" } },
+        { name: "endpoint", in: "query", description: "Chart route name, e.g. weather-year-image", schema: { type: "string", enum: getCharts().map((c) => c.name) } },
+        { name: "city", in: "query", description: "Entries requested by this name, with the same country / admin1 (if any)", schema: { type: "string" } },
+        { name: "country", in: "query", schema: { type: "string" } },
+        { name: "admin1", in: "query", schema: { type: "string" } },
+        { name: "location_id", in: "query", description: "Entries for this place, requested by id or by a name that resolved to it", schema: { type: "integer" } },
+        { name: "lat", in: "query", schema: { type: "number" } },
+        { name: "lon", in: "query", schema: { type: "number" } },
+        { name: "all", in: "query", schema: { type: "boolean" } },
+      ],
+      responses: {
+        200: jsonResponse("Entries purged from memory and storage"),
+        400: errorResponse("No filter given"),
+        401: errorResponse("Invalid or missing admin token"),
+      },
+    },
+  };
+  paths["/api/admin/usage"] = {
+    get: {
+      operationId: "getUsage",
+      tags: ["admin"],
+      summary: "Requests, points and rate-limit rejections per API key and IP since startup",
+      description: "Disabled (404) unless ADMIN_API_TOKEN is set.",
+      security: ADMIN_SECURITY,
+      responses: {
+        200: jsonResponse("Usage counters"),
+        401: errorResponse("Invalid or missing admin token"),
+      },
+    },
+  };
+  paths["/health"] = {
+    get: {
+      operationId: "health",
+      tags: ["meta"],
+      summary: "Health check",
+      responses: { 200: jsonResponse("Always { ok: true }") },
+    },
+  };
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Weather Images API",
+      version,
+      description: "Weather charts as images (or their data as JSON / CSV) from Open-Meteo historical and forecast data.",
+    },
+    paths,
+    components: {
+      schemas: {
+        Error: {
+          type: "object",
+          required: ["error"],
+          properties: {
+            error: { type: "string", description: "Human-readable message" },
+            code: {
+              type: "string",
+              enum: [...Object.keys(VALIDATION_CODES), ...Object.keys(NOT_FOUND_CODES)],
+              description: "On 400 and 404 responses: what was wrong",
+            },
+            param: { type: "string", nullable: true, description: "On 400 and 404 responses: the offending query parameter" },
+          },
+        },
+        Place: {
+          type: "object",
+          properties: {
+            id: { type: "integer" },
+            name: { type: "string" },
+            fullName: { type: "string" },
+            admin1: { type: "string", nullable: true },
+            country: { type: "string", nullable: true },
+            countryCode: { type: "string", nullable: true },
+            latitude: { type: "number" },
+            longitude: { type: "number" },
+            timezone: { type: "string" },
+            population: { type: "integer", nullable: true },
+          },
+        },
+      },
+      responses: {
+        BadRequest: errorResponse(
+          `Invalid query. code is one of:\n${Object.entries(VALIDATION_CODES)
+            .map(([code, meaning]) => `- ${code}: ${meaning}`)
+            .join("\n")}`
+        ),
+        NotFound: errorResponse(
+          `Nothing matches the query. code is one of:\n${Object.entries(NOT_FOUND_CODES)
+            .map(([code, meaning]) => `- ${code}: ${meaning}`)
+            .join("\n")}`
+        ),
+      },
+      securitySchemes: {
+        apiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" },
+        apiKeyQuery: { type: "apiKey", in: "query", name: "api_key" },
+        adminToken: { type: "http", scheme: "bearer", description: "ADMIN_API_TOKEN" },
+      },
+    },
+  };
+}
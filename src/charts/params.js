@@ -0,0 +1,601 @@
+/**
+ * Query parameters of the chart routes: the parameter types, and the shared parameter sets chart definitions
+ * are assembled from (place, period, units, theme, output format, canvas size ...).
+ *
+ * A parameter spec is { name, type, description, required, default, min, max, minLength, values, hint, rangeCode,
+ * repeated, visual, key }:
+ * - type is one of PARAM_TYPES; default, min and max may be functions, evaluated per request (e.g. the current year)
+ * - hint is appended to the validation error, e.g. "(px)"; rangeCode replaces INVALID_PARAMETER for values out of range
+ * - repeated parameters may be given several times and parse to a list
+ * - visual parameters only change the image, so json / csv exports share one cache entry whatever their value
+ * - key: false leaves the parsed value out of the cache key (the set's cacheKey() adds a normalised form instead)
+ *
+ * A parameter set is { params, resolve(ctx), cacheKey(ctx) }: resolve derives request values from the parsed
+ * parameters (resolved units, the locations to fetch ...) and throws a ValidationError to reject the request;
+ * cacheKey returns cache key fields for what its parameters resolved to.
+ * The same specs generate the OpenAPI document (see openapi.js).
+ */
+
+import { DAILY_CHART_SIZE, DAYLIGHT_MODES } from "../services/chart.js";
+import { DEFAULT_PALETTE, PALETTES, SCALE_DOMAINS, describeColorScale, resolveColorScale } from "../services/colorScales.js";
+import { DEFAULT_BASELINE, parseBaselinePeriod } from "../services/baseline.js";
+import { addDays, daysBetween, today } from "../services/dates.js";
+import { FORMAT_ALIASES, IMAGE_FORMATS, isRasterFormat, resolveQuality } from "../services/imageFormats.js";
+import { TABLE_FORMATS, isTableFormat } from "../services/tables.js";
+import { DEFAULT_THEME, THEMES } from "../services/themes.js";
+import {
+  PRECIPITATION_UNITS,
+  TEMPERATURE_UNITS,
+  UNIT_SYSTEMS,
+  WIND_SPEED_UNITS,
+  resolveUnits,
+} from "../services/units.js";
+import { MAX_FORECAST_DAYS, MAX_LOCATION_RESULTS, getDefaultDateRange } from "../services/weather.js";
+import { DEFAULT_SOURCE, getProvider, getProviders } from "../providers/index.js";
+
+// Images (see imageFormats.js), or the data behind them (see tables.js)
+export const OUTPUT_FORMATS = [...IMAGE_FORMATS, ...TABLE_FORMATS];
+export const MAX_COMPARE_LOCATIONS = 6;
+// Longest start_date–end_date span of the daily routes (a year, leap or not)
+export const MAX_RANGE_DAYS = 366;
+const FIRST_ARCHIVE_DATE = "1940-01-01";
+const FIRST_ARCHIVE_YEAR = 1940;
+// Read by the rate limiter (rateLimit.js), so accepted on every route
+const SHARED_QUERY_PARAMS = ["api_key"];
+// Not ours but common on embedded image URLs: cache-busters (v, _, cb) and analytics tags (utm_*, click ids).
+// Ignored rather than rejected, and left out of cache keys
+const IGNORED_QUERY_PARAMS = /^(?:v|_|cb|utm_\w+|fbclid|gclid|msclkid|mc_cid|mc_eid)$/;
+
+// Machine-readable `code` of 400 responses, with what it means
+export const VALIDATION_CODES = {
+  INVALID_PARAMETER: "A value is malformed, out of range or not one of the allowed values",
+  MISSING_PARAMETER: "A required parameter is missing",
+  UNKNOWN_PARAMETER: "The route has no parameter of that name",
+  DUPLICATE_PARAMETER: "A single-valued parameter is given more than once",
+  LOCATION_COUNT: "Too few or too many locations to compare",
+  INVALID_DATE: "A date is not a real yyyy-mm-dd date",
+  END_BEFORE_START: "end_date is before start_date, or to before from",
+  RANGE_TOO_LONG: `The date range is longer than ${MAX_RANGE_DAYS} days`,
+  OUT_OF_ARCHIVE_WINDOW: `A date or year is outside the data available (${FIRST_ARCHIVE_DATE} to the end of the forecast)`,
+};
+
+/**
+ * A rejected request (400): code is one of VALIDATION_CODES, param the offending query parameter if there is one.
+ */
+export class ValidationError extends Error {
+  constructor(code, message, param = null) {
+    super(message);
+    this.name = "ValidationError";
+    this.code = code;
+    this.param = param;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, param: this.param };
+  }
+}
+
+/**
+ * Run a service's own parser (units, colour scales, baselines ...), reporting its errors as INVALID_PARAMETER.
+ */
+function asValidation(param, parse) {
+  try {
+    return parse();
+  } catch (err) {
+    throw new ValidationError("INVALID_PARAMETER", err.message, param);
+  }
+}
+
+const TRUE_VALUES = ["true", "1", "yes"];
+const FALSE_VALUES = ["false", "0", "no"];
+
+const evaluate = (value) => (typeof value === "function" ? value() : value);
+
+function rangeText(spec) {
+  const min = evaluate(spec.min);
+  const max = evaluate(spec.max);
+  if (min != null && max != null) return ` between ${min} and ${max}`;
+  if (min != null) return ` of at least ${min}`;
+  if (max != null) return ` of at most ${max}`;
+  return "";
+}
+
+function inRange(n, spec) {
+  const min = evaluate(spec.min);
+  const max = evaluate(spec.max);
+  return (min == null || n >= min) && (max == null || n <= max);
+}
+
+function invalid(spec, expected, code = "INVALID_PARAMETER") {
+  return new ValidationError(code, `${spec.name} must be ${expected}${spec.hint ? ` ${spec.hint}` : ""}`, spec.name);
+}
+
+// Parse one (trimmed, non-empty) query value; throw a ValidationError for the 400 response
+export const PARAM_TYPES = {
+  string(text, spec) {
+    if (spec.minLength && text.length < spec.minLength) throw invalid(spec, `at least ${spec.minLength} characters`);
+    return text;
+  },
+  integer(text, spec) {
+    const n = Number(text);
+    if (!Number.isInteger(n)) throw invalid(spec, `an integer${rangeText(spec)}`);
+    if (!inRange(n, spec)) throw invalid(spec, `an integer${rangeText(spec)}`, spec.rangeCode);
+    return n;
+  },
+  number(text, spec) {
+    // suffix: an optional unit the value may carry, e.g. "x" for a pixel density of "2x"
+    const n = Number(spec.suffix ? text.replace(new RegExp(`${spec.suffix}$`, "i"), "") : text);
+    if (!Number.isFinite(n)) throw invalid(spec, `a number${rangeText(spec)}`);
+    if (!inRange(n, spec)) throw invalid(spec, `a number${rangeText(spec)}`, spec.rangeCode);
+    return n;
+  },
+  boolean(text, spec) {
+    const value = text.toLowerCase();
+    if (TRUE_VALUES.includes(value)) return true;
+    if (FALSE_VALUES.includes(value)) return false;
+    throw invalid(spec, "true or false");
+  },
+  enum(text, spec) {
+    const value = text.toLowerCase();
+    const resolved = spec.aliases?.[value] ?? value;
+    if (!spec.values.includes(resolved)) {
+      const aliases = spec.aliases ? ` (or ${Object.keys(spec.aliases).join(", ")})` : "";
+      throw invalid(spec, `one of: ${spec.values.join(", ")}${aliases}`);
+    }
+    return resolved;
+  },
+  date(text, spec) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00:00Z`) : null;
+    if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+      throw invalid(spec, "a date (yyyy-mm-dd)", "INVALID_DATE");
+    }
+    return text;
+  },
+  coords(text, spec) {
+    const [lat, lon, extra] = text.split(",").map((v) => (v.trim() === "" ? NaN : Number(v)));
+    if (extra !== undefined || !Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      throw new ValidationError("INVALID_PARAMETER", `Invalid ${spec.name} "${text}" (expected lat,lon)`, spec.name);
+    }
+    return { lat, lon };
+  },
+};
+
+/**
+ * Parse query parameters against their specs. Missing and empty values take the spec's default (or null;
+ * an empty list for repeated parameters). Cache-busters and analytics tags (IGNORED_QUERY_PARAMS) are skipped.
+ * @returns {Object} Parsed values by parameter name
+ * @throws {ValidationError} If a parameter is unknown, missing but required, repeated but single-valued,
+ *   or its value does not parse or is out of range
+ */
+export function parseParams(specs, query) {
+  for (const name of Object.keys(query)) {
+    if (IGNORED_QUERY_PARAMS.test(name)) continue;
+    if (!SHARED_QUERY_PARAMS.includes(name) && !specs.some((spec) => spec.name === name)) {
+      throw new ValidationError("UNKNOWN_PARAMETER", `Unknown parameter '${name}' (see /api/openapi.json)`, name);
+    }
+  }
+
+  const values = {};
+  for (const spec of specs) {
+    const raw = query[spec.name];
+    // Repeated query keys arrive as arrays; a single value as a string
+    const texts = (raw == null ? [] : [].concat(raw)).map((v) => String(v).trim()).filter(Boolean);
+    const parse = PARAM_TYPES[spec.type];
+    if (spec.repeated) {
+      values[spec.name] = texts.map((text) => parse(text, spec));
+    } else if (texts.length > 1) {
+      throw new ValidationError("DUPLICATE_PARAMETER", `${spec.name} may only be given once`, spec.name);
+    } else if (!texts.length && spec.required) {
+      throw new ValidationError("MISSING_PARAMETER", `${spec.name} is required`, spec.name);
+    } else {
+      values[spec.name] = texts.length ? parse(texts[0], spec) : evaluate(spec.default) ?? null;
+    }
+  }
+  return values;
+}
+
+/**
+ * Public description of a parameter (for /api/charts), with per-request defaults and limits evaluated.
+ */
+export function describeParam(spec) {
+  return {
+    name: spec.name,
+    type: spec.type,
+    description: spec.description,
+    ...(spec.required && { required: true }),
+    ...(spec.repeated && { repeated: true }),
+    ...(spec.values && { values: spec.values }),
+    ...(spec.aliases && { aliases: spec.aliases }),
+    ...(spec.default != null && { default: evaluate(spec.default) }),
+    ...(spec.min != null && { min: evaluate(spec.min) }),
+    ...(spec.max != null && { max: evaluate(spec.max) }),
+  };
+}
+
+// OpenAPI schema of one value, per parameter type
+const SCHEMAS = {
+  string: (spec) => ({ type: "string", ...(spec.minLength && { minLength: spec.minLength }) }),
+  integer: () => ({ type: "integer" }),
+  number: () => ({ type: "number" }),
+  boolean: () => ({ type: "boolean" }),
+  enum: (spec) => ({ type: "string", enum: [...spec.values, ...Object.keys(spec.aliases ?? {})] }),
+  date: () => ({ type: "string", format: "date" }),
+  coords: () => ({ type: "string", pattern: "^-?\\d+(\\.\\d+)?,-?\\d+(\\.\\d+)?$", example: "51.5,-0.1" }),
+};
+
+/**
+ * OpenAPI 3 parameter object for a spec, with per-request defaults and limits evaluated.
+ */
+export function openApiParameter(spec) {
+  const schema = {
+    ...SCHEMAS[spec.type](spec),
+    ...(spec.min != null && { minimum: evaluate(spec.min) }),
+    ...(spec.max != null && { maximum: evaluate(spec.max) }),
+    ...(spec.default != null && { default: evaluate(spec.default) }),
+  };
+  return {
+    name: spec.name,
+    in: "query",
+    description: spec.description,
+    required: Boolean(spec.required),
+    schema: spec.repeated ? { type: "array", items: schema } : schema,
+    ...(spec.repeated && { style: "form", explode: true }),
+  };
+}
+
+const PLACE_REQUIRED =
+  "Provide 'city' (optionally narrowed with 'country' and/or 'admin1'), 'location_id', or 'lat' and 'lon'. See /api/charts for all parameters.";
+
+/**
+ * Where the weather data comes from (see providers/). Resolves ctx.provider. The default source adds nothing to
+ * the cache key, so entries cached before sources existed stay valid.
+ */
+export const SOURCE = {
+  params: [
+    {
+      name: "source",
+      type: "enum",
+      values: getProviders().map((provider) => provider.name),
+      default: DEFAULT_SOURCE,
+      key: false,
+      description: `Weather data provider: ${getProviders()
+        .map((provider) => `${provider.name}: ${provider.description}`)
+        .join("; ")}`,
+    },
+  ],
+  resolve: ({ source }) => ({ provider: getProvider(source) }),
+  cacheKey: ({ source }) => (source === "open-meteo" ? {} : { source }),
+};
+
+/**
+ * One location: `location_id` (a stable id from /api/locations), or `city` optionally narrowed by `country`
+ * (ISO code or name) and `admin1` (state / region), or `lat` and `lon`.
+ * Resolves ctx.locations to [{ place }] (for a provider's getWeather) or [{ lat, lon }].
+ */
+export const PLACE = {
+  params: [
+    { name: "city", type: "string", key: false, description: "Place name; the best geocoding match is used" },
+    { name: "country", type: "string", key: false, description: "Narrows city: ISO country code or name" },
+    { name: "admin1", type: "string", key: false, description: "Narrows city: state or region" },
+    { name: "location_id", type: "integer", min: 1, hint: "(an id from /api/locations)", key: false, description: "Place id from /api/locations, instead of city" },
+    { name: "lat", type: "number", min: -90, max: 90, key: false, description: "Latitude, with lon, instead of a place" },
+    { name: "lon", type: "number", min: -180, max: 180, key: false, description: "Longitude, with lat" },
+  ],
+  resolve({ city, country, admin1, location_id, lat, lon }) {
+    if (location_id != null) return { locations: [{ place: { id: location_id } }] };
+    if (city) return { locations: [{ place: { city, country: country ?? undefined, admin1: admin1 ?? undefined } }] };
+    if (lat == null || lon == null) throw new ValidationError("MISSING_PARAMETER", PLACE_REQUIRED, "city");
+    return { locations: [{ lat, lon }] };
+  },
+  cacheKey({ locations: [{ place, lat, lon }] }) {
+    return {
+      city: place?.city ?? null,
+      country: place?.country ?? null,
+      admin1: place?.admin1 ?? null,
+      location_id: place?.id ?? null,
+      lat: lat != null ? lat.toFixed(4) : null,
+      lon: lon != null ? lon.toFixed(4) : null,
+    };
+  },
+};
+
+/**
+ * Two to MAX_COMPARE_LOCATIONS locations from repeated `city`, `location_id` and `coords` (lat,lon) parameters,
+ * in that order (the order sets the series colours, so it is part of the cache key).
+ */
+export const COMPARE_PLACES = {
+  params: [
+    { name: "city", type: "string", repeated: true, key: false, description: "Place name (repeat for each location)" },
+    { name: "location_id", type: "integer", min: 1, hint: "(an id from /api/locations)", repeated: true, key: false, description: "Place id from /api/locations (repeatable)" },
+    { name: "coords", type: "coords", repeated: true, key: false, description: "lat,lon (repeatable)" },
+  ],
+  resolve({ city, location_id, coords }) {
+    const count = city.length + location_id.length + coords.length;
+    if (count < 2 || count > MAX_COMPARE_LOCATIONS) {
+      throw new ValidationError(
+        "LOCATION_COUNT",
+        `Provide between 2 and ${MAX_COMPARE_LOCATIONS} locations using repeated 'city', 'location_id' and/or 'coords' (lat,lon) parameters. Optional: metric (temperature|rainfall), start_date, end_date (yyyy-mm-dd).`,
+        "city"
+      );
+    }
+    return {
+      locations: [...city.map((c) => ({ place: { city: c } })), ...location_id.map((id) => ({ place: { id } })), ...coords],
+    };
+  },
+  cacheKey: ({ city, location_id, coords }) => ({
+    cities: city.join(";"),
+    location_ids: location_id.join(";"),
+    coords: coords.map((c) => `${c.lat.toFixed(4)},${c.lon.toFixed(4)}`).join(";"),
+  }),
+};
+
+/**
+ * Check a resolved date range: in order, within the archive and forecast, and at most maxDays long.
+ * @throws {ValidationError} END_BEFORE_START, OUT_OF_ARCHIVE_WINDOW or RANGE_TOO_LONG
+ */
+function checkDateRange(startDate, endDate, maxDays) {
+  if (endDate < startDate) {
+    throw new ValidationError("END_BEFORE_START", `end_date (${endDate}) is before start_date (${startDate})`, "end_date");
+  }
+  if (startDate < FIRST_ARCHIVE_DATE) {
+    throw new ValidationError("OUT_OF_ARCHIVE_WINDOW", `start_date must be on or after ${FIRST_ARCHIVE_DATE} (start of the archive)`, "start_date");
+  }
+  const lastDate = addDays(today(), MAX_FORECAST_DAYS);
+  if (endDate > lastDate) {
+    throw new ValidationError(
+      "OUT_OF_ARCHIVE_WINDOW",
+      `end_date must be on or before ${lastDate} (the forecast reaches ${MAX_FORECAST_DAYS} days ahead)`,
+      "end_date"
+    );
+  }
+  const days = daysBetween(startDate, endDate) + 1;
+  if (days > maxDays) {
+    throw new ValidationError("RANGE_TOO_LONG", `The date range is ${days} days; the most is ${maxDays}`, "end_date");
+  }
+}
+
+/**
+ * A run of days: `start_date` / `end_date` (default: the 7 days ending 6 days ago, within the archive's delay;
+ * with only end_date, the 7 days ending then). With forecast, `forecast_days` extends the default range through
+ * today and N days ahead. Resolves ctx.startDate / ctx.endDate.
+ */
+export function dateRange({ forecast = false, maxDays = MAX_RANGE_DAYS } = {}) {
+  const params = [
+    { name: "start_date", type: "date", key: false, description: "First day, yyyy-mm-dd (default: a week before end_date; the archive lags ~5 days)" },
+    { name: "end_date", type: "date", key: false, description: `Last day, yyyy-mm-dd (default: 6 days ago${forecast ? ", or today + forecast_days" : ""})` },
+  ];
+  if (forecast) {
+    params.push({ name: "forecast_days", type: "integer", min: 0, max: MAX_FORECAST_DAYS, key: false, description: "Extend the default range through today and this many forecast days (drawn hatched)" });
+  }
+  return {
+    params,
+    resolve({ start_date, end_date, forecast_days }) {
+      const defaults = getDefaultDateRange();
+      const startDate = start_date ?? (end_date ? addDays(end_date, -6) : defaults.start_date);
+      const endDate = end_date ?? (forecast_days != null ? addDays(today(), forecast_days) : defaults.end_date);
+      checkDateRange(startDate, endDate, maxDays);
+      return { startDate, endDate };
+    },
+    cacheKey: ({ startDate, endDate }) => ({ start_date: startDate, end_date: endDate }),
+  };
+}
+
+/**
+ * A calendar year (default: last year). Resolves ctx.startDate / ctx.endDate to its first and last day.
+ */
+export const YEAR = {
+  params: [
+    {
+      name: "year",
+      type: "integer",
+      min: FIRST_ARCHIVE_YEAR,
+      max: () => new Date().getFullYear(),
+      default: () => new Date().getFullYear() - 1,
+      rangeCode: "OUT_OF_ARCHIVE_WINDOW",
+      hint: "(use past year for complete data; API has ~5-day delay)",
+      description: "Calendar year (default: last year)",
+    },
+  ],
+  resolve: ({ year }) => ({ startDate: `${year}-01-01`, endDate: `${year}-12-31` }),
+};
+
+/**
+ * A run of complete calendar years, `from` to `to` (default: last year). Without `from`, the defaultYears years
+ * up to `to`, or from the start of the archive. Resolves ctx.fromYear / ctx.toYear, and ctx.startDate /
+ * ctx.endDate to the first and last day.
+ * @param {Object} [options] - { defaultYears: number|null }
+ */
+export function yearRange({ defaultYears = null } = {}) {
+  const lastYear = () => new Date().getFullYear() - 1;
+  return {
+    params: [
+      {
+        name: "from",
+        type: "integer",
+        min: FIRST_ARCHIVE_YEAR,
+        max: lastYear,
+        rangeCode: "OUT_OF_ARCHIVE_WINDOW",
+        key: false,
+        description: `First year (default: ${defaultYears ? `${defaultYears} years up to to` : FIRST_ARCHIVE_YEAR})`,
+      },
+      {
+        name: "to",
+        type: "integer",
+        min: FIRST_ARCHIVE_YEAR,
+        max: lastYear,
+        default: lastYear,
+        rangeCode: "OUT_OF_ARCHIVE_WINDOW",
+        hint: "(complete years only)",
+        description: "Last year (default: last year)",
+      },
+    ],
+    resolve({ from, to }) {
+      const fromYear = from ?? (defaultYears ? Math.max(FIRST_ARCHIVE_YEAR, to - defaultYears + 1) : FIRST_ARCHIVE_YEAR);
+      if (to < fromYear) {
+        throw new ValidationError("END_BEFORE_START", `to (${to}) is before from (${fromYear})`, "to");
+      }
+      return { fromYear, toYear: to, startDate: `${fromYear}-01-01`, endDate: `${to}-12-31` };
+    },
+    cacheKey: ({ fromYear }) => ({ from: fromYear }),
+  };
+}
+
+// Per-variable unit parameters, by the variable's key in resolveUnits' result
+const UNIT_PARAMS = {
+  temperature: { name: "temperature_unit", type: "enum", values: Object.keys(TEMPERATURE_UNITS), key: false, description: "Temperature unit (overrides units)" },
+  precipitation: { name: "precipitation_unit", type: "enum", values: Object.keys(PRECIPITATION_UNITS), key: false, description: "Precipitation unit (overrides units)" },
+  wind: { name: "wind_speed_unit", type: "enum", values: Object.keys(WIND_SPEED_UNITS), key: false, description: "Wind speed unit (overrides units)" },
+};
+
+/**
+ * `units` (metric | imperial) plus per-variable overrides for the variables a chart draws.
+ * Resolves ctx.units to resolveUnits' result (replacing the `units` system name).
+ * @param {...("temperature"|"precipitation"|"wind")} variables
+ */
+export function unitsFor(...variables) {
+  return {
+    params: [
+      { name: "units", type: "enum", values: Object.keys(UNIT_SYSTEMS), default: "metric", key: false, description: "Unit system" },
+      ...variables.map((v) => UNIT_PARAMS[v]),
+    ],
+    resolve: (values) => ({ units: resolveUnits(values) }),
+    cacheKey: ({ units }) => Object.fromEntries(variables.map((v) => [UNIT_PARAMS[v].name, units[v]])),
+  };
+}
+
+export const THEME = {
+  params: [
+    { name: "theme", type: "enum", values: Object.keys(THEMES), default: DEFAULT_THEME, visual: true, description: "Colour theme" },
+  ],
+};
+
+/**
+ * `format` (image or table) and `quality` (lossy formats). Resolves ctx.quality to the format's quality or null.
+ */
+export const OUTPUT = {
+  params: [
+    { name: "format", type: "enum", values: OUTPUT_FORMATS, aliases: FORMAT_ALIASES, default: "png", description: "Image format, or json / csv for the data behind the chart" },
+    { name: "quality", type: "integer", min: 1, max: 100, key: false, description: "jpeg, webp and avif only (default 85, 80, 50)" },
+  ],
+  resolve: ({ format, quality }) => ({ quality: resolveQuality(quality, format) }),
+  cacheKey: ({ quality }) => ({ quality }),
+};
+
+/**
+ * Canvas of the daily charts: `width` and `height` (px) and `scale`, the pixel density of raster output
+ * (e.g. 2 or "2x" for retina screens). Resolves ctx.density to the scale, or null where the format has no use
+ * for it (tables have no canvas; SVG and PDF are vector).
+ */
+export const CANVAS = {
+  params: ["width", "height"]
+    .map((name) => {
+      const { min, max, default: fallback } = DAILY_CHART_SIZE[name];
+      return { name, type: "integer", min, max, default: fallback, hint: "(px)", visual: true, description: `Canvas ${name} in px; the layout adapts` };
+    })
+    .concat({
+      name: "scale",
+      type: "number",
+      suffix: "x",
+      ...DAILY_CHART_SIZE.scale,
+      hint: "(e.g. 2 or 2x)",
+      key: false,
+      description: "Pixel density of raster formats (2 = retina); the layout is unchanged",
+    }),
+  resolve: ({ format, scale }) => ({ density: isRasterFormat(format) && !isTableFormat(format) ? scale : null }),
+  cacheKey: ({ density }) => ({ scale: density }),
+};
+
+/**
+ * Year heatmap colours: a named palette (`scale`) or custom `stops`, over a fixed or fitted `domain`.
+ * Resolves ctx.palette (see resolveColorScale).
+ */
+export const PALETTE = {
+  params: [
+    { name: "scale", type: "enum", values: PALETTES, hint: "(or pass custom 'stops')", key: false, description: `Named palette (default ${DEFAULT_PALETTE})` },
+    { name: "stops", type: "string", key: false, description: "Custom colours instead of scale: #3b4cc0,#f7f7f7,#b40426 or value:colour pairs" },
+    { name: "domain", type: "enum", values: SCALE_DOMAINS, key: false, description: "fixed (comparable across places and years) or auto (fitted to the data; default fixed)" },
+  ],
+  resolve: (values) => ({ palette: asValidation("stops", () => resolveColorScale(values)) }),
+  cacheKey: ({ format, palette }) => ({ palette: isTableFormat(format) ? null : describeColorScale(palette) }),
+};
+
+/**
+ * Year heatmap grid: square size, border colour, hover labels and the daylight overlay.
+ */
+export const HEATMAP_CELLS = {
+  params: [
+    { name: "cell_size", type: "integer", min: 1, max: 64, default: 8, hint: "(pixels per square)", visual: true, description: "Pixels per hour square" },
+    { name: "cell_border_color", type: "string", visual: true, description: "Square border colour (default from theme)" },
+    { name: "show_labels", type: "boolean", default: true, visual: true, description: "Hover labels on each square" },
+    {
+      name: "daylight",
+      type: "enum",
+      values: DAYLIGHT_MODES,
+      default: "off",
+      visual: true,
+      description: "curves: sunrise / sunset and civil twilight lines; dim: night and twilight hours dimmed; both",
+    },
+  ],
+};
+
+/**
+ * `mode` (values | anomaly) and the `baseline` period anomalies are measured against.
+ * Resolves ctx.baselinePeriod (see parseBaselinePeriod).
+ */
+export const ANOMALY = {
+  params: [
+    { name: "mode", type: "enum", values: ["values", "anomaly"], default: "values", description: "anomaly: each day against the baseline's daily normals" },
+    { name: "baseline", type: "string", key: false, description: `Normals period for mode=anomaly, e.g. 1981-2010 (default ${DEFAULT_BASELINE.from}-${DEFAULT_BASELINE.to})` },
+  ],
+  resolve: ({ baseline }) => ({ baselinePeriod: asValidation("baseline", () => parseBaselinePeriod(baseline)) }),
+  cacheKey: ({ mode, baselinePeriod }) => ({
+    baseline: mode === "anomaly" ? `${baselinePeriod.from}-${baselinePeriod.to}` : null,
+  }),
+};
+
+// Reference years of classic warming stripes
+const DEFAULT_REFERENCE = { from: 1971, to: 2000 };
+
+/**
+ * `baseline` for yearly anomalies: the reference years, within the requested years (see yearRange). Default
+ * 1971–2000 when the range covers it, else the whole range. Resolves ctx.reference to { from, to }.
+ */
+export const REFERENCE_PERIOD = {
+  params: [
+    {
+      name: "baseline",
+      type: "string",
+      key: false,
+      description: `Reference years within from–to, e.g. 1961-1990 (default ${DEFAULT_REFERENCE.from}-${DEFAULT_REFERENCE.to} if the range covers it, else the whole range)`,
+    },
+  ],
+  resolve({ baseline, fromYear, toYear }) {
+    if (baseline == null) {
+      const covered = fromYear <= DEFAULT_REFERENCE.from && toYear >= DEFAULT_REFERENCE.to;
+      return { reference: covered ? { ...DEFAULT_REFERENCE } : { from: fromYear, to: toYear } };
+    }
+    const reference = asValidation("baseline", () => parseBaselinePeriod(baseline));
+    if (reference.from < fromYear || reference.to > toYear) {
+      throw new ValidationError(
+        "INVALID_PARAMETER",
+        `baseline (${reference.from}-${reference.to}) must be within from–to (${fromYear}-${toYear})`,
+        "baseline"
+      );
+    }
+    return { reference };
+  },
+  cacheKey: ({ reference }) => ({ baseline: `${reference.from}-${reference.to}` }),
+};
+
+/**
+ * GET /api/locations parameters.
+ */
+export const LOCATION_SEARCH = {
+  params: [
+    { name: "q", type: "string", required: true, minLength: 2, description: "Place name (or its start) to search for" },
+    { name: "country", type: "string", description: "ISO country code or name" },
+    { name: "admin1", type: "string", description: "State or region" },
+    { name: "count", type: "integer", min: 1, max: MAX_LOCATION_RESULTS, default: 10, description: "Number of results" },
+    ...SOURCE.params,
+  ],
+};
@@ -0,0 +1,166 @@
+/**
+ * The request pipeline shared by every registered chart: validate the query (400 with a ValidationError code on
+ * bad input), build the cache key, then serve from the cache or fetch the data and render it in the requested
+ * format. A place that does not exist is 404 with a NotFoundError code. While upstream is unavailable an expired
+ * cache entry is served instead, flagged with X-Cache-Stale, or 503 if there is none; other failures are 500.
+ */
+
+import { getBaseline } from "../services/baseline.js";
+import { generateCacheKey, getCache, getFormatInfo, getTtlForDateRange, locationTag } from "../services/cache.js";
+import { renderImage } from "../services/imageFormats.js";
+import { SingleFlight } from "../services/singleFlight.js";
+import { isTableFormat, serializeTable } from "../services/tables.js";
+import { UpstreamError } from "../services/httpClient.js";
+import { NotFoundError } from "../services/errors.js";
+import { ValidationError, parseParams } from "./params.js";
+
+// Renders in flight, keyed by cache key: a burst of identical requests does the work once
+const renderFlights = new SingleFlight("render");
+
+/**
+ * Parse and resolve a request's query for a chart.
+ * @returns {{ values: Object, ctx: Object }} Parsed parameter values, and the request context: the values
+ *   overlaid with what each parameter set resolved (ctx.units, ctx.locations, ctx.startDate ...)
+ * @throws {ValidationError} On invalid input
+ */
+function resolveRequest(chart, query) {
+  const values = parseParams(chart.specs, query);
+  let ctx = { ...values };
+  for (const set of chart.sets) {
+    if (set.resolve) ctx = { ...ctx, ...set.resolve(ctx) };
+  }
+  return { values, ctx };
+}
+
+/**
+ * Cache key fields: every keyed parameter's parsed value (visual ones null for tables, which every look shares),
+ * plus what the parameter sets add for their resolved values.
+ */
+function cacheKeyFields(chart, values, ctx) {
+  const table = isTableFormat(ctx.format);
+  const fields = { endpoint: chart.name };
+  for (const spec of chart.specs) {
+    if (spec.key === false) continue;
+    fields[spec.name] = table && spec.visual ? null : values[spec.name];
+  }
+  for (const set of chart.sets) {
+    if (set.cacheKey) Object.assign(fields, set.cacheKey(ctx));
+  }
+  return fields;
+}
+
+// Weather for a location over the request's period, unless the chart loads its data itself (loadData)
+const loadWeather = ({ place, lat, lon }, { provider, startDate, endDate, units }) =>
+  provider.getWeather({ place, lat, lon, startDate, endDate, units });
+
+/**
+ * Fetch what a chart is built from: the data for each location from the request's provider (ctx.provider, see
+ * SOURCE; weather over the period unless the chart has its own loadData), and the baseline if needed.
+ * @returns {Promise<{ data: Object, locations: Array<{ data: Object, locationName: string }>, baseline: Object|null }>}
+ */
+async function fetchChartInput(chart, ctx) {
+  const load = chart.loadData ?? loadWeather;
+  const locations = await Promise.all(
+    ctx.locations.map(async ({ place, lat, lon }) => {
+      const data = await load({ place, lat, lon }, ctx);
+      return { data, locationName: data.locationName ?? `${lat.toFixed(2)}, ${lon.toFixed(2)}` };
+    })
+  );
+
+  const { data } = locations[0];
+  // Baseline is keyed by where the data is from: the archive grid cell Open-Meteo snapped the request to, or the station
+  const baseline = chart.needsBaseline?.(ctx)
+    ? await getBaseline(data.latitude, data.longitude, data.timezone, ctx.baselinePeriod, ctx.provider)
+    : null;
+  return { data, locations, baseline };
+}
+
+/**
+ * Get a response body from the cache, or render it. Concurrent callers with the same cache key share a single
+ * cache lookup, upstream fetch and render; if it fails they all receive the error and the next
+ * request starts a fresh attempt. If it fails because upstream is unavailable, an expired entry still within
+ * the cache's stale grace period is returned instead.
+ * @param {Object} entry - { cacheKey, format, quality (lossy image formats), scale (pixel density, raster formats), cacheMeta }
+ * @param {() => Promise<string|Object>} render - Fetches the data and builds the chart SVG, or the data table for json / csv
+ * @returns {Promise<{ body: Buffer, stale: boolean }>} Image (see IMAGE_FORMATS), JSON or CSV bytes
+ */
+function getOrRender({ cacheKey, format, quality, scale, cacheMeta }, render) {
+  return renderFlights.run(cacheKey, async () => {
+    const cache = await getCache();
+    const cached = await cache.get(cacheKey, format);
+    if (cached) {
+      return { body: cached, stale: false };
+    }
+
+    let output;
+    try {
+      output = await render();
+    } catch (err) {
+      const stale = err instanceof UpstreamError && err.unavailable
+        ? await cache.get(cacheKey, format, { allowStale: true })
+        : null;
+      if (!stale) throw err;
+      console.warn(`[STALE] Serving expired ${cacheKey.substring(0, 16)}... (${err.message})`);
+      return { body: stale, stale: true };
+    }
+    const body = isTableFormat(format)
+      ? Buffer.from(serializeTable(output, format))
+      : await renderImage(output, format, quality, scale ?? 1);
+
+    // Memory cache is set synchronously; the persistent write happens in background
+    cache.set(cacheKey, format, body, cacheMeta).catch(err =>
+      console.error(`Background cache set error: ${err.message}`)
+    );
+    return { body, stale: false };
+  });
+}
+
+/**
+ * Express handler for a registered chart.
+ */
+export function chartRoute(chart) {
+  return async (req, res) => {
+    try {
+      const { values, ctx } = resolveRequest(chart, req.query);
+      const { format } = ctx;
+      const cacheKey = generateCacheKey(cacheKeyFields(chart, values, ctx));
+      res.set("X-Cache-Key", cacheKey);
+      // Stored with the entry: expiry plus tags for admin purges by endpoint / location
+      const cacheMeta = {
+        endpoint: chart.name,
+        locations: ctx.locations.map(({ place, lat, lon }) => locationTag({ ...place, lat, lon })),
+        ttlSeconds: getTtlForDateRange(ctx.endDate),
+      };
+
+      // Concurrent identical requests share one cache lookup and render
+      const { body, stale } = await getOrRender({ cacheKey, format, quality: ctx.quality, scale: ctx.density, cacheMeta }, async () => {
+        const input = await fetchChartInput(chart, ctx);
+        // Also tag the places names resolved to, so purging a location_id finds entries requested by name
+        for (const { data } of input.locations) {
+          if (data.place?.id != null) cacheMeta.locations.push(locationTag({ id: data.place.id }));
+        }
+        return isTableFormat(format) ? chart.table(input, ctx) : chart.svg(input, ctx);
+      });
+
+      if (stale) res.set("X-Cache-Stale", "true");
+      res.set("Content-Type", getFormatInfo(format).contentType);
+      res.send(body);
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return res.status(400).json(err.toJSON());
+      }
+      if (err instanceof NotFoundError) {
+        return res.status(404).json(err.toJSON());
+      }
+      if (err instanceof UpstreamError && err.unavailable) {
+        console.error(`[UPSTREAM] ${chart.name}: ${err.message}`);
+        if (err.retryAfterSeconds != null) res.set("Retry-After", String(Math.ceil(err.retryAfterSeconds)));
+        return res.status(503).json({ error: err.message });
+      }
+      console.error(err);
+      res.status(500).json({
+        error: err.message || `Failed to generate ${chart.title.toLowerCase()}`,
+      });
+    }
+  };
+}
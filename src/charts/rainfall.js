@@ -0,0 +1,31 @@
+/**
+ * Daily rainfall bars, with forecast days hatched. mode=anomaly draws each day as a percent of the baseline's normal.
+ */
+
+import { buildRainfallAnomalySvg, buildRainfallChartSvg } from "../services/chart.js";
+import { ENDPOINT_COSTS } from "../services/rateLimit.js";
+import { buildDailyTable, buildRainfallAnomalyTable } from "../services/tables.js";
+import { ANOMALY, CANVAS, OUTPUT, PLACE, SOURCE, THEME, dateRange, unitsFor } from "./params.js";
+
+export default {
+  name: "rainfall-image",
+  title: "Rainfall chart",
+  description: "Daily rainfall totals (default: last 7 days, ~5-day archive delay)",
+  examples: [
+    "?city=London",
+    "?lat=51.5&lon=-0.1&start_date=2025-01-01&end_date=2025-01-07",
+    "?city=London&mode=anomaly",
+    "?city=London&width=1920&height=1080",
+  ],
+  cost: ENDPOINT_COSTS.daily,
+  params: [PLACE, SOURCE, dateRange({ forecast: true }), ANOMALY, unitsFor("temperature", "precipitation"), THEME, OUTPUT, CANVAS],
+  needsBaseline: ({ mode }) => mode === "anomaly",
+  svg: ({ data, baseline }, { mode, units, theme, width, height }) =>
+    mode === "anomaly"
+      ? buildRainfallAnomalySvg(data, baseline, { units, theme, width, height })
+      : buildRainfallChartSvg(data, { units, theme, width, height }),
+  table: ({ data, baseline }, { mode, units }) =>
+    mode === "anomaly"
+      ? buildRainfallAnomalyTable(data, baseline, { units })
+      : buildDailyTable(data, { chart: "rainfall", units }),
+};
@@ -0,0 +1,32 @@
+/**
+ * Year heatmap of hourly rainfall, laid out like the temperature heatmap.
+ */
+
+import { buildRainfallYearHeatmapSvg } from "../services/chart.js";
+import { ENDPOINT_COSTS } from "../services/rateLimit.js";
+import { buildHourlyGridTable } from "../services/tables.js";
+import { HEATMAP_CELLS, OUTPUT, PALETTE, PLACE, SOURCE, THEME, YEAR, unitsFor } from "./params.js";
+
+export default {
+  name: "rainfall-year-image",
+  title: "Rainfall year heatmap",
+  description: "Hourly rainfall for a year, one row per day (fixed 0–50 mm scale unless domain=auto)",
+  examples: [
+    "?city=London&year=2024",
+    "?city=London&scale=viridis&domain=auto",
+  ],
+  cost: ENDPOINT_COSTS.yearHeatmap,
+  params: [PLACE, SOURCE, YEAR, HEATMAP_CELLS, unitsFor("precipitation"), THEME, PALETTE, OUTPUT],
+  svg: ({ data }, { year, cell_size, cell_border_color, show_labels, daylight, units, theme, palette }) =>
+    buildRainfallYearHeatmapSvg(data, {
+      year,
+      cellSize: cell_size,
+      ...(cell_border_color && { cellBorderColor: cell_border_color }),
+      showTooltips: show_labels,
+      daylight,
+      units,
+      theme,
+      palette,
+    }),
+  table: ({ data }, { units }) => buildHourlyGridTable(data, { variable: "precipitation", units }),
+};
@@ -0,0 +1,71 @@
+/**
+ * Chart registry. A chart definition (one module per chart in this directory) declares:
+ * - name: the route (/api/<name>) and the cache endpoint tag; title, description and examples for /api/charts
+ * - cost: rate-limit points per request (ENDPOINT_COSTS)
+ * - params: parameter sets and specs (see params.js); one set must provide ctx.locations and the period
+ *   (ctx.startDate / ctx.endDate), SOURCE the data provider (ctx.provider), and OUTPUT the format
+ * - needsBaseline(ctx): whether the request also needs the climate normals (ctx.baselinePeriod)
+ * - loadData({ place, lat, lon }, ctx): optional, what to fetch per location instead of the provider's weather over
+ *   ctx.startDate–ctx.endDate (e.g. decades of daily history)
+ * - svg(input, ctx) / table(input, ctx): build the chart SVG, or the table for json / csv, from
+ *   input = { data (first location), locations: [{ data, locationName }], baseline }
+ * The pipeline (pipeline.js) does the rest: validation, caching, fetching, output formats and errors.
+ */
+
+import { describeParam } from "./params.js";
+
+const charts = new Map();
+
+/**
+ * Register a chart definition. Parameter sets are flattened into specs once, here.
+ * @throws {Error} If the definition is incomplete or clashes with a registered chart
+ */
+export function registerChart(definition) {
+  const { name, params = [], svg, table, cost } = definition;
+  if (!name || typeof svg !== "function" || typeof table !== "function" || !Number.isFinite(cost)) {
+    throw new Error(`Chart "${name}": name, cost, svg() and table() are required`);
+  }
+  if (charts.has(name)) {
+    throw new Error(`Chart "${name}" is already registered`);
+  }
+
+  const sets = params.map((item) => (item.params ? item : { params: [item] }));
+  const specs = sets.flatMap((set) => set.params);
+  const names = specs.map((spec) => spec.name);
+  const duplicate = names.find((n, i) => names.indexOf(n) !== i);
+  if (duplicate) {
+    throw new Error(`Chart "${name}": parameter "${duplicate}" is declared twice`);
+  }
+  if (!names.includes("format")) {
+    throw new Error(`Chart "${name}": the OUTPUT parameter set is required`);
+  }
+  if (!names.includes("source")) {
+    throw new Error(`Chart "${name}": the SOURCE parameter set is required`);
+  }
+
+  const chart = { ...definition, sets, specs };
+  charts.set(name, chart);
+  return chart;
+}
+
+/**
+ * Registered charts, in registration order.
+ */
+export function getCharts() {
+  return [...charts.values()];
+}
+
+/**
+ * Every registered chart with its parameters, for GET /api/charts.
+ */
+export function describeCharts() {
+  return getCharts().map((chart) => ({
+    name: chart.name,
+    path: `/api/${chart.name}`,
+    title: chart.title,
+    description: chart.description,
+    cost: chart.cost,
+    examples: (chart.examples ?? []).map((query) => `/api/${chart.name}${query}`),
+    params: chart.specs.map(describeParam),
+  }));
+}
@@ -0,0 +1,38 @@
+/**
+ * Warming stripes: one stripe per year, coloured by the annual mean temperature's anomaly from a reference period.
+ * Built from decades of daily history (services/history.js) rather than one period's weather.
+ */
+
+import { buildStripesSvg } from "../services/chart.js";
+import { getDailyHistory } from "../services/history.js";
+import { ENDPOINT_COSTS } from "../services/rateLimit.js";
+import { buildYearlyAnomalyTable } from "../services/tables.js";
+import { CANVAS, OUTPUT, PLACE, REFERENCE_PERIOD, SOURCE, THEME, unitsFor, yearRange } from "./params.js";
+
+export default {
+  name: "stripes-image",
+  title: "Warming stripes",
+  description: "One stripe per year coloured by its annual mean temperature anomaly (default: 1940 to last year)",
+  examples: [
+    "?city=London",
+    "?city=London&from=1961&to=2020&baseline=1961-1990",
+    "?lat=52.52&lon=13.41&labels=false&width=1920&height=480",
+  ],
+  cost: ENDPOINT_COSTS.history,
+  params: [
+    PLACE,
+    SOURCE,
+    yearRange(),
+    REFERENCE_PERIOD,
+    { name: "labels", type: "boolean", default: true, visual: true, description: "Title, year axis and legend; false for the stripes alone" },
+    unitsFor("temperature"),
+    THEME,
+    OUTPUT,
+    CANVAS,
+  ],
+  loadData: async (location, { provider, fromYear, toYear, units }) =>
+    getDailyHistory(provider, await provider.locate(location), fromYear, toYear, units),
+  svg: ({ data }, { reference, labels, units, theme, width, height }) =>
+    buildStripesSvg(data, reference, { labels, units, theme, width, height }),
+  table: ({ data }, { reference, units }) => buildYearlyAnomalyTable(data, reference, { units }),
+};
@@ -0,0 +1,97 @@
+/**
+ * Daily weather: the chosen temperature and humidity series (default max / min temperature and mean humidity) as
+ * grouped bars or lines, with forecast days marked. Short ranges are drawn hour by hour instead (resolution).
+ * mode=anomaly draws each day's mean temperature against the baseline's normals instead.
+ */
+
+import {
+  DEFAULT_WEATHER_SERIES,
+  WEATHER_SERIES,
+  WEATHER_STYLES,
+  buildHourlyWeatherChartSvg,
+  buildTemperatureAnomalySvg,
+  buildWeatherChartSvg,
+} from "../services/chart.js";
+import { daysBetween } from "../services/dates.js";
+import { ENDPOINT_COSTS } from "../services/rateLimit.js";
+import { buildDailyTable, buildHourlyTable, buildTemperatureAnomalyTable } from "../services/tables.js";
+import { ANOMALY, CANVAS, OUTPUT, PLACE, SOURCE, THEME, dateRange, unitsFor } from "./params.js";
+
+/**
+ * `series` (repeated) and `style`. Resolves ctx.series to the selected series in drawing order; the cache key
+ * holds that normalised list rather than the query's order and repeats.
+ */
+const SERIES = {
+  params: [
+    {
+      name: "series",
+      type: "enum",
+      values: Object.keys(WEATHER_SERIES),
+      repeated: true,
+      key: false,
+      description: `Series to draw, repeat for each (default ${DEFAULT_WEATHER_SERIES.join(", ")}); feels-max / feels-min are the apparent temperature`,
+    },
+    { name: "style", type: "enum", values: WEATHER_STYLES, default: "bars", visual: true, description: "bars: grouped bars per day; lines: lines with a shaded max–min band" },
+  ],
+  resolve: ({ series }) => {
+    const selected = series.length ? series : DEFAULT_WEATHER_SERIES;
+    return { series: Object.keys(WEATHER_SERIES).filter((key) => selected.includes(key)) };
+  },
+  cacheKey: ({ series }) => ({ series: series.join(",") }),
+};
+
+// resolution=auto draws ranges of up to this many days hour by hour
+const HOURLY_MAX_DAYS = 3;
+
+/**
+ * `resolution`: daily, hourly, or auto (hourly for ranges of up to HOURLY_MAX_DAYS days). Resolves ctx.hourly;
+ * anomalies are always daily. The cache key holds what auto resolved to.
+ */
+const RESOLUTION = {
+  params: [
+    {
+      name: "resolution",
+      type: "enum",
+      values: ["auto", "daily", "hourly"],
+      default: "auto",
+      key: false,
+      description: `hourly: temperature lines and precipitation bars per hour, nights shaded; auto: hourly for ranges of up to ${HOURLY_MAX_DAYS} days`,
+    },
+  ],
+  resolve: ({ resolution, mode, startDate, endDate }) => ({
+    hourly:
+      mode !== "anomaly" &&
+      (resolution === "hourly" || (resolution === "auto" && daysBetween(startDate, endDate) + 1 <= HOURLY_MAX_DAYS)),
+  }),
+  cacheKey: ({ hourly }) => ({ resolution: hourly ? "hourly" : "daily" }),
+};
+
+export default {
+  name: "weather-image",
+  title: "Weather chart",
+  description: "Daily temperature, feels-like temperature and mean humidity as bars or lines (default: last 7 days, ~5-day archive delay)",
+  examples: [
+    "?city=London",
+    "?lat=51.5&lon=-0.1&start_date=2025-01-01&end_date=2025-01-07",
+    "?city=London&forecast_days=7",
+    "?city=London&start_date=2025-01-01&end_date=2025-01-03",
+    "?city=London&series=mean-temp&series=feels-max&series=feels-min&style=lines",
+    "?city=London&mode=anomaly&start_date=2025-06-01&end_date=2025-08-31",
+    "?city=Paris&country=US&admin1=Texas",
+    "?city=Chicago&units=imperial",
+    "?city=London&width=360&height=240&scale=3",
+  ],
+  cost: ENDPOINT_COSTS.daily,
+  params: [PLACE, SOURCE, dateRange({ forecast: true }), ANOMALY, SERIES, RESOLUTION, unitsFor("temperature", "precipitation"), THEME, OUTPUT, CANVAS],
+  needsBaseline: ({ mode }) => mode === "anomaly",
+  svg: ({ data, baseline }, { mode, hourly, series, style, units, theme, width, height }) => {
+    if (mode === "anomaly") return buildTemperatureAnomalySvg(data, baseline, { units, theme, width, height });
+    if (hourly) return buildHourlyWeatherChartSvg(data, { units, theme, width, height });
+    return buildWeatherChartSvg(data, { series, style, units, theme, width, height });
+  },
+  table: ({ data, baseline }, { mode, hourly, series, units }) => {
+    if (mode === "anomaly") return buildTemperatureAnomalyTable(data, baseline, { units });
+    if (hourly) return buildHourlyTable(data, { units });
+    return buildDailyTable(data, { chart: "weather", series, units });
+  },
+};
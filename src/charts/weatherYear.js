@@ -0,0 +1,34 @@
+/**
+ * Year heatmap of hourly temperature: one row per day, 24 columns per hour, noon centred.
+ */
+
+import { buildYearHeatmapSvg } from "../services/chart.js";
+import { ENDPOINT_COSTS } from "../services/rateLimit.js";
+import { buildHourlyGridTable } from "../services/tables.js";
+import { HEATMAP_CELLS, OUTPUT, PALETTE, PLACE, SOURCE, THEME, YEAR, unitsFor } from "./params.js";
+
+export default {
+  name: "weather-year-image",
+  title: "Temperature year heatmap",
+  description: "Hourly temperature for a year, one row per day (fixed -40–50 °C scale unless domain=auto)",
+  examples: [
+    "?city=London&year=2024",
+    "?city=London&year=2024&cell_size=12",
+    "?city=Oslo&year=2024&daylight=both",
+    "?city=London&stops=-10:3b4cc0,0:f7f7f7,30:b40426",
+  ],
+  cost: ENDPOINT_COSTS.yearHeatmap,
+  params: [PLACE, SOURCE, YEAR, HEATMAP_CELLS, unitsFor("temperature", "precipitation"), THEME, PALETTE, OUTPUT],
+  svg: ({ data }, { year, cell_size, cell_border_color, show_labels, daylight, units, theme, palette }) =>
+    buildYearHeatmapSvg(data, {
+      year,
+      cellSize: cell_size,
+      ...(cell_border_color && { cellBorderColor: cell_border_color }),
+      showTooltips: show_labels,
+      daylight,
+      units,
+      theme,
+      palette,
+    }),
+  table: ({ data }, { units }) => buildHourlyGridTable(data, { variable: "temperature", units }),
+};
@@ -0,0 +1,22 @@
+/**
+ * Daily wind: mean speed and max gust, with arrows for the dominant direction.
+ */
+
+import { buildWindChartSvg } from "../services/chart.js";
+import { ENDPOINT_COSTS } from "../services/rateLimit.js";
+import { buildDailyTable } from "../services/tables.js";
+import { CANVAS, OUTPUT, PLACE, SOURCE, THEME, dateRange, unitsFor } from "./params.js";
+
+export default {
+  name: "wind-image",
+  title: "Wind chart",
+  description: "Daily mean wind and max gust with direction arrows (default: last 7 days, ~5-day archive delay)",
+  examples: [
+    "?city=London",
+    "?lat=51.5&lon=-0.1&start_date=2025-01-01&end_date=2025-01-31&wind_speed_unit=ms",
+  ],
+  cost: ENDPOINT_COSTS.daily,
+  params: [PLACE, SOURCE, dateRange(), unitsFor("wind"), THEME, OUTPUT, CANVAS],
+  svg: ({ data }, { units, theme, width, height }) => buildWindChartSvg(data, { units, theme, width, height }),
+  table: ({ data }, { units }) => buildDailyTable(data, { chart: "wind", units }),
+};
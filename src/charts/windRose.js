@@ -0,0 +1,22 @@
+/**
+ * Wind rose: share of hours per direction sector (16) and speed class.
+ */
+
+import { buildWindRoseSvg } from "../services/chart.js";
+import { ENDPOINT_COSTS } from "../services/rateLimit.js";
+import { buildWindRoseTable } from "../services/tables.js";
+import { OUTPUT, PLACE, SOURCE, THEME, dateRange, unitsFor } from "./params.js";
+
+export default {
+  name: "wind-rose-image",
+  title: "Wind rose",
+  description: "Hours per wind direction and speed class (default: last 7 days, ~5-day archive delay)",
+  examples: [
+    "?city=London",
+    "?lat=51.5&lon=-0.1&start_date=2025-01-01&end_date=2025-01-31&wind_speed_unit=ms",
+  ],
+  cost: ENDPOINT_COSTS.daily,
+  params: [PLACE, SOURCE, dateRange(), unitsFor("wind"), THEME, OUTPUT],
+  svg: ({ data }, { units, theme }) => buildWindRoseSvg(data, { units, theme }),
+  table: ({ data }, { units }) => buildWindRoseTable(data, { units }),
+};
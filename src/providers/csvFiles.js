@@ -0,0 +1,227 @@
+/**
+ * Station data from local CSV files: charts of our own observations with the same visuals, and a fully offline
+ * source. CSV_DATA_DIR (default ./data/stations) holds stations.json listing the stations:
+ *   { "stations": [{ "id": 3772, "name": "Heathrow", "country": "United Kingdom", "countryCode": "GB",
+ *     "admin1": "England", "latitude": 51.48, "longitude": -0.45, "elevation": 25, "timezone": "Europe/London",
+ *     "file": "heathrow.csv", "units": { "temperature": "celsius", "precipitation": "mm", "wind": "kmh" } }] }
+ * and one CSV per station: a header row, then one row per hour in the station's local time, e.g.
+ *   time,temperature,humidity,precipitation,windSpeed,windDirection
+ *   2024-01-01T00:00,4.2,91,0.2,11.5,230
+ * Columns are `time` plus any of the series variables (see series.js); Open-Meteo's names (temperature_2m …, with or
+ * without a " (°C)" unit suffix) work too, and lines before the header are skipped, so Open-Meteo CSV downloads can
+ * be used as they are. `id` must be an integer (e.g. a WMO station number); timezone defaults to the one at the
+ * coordinates and units to metric. Files are re-read when they change.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { NotFoundError } from "../services/errors.js";
+import { getTimezoneForCoords, sameText } from "../services/places.js";
+import { DEFAULT_UNITS } from "../services/units.js";
+import { HOURLY_VARIABLES, convertHourly } from "./series.js";
+
+// A relative CSV_DATA_DIR is resolved from the project root, like CACHE_DIR, not from where the server was started
+const PROJECT_ROOT = fileURLToPath(new URL("../..", import.meta.url));
+const DATA_DIR = path.resolve(PROJECT_ROOT, process.env.CSV_DATA_DIR || "./data/stations");
+const MANIFEST = "stations.json";
+// Coordinate requests use the nearest station within this distance
+const MAX_DISTANCE_KM = Number(process.env.CSV_MAX_DISTANCE_KM) || 25;
+
+// Open-Meteo CSV column names accepted as aliases
+const COLUMN_ALIASES = {
+  temperature_2m: "temperature",
+  relative_humidity_2m: "humidity",
+  apparent_temperature: "apparentTemperature",
+  wind_speed_10m: "windSpeed",
+  wind_gusts_10m: "windGusts",
+  wind_direction_10m: "windDirection",
+};
+
+// Parsed files by path: { mtimeMs, value }
+const fileCache = new Map();
+
+/**
+ * Read and parse a file, reusing the last parse while its modification time is unchanged.
+ */
+async function readParsed(filePath, parse) {
+  let stat;
+  try {
+    stat = await fs.stat(filePath);
+  } catch (err) {
+    if (err.code === "ENOENT") throw new Error(`CSV source: ${filePath} not found (set CSV_DATA_DIR)`);
+    throw err;
+  }
+  const cached = fileCache.get(filePath);
+  if (cached?.mtimeMs === stat.mtimeMs) return cached.value;
+
+  const value = parse(await fs.readFile(filePath, "utf8"));
+  fileCache.set(filePath, { mtimeMs: stat.mtimeMs, value });
+  return value;
+}
+
+function parseManifest(text) {
+  const { stations } = JSON.parse(text);
+  if (!Array.isArray(stations)) throw new Error(`CSV source: ${MANIFEST} must contain a "stations" array`);
+  return stations.map((station) => {
+    const { id, name, latitude, longitude, file } = station;
+    // Number(null) and Number("") are 0, so only numbers and non-empty strings count as ids
+    const hasId = typeof id === "number" || (typeof id === "string" && id.trim() !== "");
+    if (!hasId || !Number.isInteger(Number(id)) || !name || !Number.isFinite(latitude) || !Number.isFinite(longitude) || !file) {
+      throw new Error(`CSV source: station ${JSON.stringify(name ?? id)} needs an integer id, name, latitude, longitude and file`);
+    }
+    return {
+      ...station,
+      id: Number(id),
+      timezone: station.timezone || getTimezoneForCoords(latitude, longitude),
+      units: { ...DEFAULT_UNITS, ...station.units },
+    };
+  });
+}
+
+const loadStations = () => readParsed(path.join(DATA_DIR, MANIFEST), parseManifest);
+
+function columnVariable(header) {
+  const name = header.replace(/\s*\(.*\)\s*$/, "").trim();
+  return COLUMN_ALIASES[name] ?? (name in HOURLY_VARIABLES ? name : null);
+}
+
+/**
+ * Parse a station CSV into hourly arrays, sorted by time. Unknown columns are ignored; blank or non-numeric
+ * cells are null.
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const headerIndex = lines.findIndex((line) => /^\s*time\s*(,|$)/.test(line));
+  if (headerIndex < 0) throw new Error("CSV source: no header row starting with \"time\"");
+
+  const columns = lines[headerIndex].split(",").map((h, i) => (i === 0 ? "time" : columnVariable(h)));
+  const rows = [];
+  for (const line of lines.slice(headerIndex + 1)) {
+    if (!line.trim()) continue;
+    const cells = line.split(",");
+    // Local time to the minute: "2024-01-01 00:00:00" -> "2024-01-01T00:00"
+    const time = cells[0].trim().replace(" ", "T").slice(0, 16);
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(time)) continue;
+    rows.push({ time, cells });
+  }
+  rows.sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
+
+  const hourly = { time: rows.map((row) => row.time) };
+  columns.forEach((variable, i) => {
+    if (!variable || variable === "time") return;
+    hourly[variable] = rows.map(({ cells }) => {
+      const cell = cells[i]?.trim();
+      const value = cell ? Number(cell) : NaN;
+      return Number.isFinite(value) ? value : null;
+    });
+  });
+  return hourly;
+}
+
+function toPlace(station) {
+  const { id, name, admin1 = null, country = null, countryCode = null, latitude, longitude, timezone } = station;
+  const fullName = [name, admin1 !== name && admin1, country !== name && country].filter(Boolean).join(", ");
+  return { id, name, fullName, admin1, country, countryCode, latitude, longitude, timezone, population: null };
+}
+
+function matchesArea(station, { country, admin1 }) {
+  if (country && !sameText(station.countryCode, country) && !sameText(station.country, country)) return false;
+  return !admin1 || sameText(station.admin1, admin1);
+}
+
+/**
+ * Great-circle distance in km.
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const a =
+    Math.sin(((lat2 - lat1) * rad) / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(((lon2 - lon1) * rad) / 2) ** 2;
+  return 12742 * Math.asin(Math.sqrt(a));
+}
+
+async function findStation({ place, lat, lon }) {
+  const stations = await loadStations();
+  if (place?.id != null) {
+    const station = stations.find((s) => s.id === Number(place.id));
+    if (!station) throw new NotFoundError("LOCATION_NOT_FOUND", `No station with id ${place.id}`, "location_id");
+    return station;
+  }
+  if (place) {
+    const station =
+      stations.find((s) => sameText(s.name, place.city) && matchesArea(s, place)) ??
+      stations.find((s) => s.name.toLowerCase().startsWith(place.city.toLowerCase()) && matchesArea(s, place));
+    if (!station) throw new NotFoundError("LOCATION_NOT_FOUND", `No station found for "${place.city}"`, "city");
+    return station;
+  }
+  const [nearest] = stations
+    .map((s) => ({ s, km: distanceKm(lat, lon, s.latitude, s.longitude) }))
+    .sort((a, b) => a.km - b.km);
+  if (!nearest || nearest.km > MAX_DISTANCE_KM) {
+    throw new NotFoundError("LOCATION_NOT_FOUND", `No station within ${MAX_DISTANCE_KM} km of ${lat}, ${lon}`, "lat");
+  }
+  return nearest.s;
+}
+
+/**
+ * A station's series over [startDate, endDate] in the requested units (empty hourly arrays if it has no data then),
+ * and the first and last dates in its file.
+ * @returns {Promise<{ series: Object, coverage: [string, string]|null }>}
+ */
+async function readSeries(station, startDate, endDate, units) {
+  const all = await readParsed(path.resolve(DATA_DIR, station.file), parseCsv);
+  const from = all.time.findIndex((t) => t.slice(0, 10) >= startDate);
+  const start = from < 0 ? all.time.length : from;
+  let end = start;
+  while (end < all.time.length && all.time[end].slice(0, 10) <= endDate) end++;
+
+  const hourly = {};
+  for (const [key, values] of Object.entries(all)) hourly[key] = values.slice(start, end);
+  const series = {
+    source: "csv",
+    latitude: station.latitude,
+    longitude: station.longitude,
+    elevation: station.elevation ?? null,
+    timezone: station.timezone,
+    locationName: toPlace(station).fullName,
+    place: toPlace(station),
+    hourly: convertHourly(hourly, station.units, units),
+  };
+  const coverage = all.time.length ? [all.time[0].slice(0, 10), all.time[all.time.length - 1].slice(0, 10)] : null;
+  return { series, coverage };
+}
+
+export default {
+  name: "csv",
+  description: "Station data from local CSV files (CSV_DATA_DIR); places are the stations",
+  offline: true,
+  async getWeather({ place, lat, lon, startDate, endDate, units }) {
+    const station = await findStation({ place, lat, lon });
+    const { series, coverage } = await readSeries(station, startDate, endDate, units);
+    if (!series.hourly.time.length) {
+      const covers = coverage ? `it covers ${coverage[0]} to ${coverage[1]}` : "its file has no rows";
+      throw new NotFoundError("NO_DATA", `Station ${station.name} has no data from ${startDate} to ${endDate} (${covers})`, "start_date");
+    }
+    return series;
+  },
+  async getArchive(lat, lon, startDate, endDate, timezone, units = DEFAULT_UNITS) {
+    const station = await findStation({ lat, lon });
+    const { series } = await readSeries(station, startDate, endDate, units);
+    return series;
+  },
+  async locate({ place, lat, lon }) {
+    const station = await findStation({ place, lat, lon });
+    const { latitude, longitude, timezone } = station;
+    return { latitude, longitude, timezone, locationName: toPlace(station).fullName, place: toPlace(station) };
+  },
+  async searchLocations(query, { country, admin1, count = 10 } = {}) {
+    const q = query.trim().toLowerCase();
+    return (await loadStations())
+      .filter((s) => s.name.toLowerCase().includes(q) && matchesArea(s, { country, admin1 }))
+      .map((s, i) => ({ s, i, rank: sameText(s.name, q) ? 0 : s.name.toLowerCase().startsWith(q) ? 1 : 2 }))
+      .sort((a, b) => a.rank - b.rank || a.i - b.i)
+      .slice(0, count)
+      .map(({ s }) => toPlace(s));
+  },
+};
@@ -0,0 +1,28 @@
+/**
+ * Every weather data provider, selectable per request with source=. To add one, write its module (see registry.js)
+ * and register it here.
+ * - WEATHER_SOURCE: the default source (open-meteo, or csv in offline mode)
+ * - OFFLINE_MODE=true: only providers that need no network are available
+ */
+
+import { getProviders, registerProvider } from "./registry.js";
+import openMeteo from "./openMeteo.js";
+import csvFiles from "./csvFiles.js";
+
+export const OFFLINE_MODE = process.env.OFFLINE_MODE === "true";
+
+for (const provider of [openMeteo, csvFiles]) {
+  if (!OFFLINE_MODE || provider.offline) registerProvider(provider);
+}
+
+export const DEFAULT_SOURCE = process.env.WEATHER_SOURCE || (OFFLINE_MODE ? csvFiles.name : openMeteo.name);
+
+if (!getProviders().some((provider) => provider.name === DEFAULT_SOURCE)) {
+  throw new Error(
+    `WEATHER_SOURCE "${DEFAULT_SOURCE}" is not available${OFFLINE_MODE ? " in offline mode" : ""} (available: ${getProviders()
+      .map((provider) => provider.name)
+      .join(", ")})`
+  );
+}
+
+export { getProvider, getProviders } from "./registry.js";
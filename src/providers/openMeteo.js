@@ -0,0 +1,30 @@
+/**
+ * Open-Meteo: archive data from 1940 stitched with the forecast API (recent days and up to 16 days ahead),
+ * places from Open-Meteo geocoding. The client itself is services/weather.js.
+ */
+
+import {
+  fetchHistoricalWeather,
+  getWeatherByCoords,
+  getWeatherByPlace,
+  resolvePlace,
+  searchLocations,
+} from "../services/weather.js";
+import { getTimezoneForCoords } from "../services/places.js";
+
+export default {
+  name: "open-meteo",
+  description: "Open-Meteo historical archive and forecast (any coordinates, 1940 to 16 days ahead)",
+  offline: false,
+  getWeather: ({ place, lat, lon, startDate, endDate, units }) =>
+    place
+      ? getWeatherByPlace(place, startDate, endDate, units)
+      : getWeatherByCoords(lat, lon, startDate, endDate, null, units),
+  getArchive: fetchHistoricalWeather,
+  async locate({ place, lat, lon }) {
+    if (!place) return { latitude: lat, longitude: lon, timezone: getTimezoneForCoords(lat, lon), locationName: null, place: null };
+    const loc = await resolvePlace(place);
+    return { latitude: loc.latitude, longitude: loc.longitude, timezone: loc.timezone, locationName: loc.fullName, place: loc };
+  },
+  searchLocations,
+};
@@ -0,0 +1,49 @@
+/**
+ * Weather data provider registry. A provider (one module per provider in this directory) declares:
+ * - name: the source= value; description for /api/charts and the OpenAPI document
+ * - offline: true if it needs no network (the only kind available with OFFLINE_MODE=true)
+ * - getWeather({ place, lat, lon, startDate, endDate, units }): the series (see series.js) for a place
+ *   ({ id } or { city, country, admin1 }) or coordinates over [startDate, endDate], in the requested units
+ * - getArchive(lat, lon, startDate, endDate, timezone, units): an uncached series for bulk reads (climate baselines,
+ *   multi-year history)
+ * - locate({ place, lat, lon }): where a place's or coordinates' data comes from, without fetching any:
+ *   { latitude, longitude, timezone, locationName (null for coordinates), place }
+ * - searchLocations(query, { country, admin1, count }): places for /api/locations, in the same shape as Open-Meteo's
+ */
+
+const providers = new Map();
+
+/**
+ * Register a provider.
+ * @throws {Error} If the definition is incomplete or clashes with a registered provider
+ */
+export function registerProvider(provider) {
+  const { name, getWeather, getArchive, locate, searchLocations } = provider;
+  if (!name || [getWeather, getArchive, locate, searchLocations].some((fn) => typeof fn !== "function")) {
+    throw new Error(`Provider "${name}": name, getWeather(), getArchive(), locate() and searchLocations() are required`);
+  }
+  if (providers.has(name)) {
+    throw new Error(`Provider "${name}" is already registered`);
+  }
+  providers.set(name, provider);
+  return provider;
+}
+
+/**
+ * A registered provider by name.
+ * @throws {Error} If there is none
+ */
+export function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown weather source "${name}" (available: ${[...providers.keys()].join(", ")})`);
+  }
+  return provider;
+}
+
+/**
+ * Registered providers, in registration order.
+ */
+export function getProviders() {
+  return [...providers.values()];
+}
@@ -0,0 +1,55 @@
+/**
+ * The hourly weather series every provider normalises to and every chart reads:
+ * {
+ *   latitude, longitude, timezone, elevation?  where the data is from (Open-Meteo grid cell, or the station)
+ *   locationName?, place?                      for place requests: display name and the resolved place
+ *   forecastStart?                             yyyy-mm-dd, first day containing forecast hours
+ *   source                                     provider name
+ *   hourly: { time, temperature, humidity, apparentTemperature, precipitation, windSpeed, windGusts, windDirection }
+ * }
+ * `time` holds local times ("yyyy-mm-ddThh:mm") in ascending order; every other array is aligned with it, with null
+ * for missing values. A variable the source does not record may be absent. Values are in the requested units.
+ */
+
+import { convertValue } from "../services/units.js";
+
+// Hourly variables and the unit kind of each (null: unitless or fixed unit)
+export const HOURLY_VARIABLES = {
+  temperature: "temperature", // air temperature at 2 m
+  humidity: null, // relative humidity, %
+  apparentTemperature: "temperature",
+  precipitation: "precipitation", // total over the preceding hour
+  windSpeed: "wind", // at 10 m
+  windGusts: "wind",
+  windDirection: null, // degrees the wind blows from, 0 = north
+};
+
+/**
+ * Concatenate two series' hourly data (earlier first).
+ * Variables missing from one side are padded with nulls so all arrays stay aligned with time.
+ */
+export function mergeHourly(first, second) {
+  const keys = new Set([...Object.keys(first.hourly ?? {}), ...Object.keys(second.hourly ?? {})]);
+  const firstLen = first.hourly?.time?.length ?? 0;
+  const secondLen = second.hourly?.time?.length ?? 0;
+  const hourly = {};
+  for (const key of keys) {
+    const a = first.hourly?.[key] ?? Array(firstLen).fill(null);
+    const b = second.hourly?.[key] ?? Array(secondLen).fill(null);
+    hourly[key] = a.concat(b);
+  }
+  return hourly;
+}
+
+/**
+ * Convert hourly data between unit sets ({ temperature, precipitation, wind }, see units.js).
+ * @returns {Object} New hourly object; `hourly` is left untouched
+ */
+export function convertHourly(hourly, from, to) {
+  const out = {};
+  for (const [key, values] of Object.entries(hourly)) {
+    const kind = HOURLY_VARIABLES[key];
+    out[key] = kind && from[kind] !== to[kind] ? values.map((v) => convertValue(kind, v, from[kind], to[kind])) : values;
+  }
+  return out;
+}
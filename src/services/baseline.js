@@ -0,0 +1,174 @@
+/**
+ * Climate baselines: per-day-of-year normals (mean daily max/min temperature and precipitation)
+ * over a multi-year reference period, computed from a provider's archive data (see providers/).
+ * A baseline takes decades of hourly data to build, so it is computed once per archive grid cell (or station)
+ * and persisted through the image cache backends (filesystem or Azure Blob) as JSON.
+ * Values are always stored in metric (°C, mm); callers convert to the requested units.
+ */
+
+import { aggregateHourlyToDaily } from "./chart.js";
+import { generateCacheKey, getCache, getTtlForDateRange, locationTag } from "./cache.js";
+import { DEFAULT_UNITS } from "./units.js";
+import { SingleFlight } from "./singleFlight.js";
+import { UpstreamError } from "./httpClient.js";
+
+export const DEFAULT_BASELINE = { from: 1991, to: 2020 };
+export const MIN_BASELINE_YEARS = 10;
+
+// Years fetched per archive request (keeps each response a few MB)
+const FETCH_CHUNK_YEARS = 10;
+// Days either side of each day-of-year averaged together to smooth the normals
+const SMOOTHING_HALF_WINDOW = 7;
+
+// A baseline takes decades of data to build; concurrent first requests for one must not each start it
+const baselineFlights = new SingleFlight("baseline");
+
+/**
+ * Parse a baseline period like "1991-2020".
+ * @returns {{ from: number, to: number }}
+ * @throws {Error} If malformed, outside the archive, or shorter than MIN_BASELINE_YEARS
+ */
+export function parseBaselinePeriod(value) {
+  if (value == null || value === "") return { ...DEFAULT_BASELINE };
+  const match = /^(\d{4})-(\d{4})$/.exec(String(value));
+  const lastCompleteYear = new Date().getFullYear() - 1;
+  if (!match) {
+    throw new Error("baseline must be a year range like 1991-2020");
+  }
+  const from = Number(match[1]);
+  const to = Number(match[2]);
+  if (from < 1940 || to > lastCompleteYear || to - from + 1 < MIN_BASELINE_YEARS) {
+    throw new Error(
+      `baseline must be at least ${MIN_BASELINE_YEARS} years between 1940 and ${lastCompleteYear}`
+    );
+  }
+  return { from, to };
+}
+
+/**
+ * Day-of-year key ("MM-DD") used to look up a date in a baseline.
+ */
+export function dayOfYearKey(dateStr) {
+  return dateStr.slice(5, 10);
+}
+
+// All 366 "MM-DD" keys in calendar order (2000 is a leap year)
+const DAY_KEYS = Array.from({ length: 366 }, (_, i) => {
+  const d = new Date(Date.UTC(2000, 0, 1 + i));
+  return d.toISOString().slice(5, 10);
+});
+
+/**
+ * Reduce daily rows from many years into smoothed per-day-of-year means.
+ * @param {Array<{ date, maxTemp, minTemp, precipitationSum }>} daily
+ * @returns {Object<string, { maxTemp, minTemp, precipitation }>} keyed by "MM-DD"
+ */
+function computeNormals(daily) {
+  const sums = new Map(DAY_KEYS.map((k) => [k, { maxTemp: 0, minTemp: 0, tempCount: 0, precip: 0, precipCount: 0 }]));
+  for (const row of daily) {
+    const s = sums.get(dayOfYearKey(row.date));
+    if (!s) continue;
+    if (row.maxTemp != null && row.minTemp != null) {
+      s.maxTemp += row.maxTemp;
+      s.minTemp += row.minTemp;
+      s.tempCount++;
+    }
+    if (row.precipitationSum != null) {
+      s.precip += row.precipitationSum;
+      s.precipCount++;
+    }
+  }
+
+  // Circular moving window so Dec 31 / Jan 1 smooth into each other
+  const normals = {};
+  const n = DAY_KEYS.length;
+  for (let i = 0; i < n; i++) {
+    const acc = { maxTemp: 0, minTemp: 0, tempCount: 0, precip: 0, precipCount: 0 };
+    for (let off = -SMOOTHING_HALF_WINDOW; off <= SMOOTHING_HALF_WINDOW; off++) {
+      const s = sums.get(DAY_KEYS[(i + off + n) % n]);
+      acc.maxTemp += s.maxTemp;
+      acc.minTemp += s.minTemp;
+      acc.tempCount += s.tempCount;
+      acc.precip += s.precip;
+      acc.precipCount += s.precipCount;
+    }
+    normals[DAY_KEYS[i]] = {
+      maxTemp: acc.tempCount ? acc.maxTemp / acc.tempCount : null,
+      minTemp: acc.tempCount ? acc.minTemp / acc.tempCount : null,
+      precipitation: acc.precipCount ? acc.precip / acc.precipCount : null,
+    };
+  }
+  return normals;
+}
+
+/**
+ * Fetch the reference period from the provider's archive (in chunks) and compute its normals.
+ */
+async function computeBaseline(lat, lon, timezone, period, provider) {
+  const daily = [];
+  for (let year = period.from; year <= period.to; year += FETCH_CHUNK_YEARS) {
+    const chunkEnd = Math.min(period.to, year + FETCH_CHUNK_YEARS - 1);
+    const data = await provider.getArchive(lat, lon, `${year}-01-01`, `${chunkEnd}-12-31`, timezone, DEFAULT_UNITS);
+    daily.push(...aggregateHourlyToDaily(data));
+  }
+  if (!daily.length) {
+    throw new Error(`No ${provider.name} data for the ${period.from}–${period.to} baseline at ${lat}, ${lon}`);
+  }
+  return {
+    latitude: lat,
+    longitude: lon,
+    timezone,
+    from: period.from,
+    to: period.to,
+    days: computeNormals(daily),
+  };
+}
+
+/**
+ * Get the baseline for a location, computing and persisting it on first use.
+ * Pass the latitude/longitude from a weather series (Open-Meteo's grid-snapped ones, or the station's) so nearby
+ * requests share one baseline.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {string} timezone - IANA timezone (day boundaries match the charted data)
+ * @param {{ from: number, to: number }} period - Reference years (e.g. DEFAULT_BASELINE)
+ * @param {Object} provider - Source of the archive data (see providers/registry.js)
+ * @returns {Promise<{ latitude, longitude, timezone, from, to, days: Object<string, { maxTemp, minTemp, precipitation }> }>}
+ */
+export async function getBaseline(lat, lon, timezone, period, provider) {
+  const cacheKey = generateCacheKey({
+    endpoint: "baseline",
+    // Open-Meteo baselines keep their original keys
+    ...(provider.name === "open-meteo" ? {} : { source: provider.name }),
+    lat: Number(lat).toFixed(2),
+    lon: Number(lon).toFixed(2),
+    timezone,
+    from: period.from,
+    to: period.to,
+  });
+
+  return baselineFlights.run(cacheKey, async () => {
+    const cache = await getCache();
+    const cached = await cache.get(cacheKey, "json");
+    if (cached) {
+      return JSON.parse(cached.toString("utf8"));
+    }
+
+    console.log(`[BASELINE] Computing ${period.from}–${period.to} normals for ${lat}, ${lon}`);
+    let baseline;
+    try {
+      baseline = await computeBaseline(lat, lon, timezone, period, provider);
+    } catch (err) {
+      // Normals hardly change: an expired copy is as good as a fresh one while the archive is down
+      const stale = err instanceof UpstreamError && err.unavailable ? await cache.get(cacheKey, "json", { allowStale: true }) : null;
+      if (stale) return JSON.parse(stale.toString("utf8"));
+      throw err;
+    }
+    await cache.set(cacheKey, "json", Buffer.from(JSON.stringify(baseline)), {
+      endpoint: "baseline",
+      locations: [locationTag({ lat, lon })],
+      ttlSeconds: getTtlForDateRange(`${period.to}-12-31`),
+    });
+    return baseline;
+  });
+}
@@ -7,9 +7,20 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // In-memory cache for frequently accessed images (LRU-style, max 100 items)
+// Entries are { data, meta } so expiry and purge filters apply to memory the same as to persistent storage
 const MEMORY_CACHE = new Map();
 const MAX_MEMORY_CACHE_SIZE = 100;
 
+// TTL tiers (seconds). Ranges touching the last few days change as archive/forecast data lands;
+// ranges from the last few months can still be revised upstream; older ranges are effectively fixed.
+const TTL_RECENT_SECONDS = Number(process.env.CACHE_TTL_RECENT_SECONDS) || 60 * 60; // 1 hour
+const TTL_SETTLING_SECONDS = Number(process.env.CACHE_TTL_SETTLING_SECONDS) || 24 * 60 * 60; // 1 day
+const TTL_HISTORICAL_SECONDS = Number(process.env.CACHE_TTL_HISTORICAL_SECONDS) || 90 * 24 * 60 * 60; // 90 days
+const RECENT_WINDOW_DAYS = 7;
+// Expired entries are kept this much longer, to stand in (flagged stale) while upstream is unavailable
+const STALE_GRACE_SECONDS = Number(process.env.CACHE_STALE_GRACE_SECONDS) || 7 * 24 * 60 * 60; // 7 days
+const SETTLING_WINDOW_DAYS = 90;
+
 // Resolve cache directory: if CACHE_DIR is set, resolve it relative to project root if relative
 // Otherwise default to ./cache relative to project root
 function resolveCacheDir() {
@@ -42,14 +53,156 @@ export function generateCacheKey(params) {
   return crypto.createHash("sha256").update(sorted).digest("hex");
 }
 
+// File extension and content type per cached format (images, data tables as JSON / CSV, and computed data such as baselines)
+const CACHE_FORMATS = {
+  png: { ext: "png", contentType: "image/png" },
+  svg: { ext: "svg", contentType: "image/svg+xml" },
+  webp: { ext: "webp", contentType: "image/webp" },
+  avif: { ext: "avif", contentType: "image/avif" },
+  jpeg: { ext: "jpg", contentType: "image/jpeg" },
+  pdf: { ext: "pdf", contentType: "application/pdf" },
+  json: { ext: "json", contentType: "application/json" },
+  csv: { ext: "csv", contentType: "text/csv; charset=utf-8" },
+};
+
+export function getFormatInfo(format) {
+  return CACHE_FORMATS[format] ?? CACHE_FORMATS.png;
+}
+
+/**
+ * Stored file / blob name for an entry: <key>.<ext>, e.g. "3f2a….jpg" for format "jpeg".
+ */
+function getCacheFileName(key, format) {
+  return `${key}.${getFormatInfo(format).ext}`;
+}
+
+/**
+ * Split a stored file / blob name back into its key and format.
+ */
+function parseCacheFileName(name) {
+  const dot = name.indexOf(".");
+  const ext = name.slice(dot + 1);
+  const format = Object.keys(CACHE_FORMATS).find((f) => CACHE_FORMATS[f].ext === ext) ?? ext;
+  return { key: name.slice(0, dot), format };
+}
+
+/**
+ * TTL (seconds) for an entry whose data ends on endDate (yyyy-mm-dd):
+ * short if the range touches the last RECENT_WINDOW_DAYS (or the future), medium within
+ * SETTLING_WINDOW_DAYS, long for fully historical ranges.
+ */
+export function getTtlForDateRange(endDate) {
+  const daysAgo = (Date.now() - new Date(`${endDate}T00:00:00Z`).getTime()) / (24 * 60 * 60 * 1000);
+  if (!(daysAgo > RECENT_WINDOW_DAYS)) return TTL_RECENT_SECONDS; // also covers invalid dates
+  if (daysAgo <= SETTLING_WINDOW_DAYS) return TTL_SETTLING_SECONDS;
+  return TTL_HISTORICAL_SECONDS;
+}
+
+/**
+ * Normalised location tag stored with each entry so it can be purged by location:
+ * "location:2643743" (location_id), "city:paris", "city:paris,country:us,admin1:texas" (a city narrowed as in the
+ * request, so Paris, Texas and Paris, France are purged apart) or "coords:51.5000,-0.1000".
+ */
+export function locationTag({ id, city, country, admin1, lat, lon }) {
+  const norm = (text) => String(text).trim().toLowerCase();
+  if (id != null && id !== "") return `location:${id}`;
+  if (city) {
+    return [`city:${norm(city)}`, country && `country:${norm(country)}`, admin1 && `admin1:${norm(admin1)}`]
+      .filter(Boolean)
+      .join(",");
+  }
+  if (lat != null && lon != null) return `coords:${Number(lat).toFixed(4)},${Number(lon).toFixed(4)}`;
+  return null;
+}
+
+/**
+ * Build stored metadata from set() options.
+ * @param {Object} [options] - { ttlSeconds, endpoint, locations: string[] (from locationTag) }
+ */
+function buildMeta(key, format, options = {}) {
+  return {
+    key,
+    format,
+    endpoint: options.endpoint ?? null,
+    locations: [...new Set((options.locations ?? []).filter(Boolean))],
+    createdAt: Date.now(),
+    expiresAt: options.ttlSeconds ? Date.now() + options.ttlSeconds * 1000 : null,
+  };
+}
+
+function isExpired(meta) {
+  return meta?.expiresAt != null && meta.expiresAt <= Date.now();
+}
+
+function isPastStaleGrace(meta) {
+  return meta?.expiresAt != null && meta.expiresAt + STALE_GRACE_SECONDS * 1000 <= Date.now();
+}
+
+/**
+ * Whether an entry's location tag is covered by a purge's: the same tag, or for cities every part of the purge's
+ * ("city:paris" covers "city:paris,country:fr"; "city:paris,country:us" does not).
+ */
+function matchesLocationTag(tag, purgeTag) {
+  if (tag === purgeTag) return true;
+  if (!tag.startsWith("city:") || !purgeTag.startsWith("city:")) return false;
+  const parts = new Set(tag.split(","));
+  return purgeTag.split(",").every((part) => parts.has(part));
+}
+
+/**
+ * Whether an entry's metadata matches a purge filter { key, endpoint, location, all }.
+ * Entries written before metadata existed only match `all` or `key`.
+ */
+function matchesPurgeFilter(key, meta, filter) {
+  if (filter.all) return true;
+  if (filter.key) return key === filter.key;
+  if (filter.endpoint && meta?.endpoint !== filter.endpoint) return false;
+  if (filter.location && !meta?.locations?.some((tag) => matchesLocationTag(tag, filter.location))) return false;
+  return Boolean(filter.endpoint || filter.location);
+}
+
+function recallFromMemory(memoryKey, allowStale) {
+  const entry = MEMORY_CACHE.get(memoryKey);
+  if (!entry) return null;
+  if (isPastStaleGrace(entry.meta)) {
+    MEMORY_CACHE.delete(memoryKey);
+    return null;
+  }
+  return isExpired(entry.meta) && !allowStale ? null : entry.data;
+}
+
+function rememberInMemory(memoryKey, data, meta) {
+  if (!MEMORY_CACHE.has(memoryKey) && MEMORY_CACHE.size >= MAX_MEMORY_CACHE_SIZE) {
+    const firstKey = MEMORY_CACHE.keys().next().value;
+    MEMORY_CACHE.delete(firstKey);
+  }
+  // Store a copy of the buffer to ensure it's not modified elsewhere
+  const bufferCopy = Buffer.isBuffer(data) ? Buffer.from(data) : data;
+  MEMORY_CACHE.set(memoryKey, { data: bufferCopy, meta });
+}
+
+function purgeMemory(filter) {
+  let purged = 0;
+  for (const [memoryKey, entry] of MEMORY_CACHE) {
+    const key = memoryKey.slice(0, memoryKey.lastIndexOf(":"));
+    if (matchesPurgeFilter(key, entry.meta, filter)) {
+      MEMORY_CACHE.delete(memoryKey);
+      purged++;
+    }
+  }
+  return purged;
+}
+
 /**
  * Get cache file path for a given key and format.
  */
 function getCachePath(key, format) {
-  const ext = format === "svg" ? "svg" : "png";
-  return path.join(CACHE_DIR, `${key}.${ext}`);
+  return path.join(CACHE_DIR, getCacheFileName(key, format));
 }
 
+// Metadata sidecar next to each cached file: <key>.<ext>.meta.json
+const META_SUFFIX = ".meta.json";
+
 /**
  * File system cache implementation.
  */
@@ -62,28 +215,36 @@ class FileSystemCache {
     }
   }
 
-  async get(key, format) {
+  /**
+   * @param {string} key
+   * @param {string} format
+   * @param {Object} [options] - { allowStale: also return entries expired within the stale grace period }
+   * @returns {Promise<Buffer|null>}
+   */
+  async get(key, format, { allowStale = false } = {}) {
     // Check in-memory cache first
     const memoryKey = `${key}:${format}`;
-    if (MEMORY_CACHE.has(memoryKey)) {
+    const remembered = recallFromMemory(memoryKey, allowStale);
+    if (remembered) {
       console.log(`[CACHE HIT] Memory cache for ${memoryKey.substring(0, 16)}...`);
-      return MEMORY_CACHE.get(memoryKey);
+      return remembered;
     }
-    console.log(`[CACHE MISS] Memory cache for ${memoryKey.substring(0, 16)}..., checking blob storage`);
+    console.log(`[CACHE MISS] Memory cache for ${memoryKey.substring(0, 16)}..., checking file system`);
 
     try {
       const filePath = getCachePath(key, format);
-      const data = await fs.readFile(filePath);
-      
-      // Store in memory cache (evict oldest if needed)
-      if (MEMORY_CACHE.size >= MAX_MEMORY_CACHE_SIZE) {
-        const firstKey = MEMORY_CACHE.keys().next().value;
-        MEMORY_CACHE.delete(firstKey);
+      const meta = await this.readMeta(filePath);
+      if (isPastStaleGrace(meta)) {
+        console.log(`[CACHE EXPIRED] ${memoryKey.substring(0, 16)}...`);
+        await this.removeFile(filePath);
+        return null;
       }
-      // Store a copy of the buffer
-      const bufferCopy = Buffer.isBuffer(data) ? Buffer.from(data) : data;
-      MEMORY_CACHE.set(memoryKey, bufferCopy);
-      
+      if (isExpired(meta) && !allowStale) {
+        return null; // Kept as a stale fallback until the grace period ends
+      }
+      const data = await fs.readFile(filePath);
+
+      rememberInMemory(memoryKey, data, meta);
       return data;
     } catch (err) {
       if (err.code === "ENOENT") {
@@ -93,32 +254,69 @@ class FileSystemCache {
     }
   }
 
-  async set(key, format, data) {
+  /**
+   * @param {string} key
+   * @param {string} format
+   * @param {Buffer} data
+   * @param {Object} [options] - { ttlSeconds, endpoint, locations } (see buildMeta)
+   */
+  async set(key, format, data, options = {}) {
     // Store in memory cache immediately (synchronous, before any async operations)
     const memoryKey = `${key}:${format}`;
-    if (MEMORY_CACHE.size >= MAX_MEMORY_CACHE_SIZE) {
-      const firstKey = MEMORY_CACHE.keys().next().value;
-      MEMORY_CACHE.delete(firstKey);
-    }
-    // Store a copy of the buffer
-    const bufferCopy = Buffer.isBuffer(data) ? Buffer.from(data) : data;
-    MEMORY_CACHE.set(memoryKey, bufferCopy);
+    const meta = buildMeta(key, format, options);
+    rememberInMemory(memoryKey, data, meta);
     console.log(`[CACHE SET] Memory cache for ${memoryKey.substring(0, 16)}... (size: ${MEMORY_CACHE.size}/${MAX_MEMORY_CACHE_SIZE})`);
-    
+
     // Write to filesystem (errors are non-fatal, memory cache is already set)
     try {
       const filePath = getCachePath(key, format);
       await fs.writeFile(filePath, data);
+      await fs.writeFile(filePath + META_SUFFIX, JSON.stringify(meta));
     } catch (err) {
       console.error(`Failed to write cache file: ${err.message}`);
       // Don't throw - caching is optional
     }
   }
+
+  /**
+   * Delete entries matching { key, endpoint, location, all } from memory and disk.
+   * @returns {Promise<{ memory: number, storage: number }>} Entries removed from each layer
+   */
+  async purge(filter) {
+    const memory = purgeMemory(filter);
+    let storage = 0;
+    const files = await fs.readdir(CACHE_DIR).catch(() => []);
+    for (const file of files) {
+      if (file.endsWith(META_SUFFIX)) continue;
+      const filePath = path.join(CACHE_DIR, file);
+      const { key } = parseCacheFileName(file);
+      const meta = await this.readMeta(filePath);
+      if (matchesPurgeFilter(key, meta, filter)) {
+        await this.removeFile(filePath);
+        storage++;
+      }
+    }
+    return { memory, storage };
+  }
+
+  async readMeta(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath + META_SUFFIX, "utf8"));
+    } catch {
+      return null; // No sidecar (entry written before metadata existed): never expires
+    }
+  }
+
+  async removeFile(filePath) {
+    await fs.rm(filePath, { force: true });
+    await fs.rm(filePath + META_SUFFIX, { force: true });
+  }
 }
 
 /**
  * Azure Blob Storage cache implementation.
  * Uses managed identity when deployed to Azure, or DefaultAzureCredential for local dev.
+ * Entry metadata (expiry, endpoint, locations) is stored as blob metadata.
  */
 class AzureBlobCache {
   constructor() {
@@ -170,17 +368,24 @@ class AzureBlobCache {
     }
   }
 
-  async get(key, format) {
+  /**
+   * @param {string} key
+   * @param {string} format
+   * @param {Object} [options] - { allowStale: also return entries expired within the stale grace period }
+   * @returns {Promise<Buffer|null>}
+   */
+  async get(key, format, { allowStale = false } = {}) {
     // Check in-memory cache first
     const memoryKey = `${key}:${format}`;
-    if (MEMORY_CACHE.has(memoryKey)) {
+    const remembered = recallFromMemory(memoryKey, allowStale);
+    if (remembered) {
       console.log(`[CACHE HIT] Memory cache for ${memoryKey.substring(0, 16)}...`);
-      return MEMORY_CACHE.get(memoryKey);
+      return remembered;
     }
     console.log(`[CACHE MISS] Memory cache for ${memoryKey.substring(0, 16)}..., checking blob storage`);
 
     try {
-      const blobName = `${key}.${format === "svg" ? "svg" : "png"}`;
+      const blobName = getCacheFileName(key, format);
       const blobClient = this.containerClient.getBlobClient(blobName);
       
       if (!(await blobClient.exists())) {
@@ -189,6 +394,15 @@ class AzureBlobCache {
       
       // Stream download more efficiently
       const downloadResponse = await blobClient.download();
+      const meta = fromBlobMetadata(key, format, downloadResponse.metadata);
+      if (isPastStaleGrace(meta)) {
+        console.log(`[CACHE EXPIRED] ${memoryKey.substring(0, 16)}...`);
+        await blobClient.deleteIfExists();
+        return null;
+      }
+      if (isExpired(meta) && !allowStale) {
+        return null; // Kept as a stale fallback until the grace period ends
+      }
       const stream = downloadResponse.readableStreamBody;
       
       // Convert stream to buffer efficiently
@@ -200,13 +414,7 @@ class AzureBlobCache {
       const buffer = Buffer.concat(chunks);
       
       // Store in memory cache (evict oldest if needed)
-      if (MEMORY_CACHE.size >= MAX_MEMORY_CACHE_SIZE) {
-        const firstKey = MEMORY_CACHE.keys().next().value;
-        MEMORY_CACHE.delete(firstKey);
-      }
-      // Store a copy of the buffer
-      const bufferCopy = Buffer.from(buffer);
-      MEMORY_CACHE.set(memoryKey, bufferCopy);
+      rememberInMemory(memoryKey, buffer, meta);
       console.log(`[CACHE STORED] Memory cache for ${memoryKey.substring(0, 16)}... (size: ${MEMORY_CACHE.size}/${MAX_MEMORY_CACHE_SIZE})`);
       
       return buffer;
@@ -216,32 +424,78 @@ class AzureBlobCache {
     }
   }
 
-  async set(key, format, data) {
+  /**
+   * @param {string} key
+   * @param {string} format
+   * @param {Buffer} data
+   * @param {Object} [options] - { ttlSeconds, endpoint, locations } (see buildMeta)
+   */
+  async set(key, format, data, options = {}) {
     // Store in memory cache immediately (synchronous, before any async operations)
     const memoryKey = `${key}:${format}`;
-    if (MEMORY_CACHE.size >= MAX_MEMORY_CACHE_SIZE) {
-      const firstKey = MEMORY_CACHE.keys().next().value;
-      MEMORY_CACHE.delete(firstKey);
-    }
-    // Store a copy of the buffer to ensure it's not modified elsewhere
-    const bufferCopy = Buffer.isBuffer(data) ? Buffer.from(data) : data;
-    MEMORY_CACHE.set(memoryKey, bufferCopy);
+    const meta = buildMeta(key, format, options);
+    rememberInMemory(memoryKey, data, meta);
     console.log(`[CACHE SET] Memory cache for ${memoryKey.substring(0, 16)}... (size: ${MEMORY_CACHE.size}/${MAX_MEMORY_CACHE_SIZE})`);
     
     // Upload to blob storage (this can happen in background, errors are non-fatal)
     try {
-      const blobName = `${key}.${format === "svg" ? "svg" : "png"}`;
+      const blobName = getCacheFileName(key, format);
       const blockBlobClient = this.containerClient.getBlockBlobClient(blobName);
-      const contentType = format === "svg" ? "image/svg+xml" : "image/png";
+      const contentType = getFormatInfo(format).contentType;
       
       await blockBlobClient.uploadData(data, {
         blobHTTPHeaders: { blobContentType: contentType },
+        metadata: toBlobMetadata(meta),
       });
     } catch (err) {
       console.error(`Azure Blob set error: ${err.message}`);
       // Don't throw - caching is optional, memory cache is already set
     }
   }
+
+  /**
+   * Delete entries matching { key, endpoint, location, all } from memory and the container.
+   * @returns {Promise<{ memory: number, storage: number }>} Entries removed from each layer
+   */
+  async purge(filter) {
+    const memory = purgeMemory(filter);
+    let storage = 0;
+    const listOptions = filter.key ? { prefix: `${filter.key}.`, includeMetadata: true } : { includeMetadata: true };
+    for await (const blob of this.containerClient.listBlobsFlat(listOptions)) {
+      const { key, format } = parseCacheFileName(blob.name);
+      const meta = fromBlobMetadata(key, format, blob.metadata);
+      if (!matchesPurgeFilter(key, meta, filter)) continue;
+      try {
+        await this.containerClient.deleteBlob(blob.name, { deleteSnapshots: "include" });
+        storage++;
+      } catch (err) {
+        console.error(`Azure Blob delete error for ${blob.name}: ${err.message}`);
+      }
+    }
+    return { memory, storage };
+  }
+}
+
+// Blob metadata values must be ASCII strings, so locations are URI-encoded
+function toBlobMetadata(meta) {
+  return {
+    endpoint: meta.endpoint ?? "",
+    locations: meta.locations.map(encodeURIComponent).join(";"),
+    createdat: String(meta.createdAt),
+    expiresat: meta.expiresAt != null ? String(meta.expiresAt) : "",
+  };
+}
+
+function fromBlobMetadata(key, format, metadata) {
+  if (!metadata?.createdat) return null; // Written before metadata existed: never expires
+  return {
+    key,
+    format,
+    endpoint: metadata.endpoint || null,
+    locations: metadata.locations ? metadata.locations.split(";").map(decodeURIComponent) : [],
+    createdAt: Number(metadata.createdat),
+    expiresAt: metadata.expiresat ? Number(metadata.expiresat) : null,
+  };
 }
 
 // Initialize cache based on storage type
@@ -1,26 +1,36 @@
 import { JSDOM } from "jsdom";
 import * as d3 from "d3";
+import { getUnitInfo } from "./units.js";
+import { getTheme } from "./themes.js";
+import { heatmapColorScale } from "./colorScales.js";
+import { CIVIL_TWILIGHT_ALTITUDE, getLocalSunTimes } from "./sun.js";
 
+// Default daily chart canvas; dailyChartLayout scales margins, fonts and ticks from it for other sizes
 const WIDTH = 700;
 const HEIGHT = 420;
 const MARGIN = { top: 50, right: 50, bottom: 60, left: 55 };
 
 /**
- * Aggregate Open-Meteo hourly data into one row per day.
- * @param {Object} data - Open-Meteo archive response: { hourly: { time, temperature_2m, relative_humidity_2m, apparent_temperature, precipitation } }
- * @returns {Array<{ date, maxTemp, minTemp, meanHumidity, meanApparentTemp, precipitationSum }>}
+ * Aggregate an hourly weather series into one row per day.
+ * Wind direction is the speed-weighted vector mean of the hourly "from" directions (degrees, 0 = north).
+ * @param {Object} data - Weather series (see providers/series.js): { hourly: { time, temperature, humidity, apparentTemperature, precipitation, windSpeed, windGusts, windDirection } }
+ * Rain hours are the hours with any precipitation.
+ * @returns {Array<{ date, meanTemp, maxTemp, minTemp, meanHumidity, meanApparentTemp, maxApparentTemp, minApparentTemp, precipitationSum, rainHours, meanWind, maxWind, maxGust, windDirection }>}
  */
-function aggregateHourlyToDaily(data) {
+export function aggregateHourlyToDaily(data) {
   const hourly = data.hourly;
   if (!hourly?.time?.length) return [];
 
   const time = hourly.time;
-  const temp = hourly.temperature_2m ?? [];
-  const humidity = hourly.relative_humidity_2m ?? [];
-  const apparent = hourly.apparent_temperature ?? [];
+  const temp = hourly.temperature ?? [];
+  const humidity = hourly.humidity ?? [];
+  const apparent = hourly.apparentTemperature ?? [];
   const precip = hourly.precipitation ?? [];
+  const windSpeed = hourly.windSpeed ?? [];
+  const windGust = hourly.windGusts ?? [];
+  const windDir = hourly.windDirection ?? [];
 
-  const byDay = new Map(); // date string -> { maxTemp, minTemp, sumHumidity, count, sumApparent, sumPrecip }
+  const byDay = new Map(); // date string -> { maxTemp, minTemp, sumTemp, tempCount, sumHumidity, count, apparent max / min / sum / count, sumPrecip, rainHours, wind sums }
 
   for (let i = 0; i < time.length; i++) {
     const dateStr = time[i].slice(0, 10); // yyyy-mm-dd
@@ -29,10 +39,22 @@ function aggregateHourlyToDaily(data) {
         date: dateStr,
         maxTemp: -Infinity,
         minTemp: Infinity,
+        sumTemp: 0,
+        tempCount: 0,
         sumHumidity: 0,
-        sumApparent: 0,
         count: 0,
+        maxApparent: -Infinity,
+        minApparent: Infinity,
+        sumApparent: 0,
+        apparentCount: 0,
         sumPrecip: 0,
+        rainHours: 0,
+        sumWind: 0,
+        windCount: 0,
+        maxWind: -Infinity,
+        maxGust: -Infinity,
+        windX: 0, // Σ speed·sin(direction)
+        windY: 0, // Σ speed·cos(direction)
       });
     }
     const row = byDay.get(dateStr);
@@ -43,32 +65,354 @@ function aggregateHourlyToDaily(data) {
     if (t != null && !Number.isNaN(t)) {
       row.maxTemp = Math.max(row.maxTemp, t);
       row.minTemp = Math.min(row.minTemp, t);
+      row.sumTemp += t;
+      row.tempCount++;
     }
     if (h != null && !Number.isNaN(h)) {
       row.sumHumidity += h;
       row.count++;
     }
-    if (a != null && !Number.isNaN(a)) row.sumApparent += a;
-    if (p != null && !Number.isNaN(p)) row.sumPrecip += p;
+    if (a != null && !Number.isNaN(a)) {
+      row.maxApparent = Math.max(row.maxApparent, a);
+      row.minApparent = Math.min(row.minApparent, a);
+      row.sumApparent += a;
+      row.apparentCount++;
+    }
+    if (p != null && !Number.isNaN(p)) {
+      row.sumPrecip += p;
+      if (p > 0) row.rainHours++;
+    }
+    const ws = windSpeed[i];
+    const wg = windGust[i];
+    const wd = windDir[i];
+    if (ws != null && !Number.isNaN(ws)) {
+      row.sumWind += ws;
+      row.windCount++;
+      row.maxWind = Math.max(row.maxWind, ws);
+      if (wd != null && !Number.isNaN(wd)) {
+        const rad = (wd * Math.PI) / 180;
+        row.windX += ws * Math.sin(rad);
+        row.windY += ws * Math.cos(rad);
+      }
+    }
+    if (wg != null && !Number.isNaN(wg)) row.maxGust = Math.max(row.maxGust, wg);
   }
 
   return Array.from(byDay.entries())
     .map(([date, row]) => ({
       date,
+      meanTemp: row.tempCount ? row.sumTemp / row.tempCount : null,
       maxTemp: row.maxTemp === -Infinity ? null : row.maxTemp,
       minTemp: row.minTemp === Infinity ? null : row.minTemp,
       meanHumidity: row.count ? row.sumHumidity / row.count : null,
+      meanApparentTemp: row.apparentCount ? row.sumApparent / row.apparentCount : null,
+      maxApparentTemp: row.maxApparent === -Infinity ? null : row.maxApparent,
+      minApparentTemp: row.minApparent === Infinity ? null : row.minApparent,
       precipitationSum: row.sumPrecip,
+      rainHours: row.rainHours,
+      meanWind: row.windCount ? row.sumWind / row.windCount : null,
+      maxWind: row.maxWind === -Infinity ? null : row.maxWind,
+      maxGust: row.maxGust === -Infinity ? null : row.maxGust,
+      windDirection:
+        row.windX || row.windY
+          ? ((Math.atan2(row.windX, row.windY) * 180) / Math.PI + 360) % 360
+          : null,
     }))
     .sort((a, b) => a.date.localeCompare(b.date));
 }
 
 /**
- * Build SVG from Open-Meteo historical weather response.
- * @param {Object} data - Response from getHistoricalWeather / getWeatherByCity (includes locationName if by city)
+ * Add a diagonal hatch pattern to the SVG's <defs> for marking forecast days.
+ * The pattern is stripes only (transparent between), so it is drawn over an already-filled shape.
+ * @returns {string} Fill value referencing the pattern, e.g. "url(#forecast-hatch)"
+ */
+function appendForecastHatch(svg, theme, id = "forecast-hatch") {
+  const pattern = svg
+    .append("defs")
+    .append("pattern")
+    .attr("id", id)
+    .attr("patternUnits", "userSpaceOnUse")
+    .attr("width", 6)
+    .attr("height", 6)
+    .attr("patternTransform", "rotate(45)");
+  pattern
+    .append("line")
+    .attr("x1", 0)
+    .attr("y1", 0)
+    .attr("x2", 0)
+    .attr("y2", 6)
+    .attr("stroke", theme.background)
+    .attr("stroke-width", 2.5);
+  return `url(#${id})`;
+}
+
+/**
+ * Dashed vertical line with a "Forecast" label at the left edge of the first forecast day.
+ */
+function appendForecastDivider(g, x, layout, theme) {
+  g.append("line")
+    .attr("x1", x)
+    .attr("x2", x)
+    .attr("y1", 0)
+    .attr("y2", layout.chartHeight)
+    .attr("stroke", theme.muted)
+    .attr("stroke-width", 1)
+    .attr("stroke-dasharray", "4,3");
+  g.append("text")
+    .attr("x", x + 4)
+    .attr("y", layout.font.axis - 1)
+    .attr("fill", theme.muted)
+    .attr("font-size", `${layout.font.axis}px`)
+    .attr("font-family", "system-ui, sans-serif")
+    .text("Forecast →");
+}
+
+// --- Daily chart layout: canvas size → margins, font sizes, tick density and legend rows ---
+
+// Accepted canvas sizes (px) for the daily charts; `scale` multiplies the raster output, not the layout
+export const DAILY_CHART_SIZE = {
+  width: { min: 320, max: 2560, default: WIDTH },
+  height: { min: 200, max: 1440, default: HEIGHT },
+  scale: { min: 1, max: 3, default: 1 },
+};
+
+/**
+ * Layout for a daily chart canvas. Everything scales with the canvas (factor 1 at the default 700×420),
+ * with minimum font sizes so a 320px card stays legible; x-axis dates are thinned to what fits and legend
+ * entries wrap onto extra rows, which the bottom margin makes room for.
+ * @param {Object} options - Builder options: { width, height } in px (default 700×420)
+ * @param {Array<{ label: string, color: string|null, hatched?: boolean }>} [legendEntries] - Entries without a colour are plain notes
+ * @param {Object} [frame] - { rightAxis: true to make room for a second y axis on the right }
+ */
+function dailyChartLayout(options, legendEntries = [], { rightAxis = false } = {}) {
+  const width = options.width ?? WIDTH;
+  const height = options.height ?? HEIGHT;
+  const k = Math.min(2.2, Math.max(0.75, Math.sqrt((width * height) / (WIDTH * HEIGHT))));
+  const px = (base, min) => Math.max(min, Math.round(base * k));
+  const font = { title: px(18, 12), subtitle: px(13, 10), axis: px(11, 9), label: px(12, 9), legend: px(11, 9) };
+
+  // Subtitle baseline just above the plot, title above it
+  const subtitleY = -px(10, 6);
+  const titleY = subtitleY - font.subtitle - px(5, 3);
+  const margin = {
+    top: -titleY + font.title + px(4, 2),
+    right: rightAxis ? px(MARGIN.left, 48) : px(MARGIN.right, 16),
+    bottom: 0,
+    left: px(MARGIN.left, 48),
+  };
+  const chartWidth = width - margin.left - margin.right;
+
+  // Legend: entries flow left to right and wrap; a label wider than a whole row is truncated
+  const swatch = Math.round((font.legend * 12) / 11);
+  const swatchGap = px(6, 4);
+  const rowHeight = font.legend + px(3, 2);
+  const items = [];
+  let x = 0;
+  let row = 0;
+  for (const entry of legendEntries) {
+    const indent = entry.color ? swatch + swatchGap : 0;
+    const label = truncateToWidth(entry.label, chartWidth - indent, font.legend);
+    const itemWidth = indent + label.length * font.legend * GLYPH_WIDTH_RATIO;
+    if (x > 0 && x + itemWidth > chartWidth) {
+      x = 0;
+      row++;
+    }
+    items.push({ ...entry, label, x, row });
+    x += itemWidth + px(22, 12);
+  }
+  // Below the x-axis tick marks and date labels
+  const legendTop = 9 + font.axis + px(18, 10);
+  margin.bottom = legendTop + (items.length ? row + 1 : 0) * rowHeight + px(8, 4);
+  const chartHeight = height - margin.top - margin.bottom;
+
+  return {
+    width,
+    height,
+    margin,
+    chartWidth,
+    chartHeight,
+    font,
+    px,
+    k,
+    titleY,
+    subtitleY,
+    yTicks: Math.max(2, Math.round(chartHeight / px(50, 30))),
+    // Dates are drawn as "mm/dd": five glyphs plus some space between labels
+    maxXTicks: Math.max(2, Math.floor(chartWidth / (5 * font.axis * GLYPH_WIDTH_RATIO + px(8, 4)))),
+    legend: { items, top: legendTop, rowHeight, swatch, swatchGap },
+  };
+}
+
+/**
+ * SVG root, background, title and subtitle for a daily chart. The title shrinks to fit long place names on narrow canvases.
+ * @returns {{ svg, g }} g is the plot group, origin at the plot's top-left
+ */
+function appendChartFrame(body, layout, { title, subtitle, theme }) {
+  const { width, height, margin, chartWidth, font } = layout;
+  const svg = body
+    .append("svg")
+    .attr("xmlns", "http://www.w3.org/2000/svg")
+    .attr("width", width)
+    .attr("height", height)
+    .attr("viewBox", `0 0 ${width} ${height}`);
+
+  svg.append("rect").attr("width", width).attr("height", height).attr("fill", theme.background);
+
+  const g = svg
+    .append("g")
+    .attr("transform", `translate(${margin.left},${margin.top})`);
+
+  // Centred over the plot; room either side is at least the plot half-width plus the narrower margin
+  const textWidth = chartWidth + 2 * Math.min(margin.left, margin.right) - 8;
+  g.append("text")
+    .attr("x", chartWidth / 2)
+    .attr("y", layout.titleY)
+    .attr("text-anchor", "middle")
+    .attr("fill", theme.foreground)
+    .attr("font-size", `${fitFontSize(title, textWidth, font.title, 10)}px`)
+    .attr("font-family", "system-ui, sans-serif")
+    .text(title);
+  g.append("text")
+    .attr("x", chartWidth / 2)
+    .attr("y", layout.subtitleY)
+    .attr("text-anchor", "middle")
+    .attr("fill", theme.text)
+    .attr("font-size", `${fitFontSize(subtitle, textWidth, font.subtitle, 8)}px`)
+    .attr("font-family", "system-ui, sans-serif")
+    .text(subtitle);
+
+  return { svg, g };
+}
+
+/**
+ * Date x axis (mm/dd, thinned to what fits the width), left y axis and its rotated label.
+ */
+function appendDailyAxes(g, layout, { xScale, yScale, yLabel, yTickFormat = null, theme }) {
+  const { chartHeight, font } = layout;
+  const dates = xScale.domain();
+  const tickEvery = Math.ceil(dates.length / layout.maxXTicks);
+  const xAxis = g
+    .append("g")
+    .attr("transform", `translate(0,${chartHeight})`)
+    .call(
+      d3
+        .axisBottom(xScale)
+        .tickValues(dates.filter((_, i) => i % tickEvery === 0))
+        .tickFormat((d) => {
+          const [y, m, day] = d.split("-");
+          return `${m}/${day}`;
+        })
+    );
+  xAxis.selectAll("text").attr("fill", theme.text).attr("font-size", `${font.axis}px`).attr("font-family", "system-ui, sans-serif");
+  xAxis.selectAll(".domain, .tick line").attr("stroke", theme.axis);
+
+  const yAxisLeft = g.append("g").call(d3.axisLeft(yScale).ticks(layout.yTicks).tickFormat(yTickFormat));
+  yAxisLeft.selectAll("text").attr("fill", theme.text).attr("font-size", `${font.axis}px`).attr("font-family", "system-ui, sans-serif");
+  yAxisLeft.selectAll(".domain, .tick line").attr("stroke", theme.axis);
+
+  g.append("text")
+    .attr("transform", "rotate(-90)")
+    .attr("y", -layout.px(40, 36))
+    .attr("x", -chartHeight / 2)
+    .attr("text-anchor", "middle")
+    .attr("fill", theme.text)
+    .attr("font-size", `${font.label}px`)
+    .attr("font-family", "system-ui, sans-serif")
+    .text(yLabel);
+}
+
+/**
+ * Second y axis on the right of the plot, with its rotated label (needs dailyChartLayout's rightAxis).
+ */
+function appendRightAxis(g, layout, { yScale, yLabel, theme }) {
+  const { chartWidth, chartHeight, font } = layout;
+  const axis = g.append("g").attr("transform", `translate(${chartWidth},0)`).call(d3.axisRight(yScale).ticks(layout.yTicks));
+  axis.selectAll("text").attr("fill", theme.text).attr("font-size", `${font.axis}px`).attr("font-family", "system-ui, sans-serif");
+  axis.selectAll(".domain, .tick line").attr("stroke", theme.axis);
+
+  g.append("text")
+    .attr("transform", "rotate(90)")
+    .attr("y", -(chartWidth + layout.px(40, 36)))
+    .attr("x", chartHeight / 2)
+    .attr("text-anchor", "middle")
+    .attr("fill", theme.text)
+    .attr("font-size", `${font.label}px`)
+    .attr("font-family", "system-ui, sans-serif")
+    .text(yLabel);
+}
+
+/**
+ * Legend below the plot, as laid out by dailyChartLayout. Hatched entries get the forecast hatch over their swatch.
+ */
+function appendLegend(g, layout, theme, forecastHatch = null) {
+  const { items, top, rowHeight, swatch, swatchGap } = layout.legend;
+  const legend = g.append("g").attr("transform", `translate(0,${layout.chartHeight + top})`);
+  for (const item of items) {
+    const y = item.row * rowHeight;
+    if (item.color) {
+      legend
+        .append("rect")
+        .attr("x", item.x)
+        .attr("y", y)
+        .attr("width", swatch)
+        .attr("height", swatch)
+        .attr("fill", item.color)
+        .attr("rx", 2);
+      if (item.hatched && forecastHatch) {
+        legend
+          .append("rect")
+          .attr("x", item.x)
+          .attr("y", y)
+          .attr("width", swatch)
+          .attr("height", swatch)
+          .attr("fill", forecastHatch)
+          .attr("rx", 2);
+      }
+    }
+    legend
+      .append("text")
+      .attr("x", item.color ? item.x + swatch + swatchGap : item.x)
+      .attr("y", y + Math.round((swatch * 10) / 12))
+      .attr("fill", theme.text)
+      .attr("font-size", `${layout.font.legend}px`)
+      .attr("font-family", "system-ui, sans-serif")
+      .text(item.label);
+  }
+}
+
+/**
+ * Series the daily weather chart can draw, in drawing order: the aggregateHourlyToDaily field, legend label and
+ * theme series colour of each. Humidity has its own axis on the right when drawn with temperatures.
+ */
+export const WEATHER_SERIES = {
+  "max-temp": { field: "maxTemp", label: "Max temp", color: "max" },
+  "min-temp": { field: "minTemp", label: "Min temp", color: "min" },
+  "mean-temp": { field: "meanTemp", label: "Mean temp", color: "mean" },
+  "feels-max": { field: "maxApparentTemp", label: "Feels-like max", color: "feelsMax" },
+  "feels-min": { field: "minApparentTemp", label: "Feels-like min", color: "feelsMin" },
+  humidity: { field: "meanHumidity", label: "Mean humidity", color: "humidity" },
+};
+export const DEFAULT_WEATHER_SERIES = ["max-temp", "min-temp", "humidity"];
+export const WEATHER_STYLES = ["bars", "lines"];
+
+// Pairs drawn as a shaded band between their lines in the lines style, when both are selected
+const WEATHER_BANDS = [
+  ["max-temp", "min-temp"],
+  ["feels-max", "feels-min"],
+];
+
+/**
+ * Build the daily weather chart SVG from a weather series.
+ * Bars: one bar per series per day, days on or after data.forecastStart (set when forecast data was stitched in)
+ * drawn hatched. Lines: one line per series, a shaded band between max and min (and between the feels-like
+ * max and min), with points on each day drawn hollow for forecast days when there is room for points.
+ * Temperatures share the left axis; humidity is on a right-hand 0–100 % axis (the left one when drawn alone).
+ * @param {Object} data - Weather series from a provider (includes locationName if by place)
+ * @param {Object} [options] - { series (keys of WEATHER_SERIES, default DEFAULT_WEATHER_SERIES), style ("bars" | "lines", default "bars"), units ({ temperature, precipitation }, default metric), theme (name from themes.js, default dark), width, height (px, default 700×420) }
  * @returns {string} SVG markup
  */
-export function buildWeatherChartSvg(data) {
+export function buildWeatherChartSvg(data, options = {}) {
+  const theme = getTheme(options.theme);
   const dom = new JSDOM("<!DOCTYPE html><body></body>", {
     pretendToBeVisual: true,
   });
@@ -79,14 +423,43 @@ export function buildWeatherChartSvg(data) {
     throw new Error("No hourly data in response");
   }
 
+  const { temperature: tempUnit } = getUnitInfo(options.units);
+  const lines = options.style === "lines";
+  const selected = options.series?.length ? options.series : DEFAULT_WEATHER_SERIES;
+  const series = Object.keys(WEATHER_SERIES)
+    .filter((key) => selected.includes(key))
+    .map((key) => ({ key, ...WEATHER_SERIES[key], color: theme.series[WEATHER_SERIES[key].color] }));
+  const tempSeries = series.filter((s) => s.key !== "humidity");
+  const humiditySeries = series.find((s) => s.key === "humidity");
+  const humidityOnRight = Boolean(humiditySeries && tempSeries.length);
+
   const locationName = data.locationName || data.timezone || "Unknown";
   const startDate = daily[0].date;
   const endDate = daily[daily.length - 1].date;
-  const title = `Historical weather — ${locationName}`;
+  const forecastStart = data.forecastStart ?? null;
+  const isForecast = (date) => forecastStart != null && date >= forecastStart;
+  const hasForecast = daily.some((d) => isForecast(d.date));
+  const title = `${hasForecast ? "Weather" : "Historical weather"} — ${locationName}`;
   const subtitle = `${startDate} to ${endDate}`;
 
-  const chartWidth = WIDTH - MARGIN.left - MARGIN.right;
-  const chartHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  // Points only where days are far enough apart to tell them from the line
+  const pointsFit = (options.width ?? WIDTH) / daily.length >= 10;
+  const forecastLegend = !hasForecast
+    ? []
+    : !lines
+      ? [{ label: "Forecast (hatched)", color: theme.muted, hatched: true }]
+      : pointsFit
+        ? [{ label: "Forecast: open points", color: null }]
+        : [];
+  const layout = dailyChartLayout(
+    options,
+    [
+      ...series.map((s) => ({ label: `${s.label} (${s.key === "humidity" ? "%" : tempUnit.symbol})`, color: s.color })),
+      ...forecastLegend,
+    ],
+    { rightAxis: humidityOnRight }
+  );
+  const { chartWidth, chartHeight } = layout;
 
   const xScale = d3
     .scaleBand()
@@ -94,12 +467,8 @@ export function buildWeatherChartSvg(data) {
     .range([0, chartWidth])
     .padding(0.25);
 
-  const minTemps = daily.map((d) => d.minTemp).filter((v) => v != null);
-  const maxTemps = daily.map((d) => d.maxTemp).filter((v) => v != null);
-  const tempExtent = [
-    minTemps.length ? Math.min(...minTemps) : 0,
-    maxTemps.length ? Math.max(...maxTemps) : 20,
-  ];
+  const temps = daily.flatMap((d) => tempSeries.map((s) => d[s.field])).filter((v) => v != null);
+  const tempExtent = temps.length ? [Math.min(...temps), Math.max(...temps)] : [0, 20];
   const tempRange = tempExtent[1] - tempExtent[0] || 1;
   const yTemp = d3
     .scaleLinear()
@@ -112,138 +481,323 @@ export function buildWeatherChartSvg(data) {
     .scaleLinear()
     .domain([0, humidityMax])
     .range([chartHeight, 0]);
+  const yFor = (s) => (s.key === "humidity" ? yHumidity : yTemp);
 
   const body = d3.select(document.body);
-  const svg = body
-    .append("svg")
-    .attr("xmlns", "http://www.w3.org/2000/svg")
-    .attr("width", WIDTH)
-    .attr("height", HEIGHT)
-    .attr("viewBox", `0 0 ${WIDTH} ${HEIGHT}`);
+  const { svg, g } = appendChartFrame(body, layout, { title, subtitle, theme });
+
+  const forecastHatch = hasForecast && !lines ? appendForecastHatch(svg, theme) : null;
+
+  if (lines) {
+    const cx = (d) => (xScale(d.date) ?? 0) + xScale.bandwidth() / 2;
+    const strokeWidth = layout.px(2, 1.5);
+
+    // Bands first, under every line
+    const defs = svg.append("defs");
+    for (const [upperKey, lowerKey] of WEATHER_BANDS) {
+      const upper = series.find((s) => s.key === upperKey);
+      const lower = series.find((s) => s.key === lowerKey);
+      if (!upper || !lower) continue;
+      const gradientId = `${upperKey}-band`;
+      const gradient = defs.append("linearGradient").attr("id", gradientId).attr("x1", "0").attr("x2", "0").attr("y1", "0").attr("y2", "1");
+      gradient.append("stop").attr("offset", "0%").attr("stop-color", upper.color);
+      gradient.append("stop").attr("offset", "100%").attr("stop-color", lower.color);
+      const area = d3
+        .area()
+        .defined((d) => d[upper.field] != null && d[lower.field] != null)
+        .x(cx)
+        .y0((d) => yTemp(d[lower.field]))
+        .y1((d) => yTemp(d[upper.field]))
+        .curve(d3.curveMonotoneX);
+      g.append("path").attr("d", area(daily)).attr("fill", `url(#${gradientId})`).attr("fill-opacity", 0.2);
+    }
 
-  svg
-    .append("rect")
-    .attr("width", WIDTH)
-    .attr("height", HEIGHT)
-    .attr("fill", "#1a1a2e");
+    for (const s of series) {
+      const y = yFor(s);
+      const line = d3
+        .line()
+        .defined((d) => d[s.field] != null)
+        .x(cx)
+        .y((d) => y(d[s.field]))
+        .curve(d3.curveMonotoneX);
+      g.append("path")
+        .attr("d", line(daily))
+        .attr("fill", "none")
+        .attr("stroke", s.color)
+        .attr("stroke-width", strokeWidth)
+        .attr("stroke-dasharray", s.key.startsWith("feels-") ? "5,3" : null);
+      if (!pointsFit) continue;
+      for (const d of daily) {
+        if (d[s.field] == null) continue;
+        g.append("circle")
+          .attr("cx", cx(d))
+          .attr("cy", y(d[s.field]))
+          .attr("r", layout.px(3, 2))
+          .attr("fill", isForecast(d.date) ? theme.background : s.color)
+          .attr("stroke", s.color)
+          .attr("stroke-width", 1.5);
+      }
+    }
+  } else {
+    // Grouped bars per day, one per series
+    const barWidth = xScale.bandwidth() / series.length;
+    const barPadding = Math.min(2, barWidth / 4);
+    const barRadius = Math.min(3, barWidth / 4);
+
+    daily.forEach((d) => {
+      const x = xScale(d.date) ?? 0;
+      const group = g.append("g").attr("transform", `translate(${x},0)`);
+
+      series.forEach((s, i) => {
+        if (d[s.field] == null) return;
+        const y = yFor(s);
+        group
+          .append("rect")
+          .attr("x", barWidth * i)
+          .attr("y", y(d[s.field]))
+          .attr("width", barWidth - barPadding)
+          .attr("height", chartHeight - y(d[s.field]))
+          .attr("fill", s.color)
+          .attr("rx", barRadius);
+      });
+      // Forecast days: hatch over each bar
+      if (isForecast(d.date)) {
+        group.selectAll("rect").clone().attr("fill", forecastHatch).attr("pointer-events", "none");
+      }
+    });
+  }
 
-  const g = svg
-    .append("g")
-    .attr("transform", `translate(${MARGIN.left},${MARGIN.top})`);
+  if (hasForecast) {
+    const firstForecast = daily.find((d) => isForecast(d.date));
+    appendForecastDivider(g, (xScale(firstForecast.date) ?? 0) - (xScale.step() * xScale.padding()) / 2, layout, theme);
+  }
 
-  // Title & subtitle
-  g.append("text")
-    .attr("x", chartWidth / 2)
-    .attr("y", -28)
-    .attr("text-anchor", "middle")
-    .attr("fill", "#eee")
-    .attr("font-size", "18px")
-    .attr("font-family", "system-ui, sans-serif")
-    .text(title);
-  g.append("text")
-    .attr("x", chartWidth / 2)
-    .attr("y", -10)
-    .attr("text-anchor", "middle")
-    .attr("fill", "#aaa")
-    .attr("font-size", "13px")
-    .attr("font-family", "system-ui, sans-serif")
-    .text(subtitle);
+  // Axes: dates (shortened), temperature on the left and humidity on the right, or humidity alone on the left
+  appendDailyAxes(g, layout, {
+    xScale,
+    yScale: tempSeries.length ? yTemp : yHumidity,
+    yLabel: tempSeries.length ? `Temperature (${tempUnit.symbol})` : "Humidity (%)",
+    theme,
+  });
+  if (humidityOnRight) {
+    appendRightAxis(g, layout, { yScale: yHumidity, yLabel: "Humidity (%)", theme });
+  }
 
-  // Daily bars: max temp (red), min temp (blue), mean humidity (teal) as grouped bars per day
-  const barWidth = xScale.bandwidth() / 3;
-  const barPadding = 2;
+  appendLegend(g, layout, theme, forecastHatch);
 
-  daily.forEach((d, i) => {
-    const x = xScale(d.date) ?? 0;
-    const group = g.append("g").attr("transform", `translate(${x},0)`);
+  return body.select("svg").node().outerHTML;
+}
 
-    if (d.maxTemp != null) {
-      group
-        .append("rect")
-        .attr("x", 0)
-        .attr("y", yTemp(d.maxTemp))
-        .attr("width", barWidth - barPadding)
-        .attr("height", chartHeight - yTemp(d.maxTemp))
-        .attr("fill", "#e74c3c")
-        .attr("rx", 3);
-    }
-    if (d.minTemp != null) {
-      group
-        .append("rect")
-        .attr("x", barWidth)
-        .attr("y", yTemp(d.minTemp))
-        .attr("width", barWidth - barPadding)
-        .attr("height", chartHeight - yTemp(d.minTemp))
-        .attr("fill", "#3498db")
-        .attr("rx", 3);
+const HOUR_MS = 60 * 60 * 1000;
+// Local "yyyy-mm-ddThh:mm" times placed on a UTC time scale, so the axis reads the location's wall clock
+const wallClock = (localTime) => Date.parse(`${localTime}:00Z`);
+
+/**
+ * Where a series' sunrise and sunset are computed for: the geocoded place for place requests, otherwise where the
+ * data is from (the requested coordinates' grid cell, or the station); in the series' local time.
+ */
+function sunSite(data) {
+  return {
+    latitude: data.place?.latitude ?? data.latitude,
+    longitude: data.place?.longitude ?? data.longitude,
+    timezone: data.timezone ?? "UTC",
+  };
+}
+
+/**
+ * Night intervals of each day (before sunrise, after sunset) on the wall-clock scale, adjoining ones merged.
+ */
+function nightIntervals(dates, site) {
+  const intervals = [];
+  const add = (start, end) => {
+    const last = intervals[intervals.length - 1];
+    if (last && last[1] === start) last[1] = end;
+    else if (end > start) intervals.push([start, end]);
+  };
+  for (const { date, sunrise, sunset, polar } of getLocalSunTimes(dates, site)) {
+    const midnight = wallClock(`${date}T00:00`);
+    if (polar === "day") continue;
+    if (polar === "night") {
+      add(midnight, midnight + 24 * HOUR_MS);
+      continue;
     }
-    if (d.meanHumidity != null) {
-      group
-        .append("rect")
-        .attr("x", barWidth * 2)
-        .attr("y", yHumidity(d.meanHumidity))
-        .attr("width", barWidth - barPadding)
-        .attr("height", chartHeight - yHumidity(d.meanHumidity))
-        .attr("fill", "#2ecc71")
-        .attr("rx", 3);
+    add(midnight, wallClock(sunrise));
+    add(wallClock(sunset), midnight + 24 * HOUR_MS);
+  }
+  return intervals;
+}
+
+/**
+ * Build the hourly weather chart SVG: temperature and feels-like lines on the left axis, hourly precipitation
+ * bars on the right axis, night (sunset to sunrise, computed for the location) shaded and midnights gridlined.
+ * The time axis is the location's local time, as the hourly series is. Forecast hours are hatched.
+ * @param {Object} data - Weather series from a provider (includes locationName if by place)
+ * @param {Object} [options] - { units ({ temperature, precipitation }, default metric), theme (name from themes.js, default dark), width, height (px, default 700×420) }
+ * @returns {string} SVG markup
+ */
+export function buildHourlyWeatherChartSvg(data, options = {}) {
+  const theme = getTheme(options.theme);
+  const hourly = data.hourly;
+  if (!hourly?.time?.length) {
+    throw new Error("No hourly data in response");
+  }
+
+  const { temperature: tempUnit, precipitation: precipUnit } = getUnitInfo(options.units);
+  const value = (v) => (v == null || Number.isNaN(v) ? null : v);
+  const hours = hourly.time.map((time, i) => ({
+    time,
+    x: wallClock(time),
+    temperature: value(hourly.temperature?.[i]),
+    apparentTemperature: value(hourly.apparentTemperature?.[i]),
+    precipitation: value(hourly.precipitation?.[i]),
+  }));
+  const dates = [...new Set(hours.map((h) => h.time.slice(0, 10)))];
+  const hasApparent = hours.some((h) => h.apparentTemperature != null);
+
+  const locationName = data.locationName || data.timezone || "Unknown";
+  const forecastStart = data.forecastStart ?? null;
+  const isForecast = (time) => forecastStart != null && time.slice(0, 10) >= forecastStart;
+  const hasForecast = hours.some((h) => isForecast(h.time));
+  const title = `${hasForecast ? "Weather" : "Historical weather"} — ${locationName}`;
+  const subtitle = `${dates[0]} to ${dates[dates.length - 1]}, hourly (${data.timezone ?? "UTC"} time)`;
+
+  const layout = dailyChartLayout(
+    options,
+    [
+      { label: `Temperature (${tempUnit.symbol})`, color: theme.series.max },
+      ...(hasApparent ? [{ label: `Feels like (${tempUnit.symbol})`, color: theme.series.feelsMax }] : []),
+      { label: `Precipitation (${precipUnit.symbol})`, color: theme.series.wet },
+      { label: "Night", color: theme.night },
+      ...(hasForecast ? [{ label: "Forecast (hatched)", color: theme.muted, hatched: true }] : []),
+    ],
+    { rightAxis: true }
+  );
+  const { chartWidth, chartHeight, font } = layout;
+
+  const start = wallClock(`${dates[0]}T00:00`);
+  const end = wallClock(`${dates[dates.length - 1]}T00:00`) + 24 * HOUR_MS;
+  const xScale = d3.scaleUtc().domain([start, end]).range([0, chartWidth]);
+
+  const temps = hours.flatMap((h) => [h.temperature, h.apparentTemperature]).filter((v) => v != null);
+  const tempExtent = temps.length ? d3.extent(temps) : [0, 20];
+  const tempRange = tempExtent[1] - tempExtent[0] || 1;
+  const yTemp = d3
+    .scaleLinear()
+    .domain([tempExtent[0] - 0.1 * tempRange, tempExtent[1] + 0.1 * tempRange])
+    .range([chartHeight, 0]);
+
+  const maxPrecip = d3.max(hours, (h) => h.precipitation) ?? 0;
+  const yPrecip = d3
+    .scaleLinear()
+    .domain([0, Math.max(maxPrecip * 1.1, precipUnit.minAxisMax)])
+    .range([chartHeight, 0])
+    .nice();
+
+  const dom = new JSDOM("<!DOCTYPE html><body></body>", { pretendToBeVisual: true });
+  const body = d3.select(dom.window.document.body);
+  const { svg, g } = appendChartFrame(body, layout, { title, subtitle, theme });
+  const forecastHatch = hasForecast ? appendForecastHatch(svg, theme) : null;
+
+  for (const [from, to] of nightIntervals(dates, sunSite(data))) {
+    const x0 = xScale(Math.max(from, start));
+    const x1 = xScale(Math.min(to, end));
+    if (x1 <= x0) continue;
+    g.append("rect").attr("x", x0).attr("y", 0).attr("width", x1 - x0).attr("height", chartHeight).attr("fill", theme.night);
+  }
+
+  // Midnight gridlines, labelled with the date (thinned to what fits), plus noon when there is room
+  const dayWidth = chartWidth / dates.length;
+  const labelEvery = Math.ceil(dates.length / layout.maxXTicks);
+  const axis = g.append("g").attr("transform", `translate(0,${chartHeight})`);
+  dates.forEach((date, i) => {
+    const x = xScale(wallClock(`${date}T00:00`));
+    if (i > 0) g.append("line").attr("x1", x).attr("x2", x).attr("y1", 0).attr("y2", chartHeight).attr("stroke", theme.grid);
+    const labels = [[x, i % labelEvery === 0 ? `${date.slice(5, 7)}/${date.slice(8, 10)}` : null]];
+    if (dayWidth >= 120) labels.push([xScale(wallClock(`${date}T12:00`)), "12:00"]);
+    for (const [tickX, text] of labels) {
+      axis.append("line").attr("x1", tickX).attr("x2", tickX).attr("y1", 0).attr("y2", 6).attr("stroke", theme.axis);
+      if (!text) continue;
+      axis
+        .append("text")
+        .attr("x", tickX)
+        .attr("y", 9 + font.axis)
+        .attr("text-anchor", "middle")
+        .attr("fill", theme.text)
+        .attr("font-size", `${font.axis}px`)
+        .attr("font-family", "system-ui, sans-serif")
+        .text(text);
     }
   });
+  axis.append("line").attr("x1", 0).attr("x2", chartWidth).attr("stroke", theme.axis);
+
+  // Precipitation is the total over the hour before each time: a bar spanning that hour (at the first midnight,
+  // the hour before the chart starts)
+  for (const h of hours) {
+    if (!h.precipitation || h.x <= start) continue;
+    const x0 = xScale(h.x - HOUR_MS) + 0.5;
+    const x1 = Math.max(x0 + 1, xScale(h.x) - 0.5);
+    const bar = g
+      .append("rect")
+      .attr("x", x0)
+      .attr("y", yPrecip(h.precipitation))
+      .attr("width", x1 - x0)
+      .attr("height", chartHeight - yPrecip(h.precipitation))
+      .attr("fill", theme.series.wet);
+    if (isForecast(h.time)) bar.clone().attr("fill", forecastHatch).attr("pointer-events", "none");
+  }
 
-  // X axis (dates, shortened)
-  const xAxis = g
-    .append("g")
-    .attr("transform", `translate(0,${chartHeight})`)
-    .call(
-      d3.axisBottom(xScale).tickFormat((d) => {
-        const [y, m, day] = d.split("-");
-        return `${m}/${day}`;
-      })
-    );
-  xAxis.selectAll("text").attr("fill", "#aaa").attr("font-size", "11px").attr("font-family", "system-ui, sans-serif");
-  xAxis.selectAll(".domain, .tick line").attr("stroke", "#444");
-
-  // Left Y axis: temperature
-  const yAxisLeft = g.append("g").call(d3.axisLeft(yTemp).ticks(6));
-  yAxisLeft.selectAll("text").attr("fill", "#aaa").attr("font-size", "11px").attr("font-family", "system-ui, sans-serif");
-  yAxisLeft.selectAll(".domain, .tick line").attr("stroke", "#444");
-
-  // Legend
-  const legend = g.append("g").attr("transform", `translate(0,${chartHeight + 38})`);
-  const legendEntries = [
-    { label: "Max temp (°C)", color: "#e74c3c" },
-    { label: "Min temp (°C)", color: "#3498db" },
-    { label: "Mean humidity (%)", color: "#2ecc71" },
+  const strokeWidth = layout.px(2, 1.5);
+  const lines = [
+    ["temperature", theme.series.max, null],
+    ...(hasApparent ? [["apparentTemperature", theme.series.feelsMax, "5,3"]] : []),
   ];
-  legend
-    .selectAll("rect")
-    .data(legendEntries)
-    .join("rect")
-    .attr("x", (_, i) => i * 140)
-    .attr("y", 0)
-    .attr("width", 12)
-    .attr("height", 12)
-    .attr("fill", (d) => d.color)
-    .attr("rx", 2);
-  legend
-    .selectAll("text")
-    .data(legendEntries)
-    .join("text")
-    .attr("x", (_, i) => i * 140 + 18)
-    .attr("y", 10)
-    .attr("fill", "#aaa")
-    .attr("font-size", "11px")
+  for (const [key, color, dash] of lines) {
+    const line = d3
+      .line()
+      .defined((h) => h[key] != null)
+      .x((h) => xScale(h.x))
+      .y((h) => yTemp(h[key]));
+    g.append("path")
+      .attr("d", line(hours))
+      .attr("fill", "none")
+      .attr("stroke", color)
+      .attr("stroke-width", strokeWidth)
+      .attr("stroke-linejoin", "round")
+      .attr("stroke-dasharray", dash);
+  }
+
+  if (hasForecast) {
+    appendForecastDivider(g, xScale(wallClock(`${forecastStart}T00:00`)), layout, theme);
+  }
+
+  const yAxis = g.append("g").call(d3.axisLeft(yTemp).ticks(layout.yTicks));
+  yAxis.selectAll("text").attr("fill", theme.text).attr("font-size", `${font.axis}px`).attr("font-family", "system-ui, sans-serif");
+  yAxis.selectAll(".domain, .tick line").attr("stroke", theme.axis);
+  g.append("text")
+    .attr("transform", "rotate(-90)")
+    .attr("y", -layout.px(40, 36))
+    .attr("x", -chartHeight / 2)
+    .attr("text-anchor", "middle")
+    .attr("fill", theme.text)
+    .attr("font-size", `${font.label}px`)
     .attr("font-family", "system-ui, sans-serif")
-    .text((d) => d.label);
+    .text(`Temperature (${tempUnit.symbol})`);
+  appendRightAxis(g, layout, { yScale: yPrecip, yLabel: `Precipitation (${precipUnit.symbol})`, theme });
+
+  appendLegend(g, layout, theme, forecastHatch);
 
   return body.select("svg").node().outerHTML;
 }
 
 /**
  * Build SVG chart showing daily rainfall amounts.
- * @param {Object} data - Response from getHistoricalWeather / getWeatherByCity (includes locationName if by city)
+ * Days on or after data.forecastStart are drawn hatched.
+ * @param {Object} data - Weather series from a provider (includes locationName if by place)
+ * @param {Object} [options] - { units ({ temperature, precipitation }, default metric), theme (name from themes.js, default dark), width, height (px, default 700×420) }
  * @returns {string} SVG markup
  */
-export function buildRainfallChartSvg(data) {
+export function buildRainfallChartSvg(data, options = {}) {
+  const theme = getTheme(options.theme);
   const dom = new JSDOM("<!DOCTYPE html><body></body>", {
     pretendToBeVisual: true,
   });
@@ -254,14 +808,32 @@ export function buildRainfallChartSvg(data) {
     throw new Error("No hourly data in response");
   }
 
+  const { precipitation: precipUnit } = getUnitInfo(options.units);
   const locationName = data.locationName || data.timezone || "Unknown";
   const startDate = daily[0].date;
   const endDate = daily[daily.length - 1].date;
+  const forecastStart = data.forecastStart ?? null;
+  const isForecast = (date) => forecastStart != null && date >= forecastStart;
+  const hasForecast = daily.some((d) => isForecast(d.date));
   const title = `Daily Rainfall — ${locationName}`;
   const subtitle = `${startDate} to ${endDate}`;
 
-  const chartWidth = WIDTH - MARGIN.left - MARGIN.right;
-  const chartHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  // Calculate rainfall extent for Y axis
+  const rainfalls = daily.map((d) => d.precipitationSum).filter((v) => v != null && v >= 0);
+  const rainfallMax = rainfalls.length
+    ? Math.max(precipUnit.minAxisMax, ...rainfalls)
+    : precipUnit.minAxisMax * 10; // At least 1 mm (or 0.05 in) for scale
+
+  // Color scale: light blue (low) to dark blue (high rainfall)
+  const rainfallColorScale = d3
+    .scaleSequential(d3.interpolateBlues)
+    .domain([0, rainfallMax]);
+
+  const layout = dailyChartLayout(options, [
+    { label: `Daily rainfall (${precipUnit.symbol})`, color: rainfallColorScale(0) },
+    ...(hasForecast ? [{ label: "Forecast (hatched)", color: theme.muted, hatched: true }] : []),
+  ]);
+  const { chartWidth, chartHeight } = layout;
 
   const xScale = d3
     .scaleBand()
@@ -269,54 +841,15 @@ export function buildRainfallChartSvg(data) {
     .range([0, chartWidth])
     .padding(0.3);
 
-  // Calculate rainfall extent for Y axis
-  const rainfalls = daily.map((d) => d.precipitationSum).filter((v) => v != null && v >= 0);
-  const rainfallMax = rainfalls.length ? Math.max(1, ...rainfalls) : 10; // At least 1mm for scale
   const yRainfall = d3
     .scaleLinear()
     .domain([0, rainfallMax * 1.1]) // Add 10% padding at top
     .range([chartHeight, 0]);
 
-  // Color scale: light blue (low) to dark blue (high rainfall)
-  const rainfallColorScale = d3
-    .scaleSequential(d3.interpolateBlues)
-    .domain([0, rainfallMax]);
-
   const body = d3.select(document.body);
-  const svg = body
-    .append("svg")
-    .attr("xmlns", "http://www.w3.org/2000/svg")
-    .attr("width", WIDTH)
-    .attr("height", HEIGHT)
-    .attr("viewBox", `0 0 ${WIDTH} ${HEIGHT}`);
-
-  svg
-    .append("rect")
-    .attr("width", WIDTH)
-    .attr("height", HEIGHT)
-    .attr("fill", "#1a1a2e");
+  const { svg, g } = appendChartFrame(body, layout, { title, subtitle, theme });
 
-  const g = svg
-    .append("g")
-    .attr("transform", `translate(${MARGIN.left},${MARGIN.top})`);
-
-  // Title & subtitle
-  g.append("text")
-    .attr("x", chartWidth / 2)
-    .attr("y", -28)
-    .attr("text-anchor", "middle")
-    .attr("fill", "#eee")
-    .attr("font-size", "18px")
-    .attr("font-family", "system-ui, sans-serif")
-    .text(title);
-  g.append("text")
-    .attr("x", chartWidth / 2)
-    .attr("y", -10)
-    .attr("text-anchor", "middle")
-    .attr("fill", "#aaa")
-    .attr("font-size", "13px")
-    .attr("font-family", "system-ui, sans-serif")
-    .text(subtitle);
+  const forecastHatch = hasForecast ? appendForecastHatch(svg, theme) : null;
 
   // Daily rainfall bars
   daily.forEach((d) => {
@@ -326,15 +859,19 @@ export function buildRainfallChartSvg(data) {
     const barWidth = xScale.bandwidth();
 
     if (rainfall > 0) {
-      g.append("rect")
+      const bar = g.append("rect")
         .attr("x", x)
         .attr("y", yRainfall(rainfall))
         .attr("width", barWidth)
         .attr("height", barHeight)
         .attr("fill", rainfallColorScale(rainfall))
-        .attr("rx", 3)
+        .attr("rx", Math.min(3, barWidth / 4));
+      bar
         .append("title")
-        .text(`${d.date}: ${rainfall.toFixed(1)} mm`);
+        .text(`${d.date}: ${rainfall.toFixed(precipUnit.decimals)} ${precipUnit.symbol}${isForecast(d.date) ? " (forecast)" : ""}`);
+      if (isForecast(d.date)) {
+        bar.clone().attr("fill", forecastHatch).attr("pointer-events", "none");
+      }
     } else {
       // Show a very thin bar or no bar for zero rainfall
       g.append("rect")
@@ -342,59 +879,21 @@ export function buildRainfallChartSvg(data) {
         .attr("y", chartHeight - 1)
         .attr("width", barWidth)
         .attr("height", 1)
-        .attr("fill", "#444")
+        .attr("fill", theme.axis)
         .append("title")
-        .text(`${d.date}: 0 mm`);
+        .text(`${d.date}: 0 ${precipUnit.symbol}`);
     }
   });
 
-  // X axis (dates, shortened)
-  const xAxis = g
-    .append("g")
-    .attr("transform", `translate(0,${chartHeight})`)
-    .call(
-      d3.axisBottom(xScale).tickFormat((d) => {
-        const [y, m, day] = d.split("-");
-        return `${m}/${day}`;
-      })
-    );
-  xAxis.selectAll("text").attr("fill", "#aaa").attr("font-size", "11px").attr("font-family", "system-ui, sans-serif");
-  xAxis.selectAll(".domain, .tick line").attr("stroke", "#444");
-
-  // Left Y axis: rainfall (mm)
-  const yAxisLeft = g.append("g").call(d3.axisLeft(yRainfall).ticks(6));
-  yAxisLeft.selectAll("text").attr("fill", "#aaa").attr("font-size", "11px").attr("font-family", "system-ui, sans-serif");
-  yAxisLeft.selectAll(".domain, .tick line").attr("stroke", "#444");
+  if (hasForecast) {
+    const firstForecast = daily.find((d) => isForecast(d.date));
+    appendForecastDivider(g, (xScale(firstForecast.date) ?? 0) - (xScale.step() * xScale.padding()) / 2, layout, theme);
+  }
 
-  // Y axis label
-  g.append("text")
-    .attr("transform", "rotate(-90)")
-    .attr("y", -40)
-    .attr("x", -chartHeight / 2)
-    .attr("text-anchor", "middle")
-    .attr("fill", "#aaa")
-    .attr("font-size", "12px")
-    .attr("font-family", "system-ui, sans-serif")
-    .text("Rainfall (mm)");
+  // Axes: dates (shortened) and rainfall (mm or in)
+  appendDailyAxes(g, layout, { xScale, yScale: yRainfall, yLabel: `Rainfall (${precipUnit.symbol})`, theme });
 
-  // Legend
-  const legend = g.append("g").attr("transform", `translate(0,${chartHeight + 38})`);
-  legend
-    .append("rect")
-    .attr("x", 0)
-    .attr("y", 0)
-    .attr("width", 12)
-    .attr("height", 12)
-    .attr("fill", rainfallColorScale(0))
-    .attr("rx", 2);
-  legend
-    .append("text")
-    .attr("x", 18)
-    .attr("y", 10)
-    .attr("fill", "#aaa")
-    .attr("font-size", "11px")
-    .attr("font-family", "system-ui, sans-serif")
-    .text("Daily rainfall (mm)");
+  appendLegend(g, layout, theme, forecastHatch);
 
   return body.select("svg").node().outerHTML;
 }
@@ -403,53 +902,216 @@ export function buildRainfallChartSvg(data) {
 const CELL_SIZE = 8;
 const HEATMAP_MARGIN = { top: 44, right: 20, bottom: 32, left: 20 };
 
+// Rough average glyph width of system-ui as a fraction of font size (no text measurement in jsdom)
+const GLYPH_WIDTH_RATIO = 0.55;
+
 /**
- * Default temperature colour scale matching the standard key: -40°C to 50°C.
- * Dark purple/indigo (cold) → blue → cyan → green → yellow → orange → red → dark red/black (hot).
+ * Largest font size (px, at most maxSize) at which text roughly fits in width, e.g. long place names in narrow heatmap titles.
  */
-const TEMP_SCALE_DOMAIN = [
-  -40, -35, -30, -25, -20, -15, -10, -5, 0, 5, 10, 15, 20, 25, 28, 30, 32, 35, 40, 45, 50,
-];
-const TEMP_SCALE_RANGE = [
-  "#1a0a2e", "#2d1b4e", "#3d2b5c", "#1e3a5f", "#1a5276", "#2874a6", "#2980b9", "#5dade2",
-  "#48c9b0", "#1abc9c", "#27ae60", "#58d68d", "#d4e157", "#f4d03f", "#f5b041", "#e67e22",
-  "#e74c3c", "#c0392b", "#922b21", "#641e16", "#2e0f0f",
-];
-
-function defaultTempColorScale() {
-  const scale = d3
-    .scaleLinear()
-    .domain(TEMP_SCALE_DOMAIN)
-    .range(TEMP_SCALE_RANGE)
-    .clamp(true);
-  return (temp) => {
-    if (temp == null || Number.isNaN(temp)) return "#2d2d2d";
-    return scale(temp);
-  };
+function fitFontSize(text, width, maxSize, minSize = 8) {
+  const size = Math.floor(width / (text.length * GLYPH_WIDTH_RATIO));
+  return Math.max(minSize, Math.min(maxSize, size));
 }
 
 /**
- * Build a year heatmap SVG from Open-Meteo hourly data for a full year.
- * - One row = one day (Jan 1 top → Dec 31 bottom).
- * - One column = one hour; noon (12) is in the centre (columns ordered 0..23).
- * - Each cell colour = temperature (default blue–red scale).
- * @param {Object} data - Open-Meteo archive response with hourly.time and hourly.temperature_2m
- * @param {Object} [options] - { locationName, year, cellSize (px per square), cellBorderColor (hex, default #aaaaaa), showTooltips (boolean, default true), colorScale (function temp => hex) }
- * @returns {string} SVG markup
+ * Shorten text with an ellipsis so it roughly fits in width at the given font size.
  */
-export function buildYearHeatmapSvg(data, options = {}) {
-  const hourly = data.hourly;
-  if (!hourly?.time?.length || !hourly?.temperature_2m) {
-    throw new Error("Year heatmap requires hourly time and temperature_2m");
-  }
+function truncateToWidth(text, width, fontSize) {
+  const maxChars = Math.floor(width / (fontSize * GLYPH_WIDTH_RATIO));
+  return text.length <= maxChars ? text : `${text.slice(0, Math.max(1, maxChars - 1))}…`;
+}
 
-  const cellSize = options.cellSize ?? CELL_SIZE;
-  const cellBorderColor = options.cellBorderColor ?? "#aaaaaa";
+/**
+ * Horizontal colour key under a heatmap: a gradient bar through the scale's legend domain with the end values
+ * captioned, and "fitted to data" between them when the domain is fitted.
+ * @param {Object} svg - Root svg (the gradient goes in its defs)
+ * @param {Object} g - Plot group the bar and captions are drawn in
+ * @param {{ color: (v: number) => string, legendDomain: [number, number] }} scale - e.g. from heatmapColorScale
+ * @param {Object} options - { id (gradient id), width, y (top of the bar), height, unit (with symbol), separator
+ *   (between value and symbol, e.g. " " for "50 mm"), auto (domain fitted to the data), theme }
+ * @returns {number} Baseline of the captions, for anything drawn below the key
+ */
+function appendGradientLegend(svg, g, scale, { id, width, y, height, unit, separator = "", auto = false, theme }) {
+  const steps = 100;
+  const [legendMin, legendMax] = scale.legendDomain;
+  const gradient = svg
+    .append("defs")
+    .append("linearGradient")
+    .attr("id", id)
+    .attr("x1", "0%")
+    .attr("x2", "100%")
+    .attr("y1", "0")
+    .attr("y2", "0");
+  for (let i = 0; i <= steps; i++) {
+    gradient
+      .append("stop")
+      .attr("offset", `${(i / steps) * 100}%`)
+      .attr("stop-color", scale.color(legendMin + (i / steps) * (legendMax - legendMin)));
+  }
+  g.append("rect")
+    .attr("x", 0)
+    .attr("y", y)
+    .attr("width", width)
+    .attr("height", height)
+    .attr("fill", `url(#${id})`)
+    .attr("rx", 2);
+
+  const captionY = y + height + 12;
+  const captions = [
+    [0, "start", `${legendMin}${separator}${unit.symbol}`],
+    [width, "end", `${legendMax}${separator}${unit.symbol}`],
+    ...(auto ? [[width / 2, "middle", "fitted to data"]] : []),
+  ];
+  for (const [x, anchor, text] of captions) {
+    g.append("text")
+      .attr("x", x)
+      .attr("y", captionY)
+      .attr("text-anchor", anchor)
+      .attr("fill", theme.muted)
+      .attr("font-size", "10px")
+      .attr("font-family", "system-ui, sans-serif")
+      .text(text);
+  }
+  return captionY;
+}
+
+// `daylight` overlays on the year heatmaps: sunrise / sunset and civil twilight curves, dimmed night cells, or both
+export const DAYLIGHT_MODES = ["off", "curves", "dim", "both"];
+// Opacity of the background colour laid over night and civil twilight cells
+const NIGHT_DIM = 0.55;
+const TWILIGHT_DIM = 0.25;
+const DAYLIGHT_KEY_LINE = 13;
+
+/**
+ * Key lines under a year heatmap's colour legend for a daylight mode.
+ */
+function daylightKey(mode) {
+  return [
+    ...(mode === "curves" || mode === "both" ? ["Solid: sunrise / sunset · dashed: civil dawn / dusk"] : []),
+    ...(mode === "dim" || mode === "both" ? ["Dimmed: night · lightly: civil twilight"] : []),
+  ];
+}
+
+/**
+ * Sunrise, sunset, civil dawn and dusk over a year heatmap's rows (one per day, one cell per local hour): curves
+ * through each day's times, and / or the night and twilight parts of each row dimmed. Times are computed for
+ * the location (see sunSite), in hours from the row's midnight; a sunset after midnight runs off the grid.
+ * @param {Object} g - Plot group, origin at the grid's top-left
+ * @param {string[]} dates - yyyy-mm-dd of each row
+ * @param {Object} data - Weather series the heatmap is drawn from
+ * @param {Object} options - { mode (one of DAYLIGHT_MODES), cellSize, theme }
+ */
+function appendDaylightOverlay(g, dates, data, { mode, cellSize, theme }) {
+  if (!mode || mode === "off" || !dates.length) return;
+  const site = sunSite(data);
+  const hoursOf = (date, localTime) => (localTime == null ? null : (wallClock(localTime) - wallClock(`${date}T00:00`)) / HOUR_MS);
+  const sun = getLocalSunTimes(dates, site);
+  const civil = getLocalSunTimes(dates, site, CIVIL_TWILIGHT_ALTITUDE);
+  const rows = dates.map((date, i) => ({
+    date,
+    sunrise: hoursOf(date, sun[i].sunrise),
+    sunset: hoursOf(date, sun[i].sunset),
+    dawn: hoursOf(date, civil[i].sunrise),
+    dusk: hoursOf(date, civil[i].sunset),
+    polar: sun[i].polar,
+    civilPolar: civil[i].polar,
+  }));
+
+  if (mode === "dim" || mode === "both") {
+    // Each cell by the sun at its middle; one rect per run of night or twilight cells in a row
+    const phase = (row, hour) => {
+      if (row.polar === "day" || (row.sunrise != null && hour >= row.sunrise && hour < row.sunset)) return null;
+      if (row.civilPolar === "day" || (row.dawn != null && hour >= row.dawn && hour < row.dusk)) return TWILIGHT_DIM;
+      return NIGHT_DIM;
+    };
+    rows.forEach((row, r) => {
+      let runStart = 0;
+      for (let col = 1; col <= 24; col++) {
+        const dim = phase(row, runStart + 0.5);
+        if (col < 24 && phase(row, col + 0.5) === dim) continue;
+        if (dim) {
+          g.append("rect")
+            .attr("x", runStart * cellSize)
+            .attr("y", r * cellSize)
+            .attr("width", (col - runStart) * cellSize)
+            .attr("height", cellSize)
+            .attr("fill", theme.background)
+            .attr("fill-opacity", dim)
+            .attr("pointer-events", "none");
+        }
+        runStart = col;
+      }
+    });
+  }
+
+  if (mode === "curves" || mode === "both") {
+    // A halo in the background colour keeps the curves readable over any cell colour
+    for (const [key, dash] of [["dawn", "4,3"], ["sunrise", null], ["sunset", null], ["dusk", "4,3"]]) {
+      const line = d3
+        .line()
+        .defined((row) => row[key] != null && row[key] >= 0 && row[key] <= 24)
+        .x((row) => row[key] * cellSize)
+        .y((_, r) => r * cellSize + cellSize / 2);
+      const path = line(rows);
+      if (!path) continue;
+      g.append("path")
+        .attr("d", path)
+        .attr("fill", "none")
+        .attr("stroke", theme.background)
+        .attr("stroke-opacity", 0.6)
+        .attr("stroke-width", 3)
+        .attr("stroke-dasharray", dash)
+        .attr("pointer-events", "none");
+      g.append("path")
+        .attr("d", path)
+        .attr("fill", "none")
+        .attr("stroke", theme.foreground)
+        .attr("stroke-width", 1.5)
+        .attr("stroke-dasharray", dash)
+        .attr("pointer-events", "none");
+    }
+  }
+}
+
+/**
+ * The daylight key lines under a year heatmap's legend captions (see daylightKey).
+ */
+function appendDaylightKey(g, mode, { y, width, theme }) {
+  daylightKey(mode).forEach((text, i) => {
+    g.append("text")
+      .attr("x", 0)
+      .attr("y", y + (i + 1) * DAYLIGHT_KEY_LINE)
+      .attr("fill", theme.muted)
+      .attr("font-size", `${fitFontSize(text, width, 10, 6)}px`)
+      .attr("font-family", "system-ui, sans-serif")
+      .text(text);
+  });
+}
+
+/**
+ * Build a year heatmap SVG from a full year of hourly data.
+ * - One row = one day (Jan 1 top → Dec 31 bottom).
+ * - One column = one hour; noon (12) is in the centre (columns ordered 0..23).
+ * - Each cell colour = temperature (default: the standard blue–red key, -40–50 °C).
+ * @param {Object} data - Weather series with hourly.time and hourly.temperature
+ * @param {Object} [options] - { locationName, year, cellSize (px per square), cellBorderColor (hex, default from theme), showTooltips (boolean, default true), palette (from resolveColorScale: named palette or stops, fixed or auto domain), colorScale (function temp => hex, temp in the chosen unit; overrides palette), daylight (one of DAYLIGHT_MODES, default "off"; see appendDaylightOverlay), units, theme }
+ * @returns {string} SVG markup
+ */
+export function buildYearHeatmapSvg(data, options = {}) {
+  const theme = getTheme(options.theme);
+  const hourly = data.hourly;
+  if (!hourly?.time?.length || !hourly?.temperature) {
+    throw new Error("Year heatmap requires hourly time and temperature");
+  }
+
+  const cellSize = options.cellSize ?? CELL_SIZE;
+  const cellBorderColor = options.cellBorderColor ?? theme.cellBorder;
   const showTooltips = options.showTooltips ?? true;
   const time = hourly.time;
-  const temp = hourly.temperature_2m;
+  const temp = hourly.temperature;
   const locationName = options.locationName ?? data.locationName ?? data.timezone ?? "Unknown";
   const year = options.year ?? new Date().getFullYear();
+  const { temperature: tempUnit } = getUnitInfo(options.units);
 
   // Hour order: noon in centre → columns 0..23 = hours 0..23 (midnight at left, noon at column 12)
   const hourToCol = (hour) => Math.min(23, Math.max(0, hour));
@@ -487,10 +1149,13 @@ export function buildYearHeatmapSvg(data, options = {}) {
   if (minT === Infinity) minT = 0;
   if (maxT === -Infinity) maxT = 20;
 
-  const getColor = options.colorScale ?? defaultTempColorScale();
+  const scale = heatmapColorScale("temperature", options.palette, tempUnit, [minT, maxT]);
+  const getColor =
+    options.colorScale ?? ((t) => (t == null || Number.isNaN(t) ? theme.missing : scale.color(t)));
 
   const width = numCols * cellSize + HEATMAP_MARGIN.left + HEATMAP_MARGIN.right;
-  const height = numRows * cellSize + HEATMAP_MARGIN.top + HEATMAP_MARGIN.bottom;
+  const height =
+    numRows * cellSize + HEATMAP_MARGIN.top + HEATMAP_MARGIN.bottom + daylightKey(options.daylight).length * DAYLIGHT_KEY_LINE;
 
   const dom = new JSDOM("<!DOCTYPE html><body></body>", { pretendToBeVisual: true });
   const document = dom.window.document;
@@ -503,27 +1168,28 @@ export function buildYearHeatmapSvg(data, options = {}) {
     .attr("height", height)
     .attr("viewBox", `0 0 ${width} ${height}`);
 
-  svg.append("rect").attr("width", width).attr("height", height).attr("fill", "#1a1a2e");
+  svg.append("rect").attr("width", width).attr("height", height).attr("fill", theme.background);
 
   const g = svg
     .append("g")
     .attr("transform", `translate(${HEATMAP_MARGIN.left},${HEATMAP_MARGIN.top})`);
 
-  // Title
+  // Title (shrunk to fit: the grid is narrow and full place names can be long)
+  const title = `Hourly temperature — ${locationName} — ${year}`;
   g.append("text")
     .attr("x", (numCols * cellSize) / 2)
     .attr("y", -22)
     .attr("text-anchor", "middle")
-    .attr("fill", "#eee")
-    .attr("font-size", "16px")
+    .attr("fill", theme.foreground)
+    .attr("font-size", `${fitFontSize(title, width - 8, 16)}px`)
     .attr("font-family", "system-ui, sans-serif")
-    .text(`Hourly temperature — ${locationName} — ${year}`);
+    .text(title);
 
   g.append("text")
     .attr("x", (numCols * cellSize) / 2)
     .attr("y", -6)
     .attr("text-anchor", "middle")
-    .attr("fill", "#888")
+    .attr("fill", theme.muted)
     .attr("font-size", "11px")
     .attr("font-family", "system-ui, sans-serif")
     .text("Midnight ← hours → Noon (centre) → 11pm");
@@ -554,7 +1220,7 @@ export function buildYearHeatmapSvg(data, options = {}) {
             day: "numeric",
             year: "numeric",
           });
-          const tempLabel = t != null ? `${t.toFixed(1)}°C` : "N/A";
+          const tempLabel = t != null ? `${t.toFixed(1)}${tempUnit.symbol}` : "N/A";
           rect.append("title").text(`${dateFormatted} ${hourLabel} — ${tempLabel}`);
         } else {
           rect.append("title").text(`${date} ${hour.toString().padStart(2, "0")}:00 — No data`);
@@ -563,101 +1229,36 @@ export function buildYearHeatmapSvg(data, options = {}) {
     }
   }
 
-  // Colour scale legend (horizontal bar below grid)
-  const legendWidth = numCols * cellSize;
-  const legendHeight = 14;
-  const legendY = numRows * cellSize + 8;
-
-  const legendN = 100;
-  const defs = svg.append("defs");
-  const gradientId = "year-heatmap-gradient";
-  const gradient = defs
-    .append("linearGradient")
-    .attr("id", gradientId)
-    .attr("x1", "0%")
-    .attr("x2", "100%")
-    .attr("y1", "0")
-    .attr("y2", "0");
-  const legendMin = -40;
-  const legendMax = 50;
-  for (let i = 0; i <= legendN; i++) {
-    const v = legendMin + (i / legendN) * (legendMax - legendMin);
-    gradient
-      .append("stop")
-      .attr("offset", `${(i / legendN) * 100}%`)
-      .attr("stop-color", getColor(v));
-  }
-
-  g.append("rect")
-    .attr("x", 0)
-    .attr("y", legendY)
-    .attr("width", legendWidth)
-    .attr("height", legendHeight)
-    .attr("fill", `url(#${gradientId})`)
-    .attr("rx", 2);
-
-  g.append("text")
-    .attr("x", 0)
-    .attr("y", legendY + legendHeight + 12)
-    .attr("fill", "#888")
-    .attr("font-size", "10px")
-    .attr("font-family", "system-ui, sans-serif")
-    .text(`${legendMin}°C`);
+  appendDaylightOverlay(g, sortedDates, data, { mode: options.daylight, cellSize, theme });
 
-  g.append("text")
-    .attr("x", legendWidth)
-    .attr("y", legendY + legendHeight + 12)
-    .attr("text-anchor", "end")
-    .attr("fill", "#888")
-    .attr("font-size", "10px")
-    .attr("font-family", "system-ui, sans-serif")
-    .text(`${legendMax}°C`);
+  // Colour scale legend (horizontal bar below grid)
+  const legendScale = options.colorScale ? { color: getColor, legendDomain: tempUnit.legendDomain } : scale;
+  const captionY = appendGradientLegend(svg, g, legendScale, {
+    id: "year-heatmap-gradient",
+    width: numCols * cellSize,
+    y: numRows * cellSize + 8,
+    height: 14,
+    unit: tempUnit,
+    auto: !options.colorScale && options.palette?.domain === "auto",
+    theme,
+  });
+  appendDaylightKey(g, options.daylight, { y: captionY, width: numCols * cellSize, theme });
 
   return body.select("svg").node().outerHTML;
 }
 
 // --- Rainfall year heatmap: same layout as temperature (1 row/day, 24 cols/hour, noon centred), fixed scale for comparison ---
-/**
- * Fixed rainfall colour scale: 0 mm = white, 50 mm = very dark blue.
- * Discrete scale with 11 shades of blue, similar to temperature scale. Same key for every image.
- */
-const RAINFALL_SCALE_DOMAIN = [0, 0.5, 1, 2, 5, 10, 15, 20, 30, 40, 50];
-const RAINFALL_SCALE_RANGE = [
-  "#ffffff", // 0 mm - white (no rain)
-  "#e3f2fd", // 0.5 mm - very light blue
-  "#bbdefb", // 1 mm - light blue
-  "#90caf9", // 2 mm - light-medium blue
-  "#64b5f6", // 5 mm - medium blue
-  "#42a5f5", // 10 mm - medium-dark blue
-  "#2196f3", // 15 mm - blue
-  "#1e88e5", // 20 mm - dark blue
-  "#1565c0", // 30 mm - darker blue
-  "#0d47a1", // 40 mm - very dark blue
-  "#0a1628", // 50 mm - very very dark blue
-];
-
-function defaultRainfallColorScale() {
-  const scale = d3
-    .scaleLinear()
-    .domain(RAINFALL_SCALE_DOMAIN)
-    .range(RAINFALL_SCALE_RANGE)
-    .clamp(true);
-  return (mm) => {
-    if (mm == null || Number.isNaN(mm) || mm < 0) return RAINFALL_SCALE_RANGE[0];
-    return scale(mm);
-  };
-}
-
 /**
  * Build a year heatmap SVG for rainfall: same format as temperature heatmap.
  * - One row = one day (Jan 1 top → Dec 31 bottom).
  * - One column = one hour; noon in centre.
- * - Each cell colour = rainfall (mm) using a fixed 0–20 mm scale so images are comparable across locations.
- * @param {Object} data - Open-Meteo archive response with hourly.time and hourly.precipitation
- * @param {Object} [options] - { locationName, year, cellSize, cellBorderColor, showTooltips }
+ * - Each cell colour = rainfall, by default on the fixed 0–50 mm standard key so images are comparable across locations.
+ * @param {Object} data - Weather series with hourly.time and hourly.precipitation
+ * @param {Object} [options] - { locationName, year, cellSize, cellBorderColor, showTooltips, palette, colorScale (function amount => hex), daylight, units, theme }
  * @returns {string} SVG markup
  */
 export function buildRainfallYearHeatmapSvg(data, options = {}) {
+  const theme = getTheme(options.theme);
   const hourly = data.hourly;
   if (!hourly?.time?.length) {
     throw new Error("Rainfall year heatmap requires hourly time");
@@ -665,11 +1266,12 @@ export function buildRainfallYearHeatmapSvg(data, options = {}) {
   const precip = hourly.precipitation ?? [];
 
   const cellSize = options.cellSize ?? CELL_SIZE;
-  const cellBorderColor = options.cellBorderColor ?? "#aaaaaa";
+  const cellBorderColor = options.cellBorderColor ?? theme.cellBorder;
   const showTooltips = options.showTooltips ?? true;
   const time = hourly.time;
   const locationName = options.locationName ?? data.locationName ?? data.timezone ?? "Unknown";
   const year = options.year ?? new Date().getFullYear();
+  const { precipitation: precipUnit } = getUnitInfo(options.units);
 
   const hourToCol = (hour) => Math.min(23, Math.max(0, hour));
 
@@ -708,12 +1310,16 @@ export function buildRainfallYearHeatmapSvg(data, options = {}) {
   }
 
   // Log precipitation stats for debugging
-  console.log(`[RAINFALL HEATMAP] ${locationName} ${year}: ${nonZeroCount} hours with rain, max: ${maxPrecip.toFixed(2)}mm, total: ${totalPrecip.toFixed(2)}mm`);
+  console.log(`[RAINFALL HEATMAP] ${locationName} ${year}: ${nonZeroCount} hours with rain, max: ${maxPrecip.toFixed(2)}${precipUnit.symbol}, total: ${totalPrecip.toFixed(2)}${precipUnit.symbol}`);
 
-  const getColor = defaultRainfallColorScale();
+  // Missing hours are drawn as dry
+  const scale = heatmapColorScale("precipitation", options.palette, precipUnit, [0, maxPrecip]);
+  const getColor =
+    options.colorScale ?? ((mm) => scale.color(mm == null || Number.isNaN(mm) || mm < 0 ? 0 : mm));
 
   const width = numCols * cellSize + HEATMAP_MARGIN.left + HEATMAP_MARGIN.right;
-  const height = numRows * cellSize + HEATMAP_MARGIN.top + HEATMAP_MARGIN.bottom;
+  const height =
+    numRows * cellSize + HEATMAP_MARGIN.top + HEATMAP_MARGIN.bottom + daylightKey(options.daylight).length * DAYLIGHT_KEY_LINE;
 
   const dom = new JSDOM("<!DOCTYPE html><body></body>", { pretendToBeVisual: true });
   const doc = dom.window.document;
@@ -726,26 +1332,27 @@ export function buildRainfallYearHeatmapSvg(data, options = {}) {
     .attr("height", height)
     .attr("viewBox", `0 0 ${width} ${height}`);
 
-  svg.append("rect").attr("width", width).attr("height", height).attr("fill", "#1a1a2e");
+  svg.append("rect").attr("width", width).attr("height", height).attr("fill", theme.background);
 
   const g = svg
     .append("g")
     .attr("transform", `translate(${HEATMAP_MARGIN.left},${HEATMAP_MARGIN.top})`);
 
+  const title = `Hourly rainfall — ${locationName} — ${year}`;
   g.append("text")
     .attr("x", (numCols * cellSize) / 2)
     .attr("y", -22)
     .attr("text-anchor", "middle")
-    .attr("fill", "#eee")
-    .attr("font-size", "16px")
+    .attr("fill", theme.foreground)
+    .attr("font-size", `${fitFontSize(title, width - 8, 16)}px`)
     .attr("font-family", "system-ui, sans-serif")
-    .text(`Hourly rainfall — ${locationName} — ${year}`);
+    .text(title);
 
   g.append("text")
     .attr("x", (numCols * cellSize) / 2)
     .attr("y", -6)
     .attr("text-anchor", "middle")
-    .attr("fill", "#888")
+    .attr("fill", theme.muted)
     .attr("font-size", "11px")
     .attr("font-family", "system-ui, sans-serif")
     .text("Midnight ← hours → Noon (centre) → 11pm");
@@ -774,60 +1381,1088 @@ export function buildRainfallYearHeatmapSvg(data, options = {}) {
           day: "numeric",
           year: "numeric",
         });
-        const rainLabel = mm != null ? `${mm.toFixed(1)} mm` : "No data";
+        const rainLabel = mm != null ? `${mm.toFixed(precipUnit.decimals)} ${precipUnit.symbol}` : "No data";
         rect.append("title").text(`${dateFormatted} ${hourLabel} — ${rainLabel}`);
       }
     }
   }
 
-  const legendWidth = numCols * cellSize;
-  const legendHeight = 14;
-  const legendY = numRows * cellSize + 8;
+  appendDaylightOverlay(g, sortedDates, data, { mode: options.daylight, cellSize, theme });
+
+  const legendScale = options.colorScale ? { color: getColor, legendDomain: precipUnit.legendDomain } : scale;
+  const captionY = appendGradientLegend(svg, g, legendScale, {
+    id: "rainfall-year-heatmap-gradient",
+    width: numCols * cellSize,
+    y: numRows * cellSize + 8,
+    height: 14,
+    unit: precipUnit,
+    separator: " ",
+    auto: !options.colorScale && options.palette?.domain === "auto",
+    theme,
+  });
+  appendDaylightKey(g, options.daylight, { y: captionY, width: numCols * cellSize, theme });
 
-  const legendN = 100;
-  const defs = svg.append("defs");
-  const gradientId = "rainfall-year-heatmap-gradient";
-  const gradient = defs
-    .append("linearGradient")
-    .attr("id", gradientId)
-    .attr("x1", "0%")
-    .attr("x2", "100%")
-    .attr("y1", "0")
-    .attr("y2", "0");
-  const legendMin = RAINFALL_SCALE_DOMAIN[0];
-  const legendMax = RAINFALL_SCALE_DOMAIN[RAINFALL_SCALE_DOMAIN.length - 1];
-  for (let i = 0; i <= legendN; i++) {
-    const v = legendMin + (i / legendN) * (legendMax - legendMin);
-    gradient
-      .append("stop")
-      .attr("offset", `${(i / legendN) * 100}%`)
-      .attr("stop-color", getColor(v));
+  return body.select("svg").node().outerHTML;
+}
+
+// --- Multi-location comparison: one chart, shared y-axis, one colour per location ---
+
+/**
+ * Build SVG comparing several locations on one chart.
+ * - metric "temperature": daily max (solid) and min (dashed) lines per location.
+ * - metric "rainfall": grouped daily rainfall bars per location; legend shows each location's total.
+ * All locations share the same y-axis so values are directly comparable.
+ * @param {Array<{ data: Object, locationName: string }>} locations - Weather series from a provider
+ * @param {Object} [options] - { metric ("temperature" | "rainfall", default "temperature"), units, theme, width, height (px, default 700×420) }
+ * @returns {string} SVG markup
+ */
+export function buildComparisonChartSvg(locations, options = {}) {
+  const theme = getTheme(options.theme);
+  const metric = options.metric ?? "temperature";
+  const { temperature: tempUnit, precipitation: precipUnit } = getUnitInfo(options.units);
+
+  const series = locations.map((loc, i) => ({
+    name: loc.locationName || loc.data.locationName || loc.data.timezone || `Location ${i + 1}`,
+    color: theme.categorical[i % theme.categorical.length],
+    daily: aggregateHourlyToDaily(loc.data),
+  }));
+  if (series.length === 0 || series.every((s) => s.daily.length === 0)) {
+    throw new Error("No hourly data in response");
   }
 
-  g.append("rect")
+  const dates = Array.from(new Set(series.flatMap((s) => s.daily.map((d) => d.date)))).sort();
+  const startDate = dates[0];
+  const endDate = dates[dates.length - 1];
+  const title = metric === "rainfall" ? "Daily Rainfall — comparison" : "Daily temperature — comparison";
+  const subtitle = `${startDate} to ${endDate}`;
+
+  // Legend: one colour per location (rainfall adds the period total)
+  const legendEntries = series.map((s) => {
+    if (metric !== "rainfall") return { label: s.name, color: s.color };
+    const total = d3.sum(s.daily, (d) => d.precipitationSum ?? 0);
+    return { label: `${s.name} (${total.toFixed(precipUnit.decimals)} ${precipUnit.symbol})`, color: s.color };
+  });
+  if (metric !== "rainfall") {
+    legendEntries.push({ label: "solid = max, dashed = min", color: null });
+  }
+  const layout = dailyChartLayout(options, legendEntries);
+  const { chartWidth, chartHeight } = layout;
+
+  const xScale = d3
+    .scaleBand()
+    .domain(dates)
+    .range([0, chartWidth])
+    .padding(metric === "rainfall" ? 0.2 : 0);
+
+  let yScale;
+  if (metric === "rainfall") {
+    const rainfalls = series.flatMap((s) => s.daily.map((d) => d.precipitationSum)).filter((v) => v != null && v >= 0);
+    const rainfallMax = rainfalls.length ? Math.max(precipUnit.minAxisMax, ...rainfalls) : precipUnit.minAxisMax * 10;
+    yScale = d3.scaleLinear().domain([0, rainfallMax * 1.1]).range([chartHeight, 0]);
+  } else {
+    const temps = series
+      .flatMap((s) => s.daily.flatMap((d) => [d.minTemp, d.maxTemp]))
+      .filter((v) => v != null);
+    const tempExtent = [temps.length ? Math.min(...temps) : 0, temps.length ? Math.max(...temps) : 20];
+    const tempRange = tempExtent[1] - tempExtent[0] || 1;
+    yScale = d3
+      .scaleLinear()
+      .domain([tempExtent[0] - 0.1 * tempRange, tempExtent[1] + 0.1 * tempRange])
+      .range([chartHeight, 0]);
+  }
+
+  const dom = new JSDOM("<!DOCTYPE html><body></body>", { pretendToBeVisual: true });
+  const document = dom.window.document;
+  const body = d3.select(document.body);
+  const { g } = appendChartFrame(body, layout, { title, subtitle, theme });
+
+  if (metric === "rainfall") {
+    // Grouped bars: one bar per location within each day's band
+    const groupWidth = xScale.bandwidth() / series.length;
+    series.forEach((s, si) => {
+      s.daily.forEach((d) => {
+        const rainfall = d.precipitationSum ?? 0;
+        g.append("rect")
+          .attr("x", (xScale(d.date) ?? 0) + si * groupWidth)
+          .attr("y", rainfall > 0 ? yScale(rainfall) : chartHeight - 1)
+          .attr("width", Math.max(1, groupWidth - 1))
+          .attr("height", rainfall > 0 ? chartHeight - yScale(rainfall) : 1)
+          .attr("fill", s.color)
+          .attr("rx", groupWidth > 6 ? 2 : 0)
+          .append("title")
+          .text(`${s.name} ${d.date}: ${rainfall.toFixed(precipUnit.decimals)} ${precipUnit.symbol}`);
+      });
+    });
+  } else {
+    // Lines at band centres: max solid, min dashed
+    const xCenter = (date) => (xScale(date) ?? 0) + xScale.bandwidth() / 2;
+    series.forEach((s) => {
+      for (const [field, dash] of [["maxTemp", null], ["minTemp", "5,4"]]) {
+        const line = d3
+          .line()
+          .defined((d) => d[field] != null)
+          .x((d) => xCenter(d.date))
+          .y((d) => yScale(d[field]));
+        g.append("path")
+          .attr("d", line(s.daily))
+          .attr("fill", "none")
+          .attr("stroke", s.color)
+          .attr("stroke-width", 2 * layout.k)
+          .attr("stroke-dasharray", dash);
+        s.daily.forEach((d) => {
+          if (d[field] == null) return;
+          g.append("circle")
+            .attr("cx", xCenter(d.date))
+            .attr("cy", yScale(d[field]))
+            .attr("r", 2.5 * layout.k)
+            .attr("fill", s.color)
+            .append("title")
+            .text(`${s.name} ${d.date}: ${field === "maxTemp" ? "max" : "min"} ${d[field].toFixed(1)}${tempUnit.symbol}`);
+        });
+      }
+    });
+  }
+
+  // Axes: dates (shortened) and the shared y scale
+  appendDailyAxes(g, layout, {
+    xScale,
+    yScale,
+    yLabel: metric === "rainfall" ? `Rainfall (${precipUnit.symbol})` : `Temperature (${tempUnit.symbol})`,
+    theme,
+  });
+
+  appendLegend(g, layout, theme);
+
+  return body.select("svg").node().outerHTML;
+}
+
+// --- Anomaly charts: selected period vs per-day-of-year baseline (see services/baseline.js) ---
+
+/**
+ * Daily rows plus the baseline normals for each day of year (converted to the chosen unit) and the anomalies:
+ * maxAnomaly / minAnomaly, and `anomaly` for the daily mean ((max + min) / 2). Anomalies are null where data or normals are missing.
+ * @param {Object} data - Weather series from a provider (see providers/series.js)
+ * @param {Object} baseline - From getBaseline (metric normals keyed by "MM-DD")
+ * @param {Object} [units]
+ * @returns {Array<{ date, maxTemp, minTemp, normalMaxTemp, normalMinTemp, maxAnomaly, minAnomaly, anomaly, ... }>}
+ */
+export function computeTemperatureAnomalies(data, baseline, units) {
+  const { temperature: tempUnit } = getUnitInfo(units);
+  return aggregateHourlyToDaily(data).map((d) => {
+    const normal = baseline.days[d.date.slice(5, 10)];
+    const normalMaxTemp = normal?.maxTemp != null ? tempUnit.fromCelsius(normal.maxTemp) : null;
+    const normalMinTemp = normal?.minTemp != null ? tempUnit.fromCelsius(normal.minTemp) : null;
+    if (d.maxTemp == null || d.minTemp == null || normalMaxTemp == null || normalMinTemp == null) {
+      return { ...d, normalMaxTemp, normalMinTemp, maxAnomaly: null, minAnomaly: null, anomaly: null };
+    }
+    return {
+      ...d,
+      normalMaxTemp,
+      normalMinTemp,
+      maxAnomaly: d.maxTemp - normalMaxTemp,
+      minAnomaly: d.minTemp - normalMinTemp,
+      anomaly: (d.maxTemp + d.minTemp) / 2 - (normalMaxTemp + normalMinTemp) / 2,
+    };
+  });
+}
+
+/**
+ * Build SVG of daily temperature anomalies: one bar per day for the daily mean ((max + min) / 2)
+ * minus the baseline normal for that day of year; red above normal, blue below.
+ * @param {Object} data - Weather series from a provider (see providers/series.js)
+ * @param {Object} baseline - From getBaseline (metric normals keyed by "MM-DD")
+ * @param {Object} [options] - { units, theme, width, height (px, default 700×420) }
+ * @returns {string} SVG markup
+ */
+export function buildTemperatureAnomalySvg(data, baseline, options = {}) {
+  const theme = getTheme(options.theme);
+  const { temperature: tempUnit } = getUnitInfo(options.units);
+  const daily = computeTemperatureAnomalies(data, baseline, options.units);
+  if (daily.length === 0) {
+    throw new Error("No hourly data in response");
+  }
+
+  const locationName = data.locationName || data.timezone || "Unknown";
+  const anomalies = daily.map((d) => d.anomaly).filter((v) => v != null);
+  const meanAnomaly = anomalies.length ? d3.mean(anomalies) : 0;
+  const sign = (v) => (v > 0 ? "+" : "");
+  const title = `Temperature anomaly — ${locationName}`;
+  const subtitle = `${daily[0].date} to ${daily[daily.length - 1].date} · mean ${sign(meanAnomaly)}${meanAnomaly.toFixed(1)}${tempUnit.symbol} vs ${baseline.from}–${baseline.to}`;
+
+  const layout = dailyChartLayout(options, [
+    { label: "Warmer than normal", color: theme.series.warm },
+    { label: "Colder than normal", color: theme.series.cold },
+  ]);
+  const { chartWidth, chartHeight } = layout;
+  const maxAbs = Math.max(1, ...anomalies.map(Math.abs));
+  const xScale = d3
+    .scaleBand()
+    .domain(daily.map((d) => d.date))
+    .range([0, chartWidth])
+    .padding(daily.length > 60 ? 0 : 0.2);
+  const yScale = d3
+    .scaleLinear()
+    .domain([-maxAbs * 1.1, maxAbs * 1.1])
+    .range([chartHeight, 0]);
+
+  const dom = new JSDOM("<!DOCTYPE html><body></body>", { pretendToBeVisual: true });
+  const body = d3.select(dom.window.document.body);
+  const { g } = appendChartFrame(body, layout, { title, subtitle, theme });
+  appendDailyAxes(g, layout, {
+    xScale,
+    yScale,
+    yLabel: `Anomaly (${tempUnit.symbol})`,
+    yTickFormat: (v) => `${sign(v)}${v}`,
+    theme,
+  });
+
+  daily.forEach((d) => {
+    if (d.anomaly == null) return;
+    const y0 = yScale(0);
+    const y1 = yScale(d.anomaly);
+    g.append("rect")
+      .attr("x", xScale(d.date) ?? 0)
+      .attr("y", Math.min(y0, y1))
+      .attr("width", xScale.bandwidth())
+      .attr("height", Math.abs(y1 - y0))
+      .attr("fill", d.anomaly >= 0 ? theme.series.warm : theme.series.cold)
+      .append("title")
+      .text(
+        `${d.date}: ${sign(d.anomaly)}${d.anomaly.toFixed(1)}${tempUnit.symbol} (max ${sign(d.maxAnomaly)}${d.maxAnomaly.toFixed(1)}, min ${sign(d.minAnomaly)}${d.minAnomaly.toFixed(1)})`
+      );
+  });
+
+  // Zero line = normal
+  g.append("line")
+    .attr("x1", 0)
+    .attr("x2", chartWidth)
+    .attr("y1", yScale(0))
+    .attr("y2", yScale(0))
+    .attr("stroke", theme.muted)
+    .attr("stroke-width", 1);
+
+  appendLegend(g, layout, theme);
+
+  return body.select("svg").node().outerHTML;
+}
+
+/**
+ * Daily rows plus the baseline normal rainfall for each day of year (in the chosen unit) and the day's total
+ * as a percent of it (null where there is no normal, or the normal is zero).
+ * @param {Object} data - Weather series from a provider (see providers/series.js)
+ * @param {Object} baseline - From getBaseline (metric normals keyed by "MM-DD")
+ * @param {Object} [units]
+ * @returns {Array<{ date, precipitationSum, normalPrecipitation, percent, ... }>}
+ */
+export function computeRainfallAnomalies(data, baseline, units) {
+  const { precipitation: precipUnit } = getUnitInfo(units);
+  return aggregateHourlyToDaily(data).map((d) => {
+    const normalMm = baseline.days[d.date.slice(5, 10)]?.precipitation;
+    const normalPrecipitation = normalMm != null ? precipUnit.fromMm(normalMm) : null;
+    const percent = normalPrecipitation ? (d.precipitationSum / normalPrecipitation) * 100 : null;
+    return { ...d, normalPrecipitation, percent };
+  });
+}
+
+/**
+ * Build SVG of daily rainfall as percent of normal for that day of year (100% line = normal);
+ * blue above normal, brown below. The subtitle gives the whole period's total vs its normal total.
+ * @param {Object} data - Weather series from a provider (see providers/series.js)
+ * @param {Object} baseline - From getBaseline (metric normals keyed by "MM-DD")
+ * @param {Object} [options] - { units, theme, width, height (px, default 700×420) }
+ * @returns {string} SVG markup
+ */
+export function buildRainfallAnomalySvg(data, baseline, options = {}) {
+  const theme = getTheme(options.theme);
+  const { precipitation: precipUnit } = getUnitInfo(options.units);
+  const daily = computeRainfallAnomalies(data, baseline, options.units);
+  if (daily.length === 0) {
+    throw new Error("No hourly data in response");
+  }
+
+  const locationName = data.locationName || data.timezone || "Unknown";
+  const total = d3.sum(daily, (d) => d.precipitationSum ?? 0);
+  const normalTotal = d3.sum(daily, (d) => d.normalPrecipitation ?? 0);
+  const totalPercent = normalTotal ? (total / normalTotal) * 100 : null;
+  const title = `Rainfall vs normal — ${locationName}`;
+  const subtitle =
+    `${daily[0].date} to ${daily[daily.length - 1].date} · ` +
+    `${total.toFixed(precipUnit.decimals)} ${precipUnit.symbol}` +
+    (totalPercent != null ? ` = ${totalPercent.toFixed(0)}% of normal` : "") +
+    ` (${baseline.from}–${baseline.to})`;
+
+  const layout = dailyChartLayout(options, [
+    { label: "Wetter than normal", color: theme.series.wet },
+    { label: "Drier than normal", color: theme.series.dry },
+  ]);
+  const { chartWidth, chartHeight } = layout;
+  const percents = daily.map((d) => d.percent).filter((v) => v != null);
+  const xScale = d3
+    .scaleBand()
+    .domain(daily.map((d) => d.date))
+    .range([0, chartWidth])
+    .padding(daily.length > 60 ? 0 : 0.2);
+  const yScale = d3
+    .scaleLinear()
+    .domain([0, Math.max(200, ...percents) * 1.05])
+    .range([chartHeight, 0]);
+
+  const dom = new JSDOM("<!DOCTYPE html><body></body>", { pretendToBeVisual: true });
+  const body = d3.select(dom.window.document.body);
+  const { g } = appendChartFrame(body, layout, { title, subtitle, theme });
+  appendDailyAxes(g, layout, {
+    xScale,
+    yScale,
+    yLabel: "Percent of normal (%)",
+    yTickFormat: (v) => `${v}%`,
+    theme,
+  });
+
+  daily.forEach((d) => {
+    if (d.percent == null) return;
+    const height = chartHeight - yScale(d.percent);
+    g.append("rect")
+      .attr("x", xScale(d.date) ?? 0)
+      .attr("y", height > 0 ? yScale(d.percent) : chartHeight - 1)
+      .attr("width", xScale.bandwidth())
+      .attr("height", Math.max(1, height))
+      .attr("fill", d.percent >= 100 ? theme.series.wet : theme.series.dry)
+      .append("title")
+      .text(
+        `${d.date}: ${d.precipitationSum.toFixed(precipUnit.decimals)} ${precipUnit.symbol} = ${d.percent.toFixed(0)}% of normal (${d.normalPrecipitation.toFixed(precipUnit.decimals)} ${precipUnit.symbol})`
+      );
+  });
+
+  // 100% line = normal
+  g.append("line")
+    .attr("x1", 0)
+    .attr("x2", chartWidth)
+    .attr("y1", yScale(100))
+    .attr("y2", yScale(100))
+    .attr("stroke", theme.muted)
+    .attr("stroke-width", 1)
+    .attr("stroke-dasharray", "4,3");
+
+  appendLegend(g, layout, theme);
+
+  return body.select("svg").node().outerHTML;
+}
+
+// --- Wind: polar wind rose and daily wind chart ---
+export const COMPASS_POINTS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+const WIND_ROSE_WIDTH = 620;
+const WIND_ROSE_HEIGHT = 500;
+
+/**
+ * 16-point compass name for a "from" direction in degrees (0 = N).
+ */
+function compassPoint(degrees) {
+  return COMPASS_POINTS[Math.round(degrees / 22.5) % 16];
+}
+
+/**
+ * Label for wind speed class `cls` given the class upper bounds (last class is open-ended).
+ */
+function speedClassLabel(bounds, cls) {
+  if (cls === 0) return `< ${bounds[0]}`;
+  if (cls === bounds.length) return `≥ ${bounds[bounds.length - 1]}`;
+  return `${bounds[cls - 1]}–${bounds[cls]}`;
+}
+
+/**
+ * Count hours per direction sector (16, N first, by the direction the wind blows from) and speed class.
+ * Calm hours (speed 0) count towards the total but not towards any sector.
+ * @param {Object} data - Weather series with hourly.windSpeed and hourly.windDirection
+ * @param {Object} [units]
+ * @returns {{ counts: number[][], total: number, calm: number, labels: string[] }} counts[sector][speedClass]; labels per speed class
+ */
+export function binWindRose(data, units) {
+  const hourly = data.hourly;
+  if (!hourly?.time?.length || !hourly?.windSpeed || !hourly?.windDirection) {
+    throw new Error("Wind rose requires hourly windSpeed and windDirection");
+  }
+  const bounds = getUnitInfo(units).wind.speedClasses;
+  const numClasses = bounds.length + 1;
+
+  const counts = Array.from({ length: 16 }, () => Array(numClasses).fill(0));
+  let total = 0;
+  let calm = 0;
+  for (let i = 0; i < hourly.time.length; i++) {
+    const ws = hourly.windSpeed[i];
+    const wd = hourly.windDirection[i];
+    if (ws == null || wd == null || Number.isNaN(ws) || Number.isNaN(wd)) continue;
+    total++;
+    if (ws === 0) {
+      calm++;
+      continue;
+    }
+    const sector = Math.round(wd / 22.5) % 16;
+    const cls = bounds.findIndex((b) => ws < b);
+    counts[sector][cls === -1 ? bounds.length : cls]++;
+  }
+  if (total === 0) {
+    throw new Error("No wind data in response");
+  }
+  const labels = Array.from({ length: numClasses }, (_, cls) => speedClassLabel(bounds, cls));
+  return { counts, total, calm, labels };
+}
+
+/**
+ * Build a wind rose SVG: 16 direction sectors (direction the wind blows from), each a stack of
+ * speed classes; radius = percent of hours. Speed classes are nice numbers in the chosen wind unit.
+ * @param {Object} data - Weather series with hourly.windSpeed and hourly.windDirection
+ * @param {Object} [options] - { units, theme }
+ * @returns {string} SVG markup
+ */
+export function buildWindRoseSvg(data, options = {}) {
+  const theme = getTheme(options.theme);
+  const { wind: windUnit } = getUnitInfo(options.units);
+  const bounds = windUnit.speedClasses;
+  const numClasses = bounds.length + 1;
+  const { counts, total, calm } = binWindRose(data, options.units);
+
+  const locationName = options.locationName ?? data.locationName ?? data.timezone ?? "Unknown";
+  const dates = data.hourly.time.map((t) => t.slice(0, 10));
+  const subtitle = `${dates[0]} to ${dates[dates.length - 1]} · ${total} hours${calm ? ` · calm ${((calm / total) * 100).toFixed(1)}%` : ""}`;
+
+  const percents = counts.map((row) => row.map((c) => (c / total) * 100));
+  const maxSectorPercent = Math.max(1, ...percents.map((row) => d3.sum(row)));
+
+  const cx = 240;
+  const cy = 270;
+  const radius = 190;
+  const rScale = d3.scaleLinear().domain([0, maxSectorPercent]).range([0, radius]).nice();
+
+  const dom = new JSDOM("<!DOCTYPE html><body></body>", { pretendToBeVisual: true });
+  const body = d3.select(dom.window.document.body);
+  const svg = body
+    .append("svg")
+    .attr("xmlns", "http://www.w3.org/2000/svg")
+    .attr("width", WIND_ROSE_WIDTH)
+    .attr("height", WIND_ROSE_HEIGHT)
+    .attr("viewBox", `0 0 ${WIND_ROSE_WIDTH} ${WIND_ROSE_HEIGHT}`);
+
+  svg.append("rect").attr("width", WIND_ROSE_WIDTH).attr("height", WIND_ROSE_HEIGHT).attr("fill", theme.background);
+
+  svg.append("text")
+    .attr("x", WIND_ROSE_WIDTH / 2)
+    .attr("y", 28)
+    .attr("text-anchor", "middle")
+    .attr("fill", theme.foreground)
+    .attr("font-size", "18px")
+    .attr("font-family", "system-ui, sans-serif")
+    .text(`Wind rose — ${locationName}`);
+  svg.append("text")
+    .attr("x", WIND_ROSE_WIDTH / 2)
+    .attr("y", 46)
+    .attr("text-anchor", "middle")
+    .attr("fill", theme.text)
+    .attr("font-size", "13px")
+    .attr("font-family", "system-ui, sans-serif")
+    .text(subtitle);
+
+  const g = svg.append("g").attr("transform", `translate(${cx},${cy})`);
+
+  // Grid: percent rings and 16 spokes
+  const rings = rScale.ticks(4).filter((v) => v > 0);
+  rings.forEach((v) => {
+    g.append("circle").attr("r", rScale(v)).attr("fill", "none").attr("stroke", theme.axis).attr("stroke-dasharray", "2,3");
+    g.append("text")
+      .attr("x", 3)
+      .attr("y", -rScale(v) - 2)
+      .attr("fill", theme.muted)
+      .attr("font-size", "10px")
+      .attr("font-family", "system-ui, sans-serif")
+      .text(`${v}%`);
+  });
+  for (let s = 0; s < 16; s++) {
+    const a = (s * 22.5 * Math.PI) / 180;
+    g.append("line")
+      .attr("x1", 0)
+      .attr("y1", 0)
+      .attr("x2", Math.sin(a) * rScale.range()[1])
+      .attr("y2", -Math.cos(a) * rScale.range()[1])
+      .attr("stroke", theme.grid);
+  }
+
+  // Stacked sector wedges (d3.arc angles: 0 = north, clockwise)
+  const arc = d3.arc();
+  const halfSector = (11.25 * Math.PI) / 180;
+  counts.forEach((row, s) => {
+    const centre = (s * 22.5 * Math.PI) / 180;
+    let cumulative = 0;
+    row.forEach((count, cls) => {
+      if (count === 0) return;
+      const pct = (count / total) * 100;
+      const classLabel = speedClassLabel(bounds, cls);
+      g.append("path")
+        .attr(
+          "d",
+          arc({
+            innerRadius: rScale(cumulative),
+            outerRadius: rScale(cumulative + pct),
+            startAngle: centre - halfSector,
+            endAngle: centre + halfSector,
+            padAngle: 0.03,
+          })
+        )
+        .attr("fill", theme.windClasses[cls])
+        .attr("stroke", theme.background)
+        .attr("stroke-width", 0.5)
+        .append("title")
+        .text(`From ${COMPASS_POINTS[s]}, ${classLabel} ${windUnit.symbol}: ${pct.toFixed(1)}% of hours`);
+      cumulative += pct;
+    });
+  });
+
+  // Compass labels
+  ["N", "E", "S", "W"].forEach((label, i) => {
+    const a = (i * 90 * Math.PI) / 180;
+    const r = rScale.range()[1] + 14;
+    g.append("text")
+      .attr("x", Math.sin(a) * r)
+      .attr("y", -Math.cos(a) * r + 4)
+      .attr("text-anchor", "middle")
+      .attr("fill", theme.foreground)
+      .attr("font-size", "13px")
+      .attr("font-weight", "bold")
+      .attr("font-family", "system-ui, sans-serif")
+      .text(label);
+  });
+
+  // Legend: speed classes
+  const legend = svg.append("g").attr("transform", `translate(${cx + radius + 50},${cy - 60})`);
+  legend
+    .append("text")
     .attr("x", 0)
-    .attr("y", legendY)
-    .attr("width", legendWidth)
-    .attr("height", legendHeight)
-    .attr("fill", `url(#${gradientId})`)
-    .attr("rx", 2);
+    .attr("y", -8)
+    .attr("fill", theme.text)
+    .attr("font-size", "12px")
+    .attr("font-family", "system-ui, sans-serif")
+    .text(`Wind speed (${windUnit.symbol})`);
+  for (let cls = 0; cls < numClasses; cls++) {
+    const label = speedClassLabel(bounds, cls);
+    legend
+      .append("rect")
+      .attr("x", 0)
+      .attr("y", cls * 20)
+      .attr("width", 12)
+      .attr("height", 12)
+      .attr("fill", theme.windClasses[cls])
+      .attr("rx", 2);
+    legend
+      .append("text")
+      .attr("x", 18)
+      .attr("y", cls * 20 + 10)
+      .attr("fill", theme.text)
+      .attr("font-size", "11px")
+      .attr("font-family", "system-ui, sans-serif")
+      .text(label);
+  }
+
+  return body.select("svg").node().outerHTML;
+}
+
+/**
+ * Build SVG of daily wind: mean speed and max gust as grouped bars, with an arrow per day
+ * showing the mean direction the wind blew towards (tooltip gives the "from" compass point).
+ * @param {Object} data - Weather series with hourly windSpeed, windGusts, windDirection
+ * @param {Object} [options] - { units, theme, width, height (px, default 700×420) }
+ * @returns {string} SVG markup
+ */
+export function buildWindChartSvg(data, options = {}) {
+  const theme = getTheme(options.theme);
+  const daily = aggregateHourlyToDaily(data);
+  if (daily.length === 0) {
+    throw new Error("No hourly data in response");
+  }
+  const { wind: windUnit } = getUnitInfo(options.units);
+
+  const locationName = data.locationName || data.timezone || "Unknown";
+  const title = `Daily wind — ${locationName}`;
+  const subtitle = `${daily[0].date} to ${daily[daily.length - 1].date}`;
+
+  // Direction arrows need about one arrow width per day. The plot width does not depend on the legend,
+  // so a layout without it decides whether the arrows (and their legend entry) are drawn
+  const plot = dailyChartLayout(options);
+  const showArrows = plot.chartWidth / (daily.length + 0.25) >= 10 * plot.k;
+  const layout = dailyChartLayout(options, [
+    { label: `Mean wind (${windUnit.symbol})`, color: theme.series.wind },
+    { label: `Max gust (${windUnit.symbol})`, color: theme.series.gust },
+    ...(showArrows ? [{ label: "Arrow: direction wind blows to", color: theme.foreground }] : []),
+  ]);
+  const { chartWidth, chartHeight } = layout;
+  const arrowRow = layout.px(24, 18); // space at the top of the plot for direction arrows
+
+  const xScale = d3
+    .scaleBand()
+    .domain(daily.map((d) => d.date))
+    .range([0, chartWidth])
+    .padding(0.25);
+  const speeds = daily.flatMap((d) => [d.meanWind, d.maxGust, d.maxWind]).filter((v) => v != null);
+  const yWind = d3
+    .scaleLinear()
+    .domain([0, Math.max(1, ...speeds) * 1.1])
+    .range([chartHeight, arrowRow])
+    .nice();
+
+  const dom = new JSDOM("<!DOCTYPE html><body></body>", { pretendToBeVisual: true });
+  const body = d3.select(dom.window.document.body);
+  const { g } = appendChartFrame(body, layout, { title, subtitle, theme });
+
+  // Grouped bars: mean speed (teal), max gust (orange)
+  const barWidth = xScale.bandwidth() / 2;
+  const barPadding = Math.min(2, barWidth / 4);
+  const barRadius = Math.min(3, barWidth / 4);
 
+  daily.forEach((d) => {
+    const x = xScale(d.date) ?? 0;
+    const group = g.append("g").attr("transform", `translate(${x},0)`);
+
+    if (d.meanWind != null) {
+      group
+        .append("rect")
+        .attr("x", 0)
+        .attr("y", yWind(d.meanWind))
+        .attr("width", barWidth - barPadding)
+        .attr("height", chartHeight - yWind(d.meanWind))
+        .attr("fill", theme.series.wind)
+        .attr("rx", barRadius)
+        .append("title")
+        .text(`${d.date}: mean ${d.meanWind.toFixed(1)} ${windUnit.symbol}`);
+    }
+    if (d.maxGust != null) {
+      group
+        .append("rect")
+        .attr("x", barWidth)
+        .attr("y", yWind(d.maxGust))
+        .attr("width", barWidth - barPadding)
+        .attr("height", chartHeight - yWind(d.maxGust))
+        .attr("fill", theme.series.gust)
+        .attr("rx", barRadius)
+        .append("title")
+        .text(`${d.date}: max gust ${d.maxGust.toFixed(1)} ${windUnit.symbol}`);
+    }
+    // Direction arrow points where the wind blows to (meteorological direction + 180°)
+    if (showArrows && d.windDirection != null) {
+      group
+        .append("path")
+        .attr("d", "M0,-8 L5,4 L0,1 L-5,4 Z")
+        .attr("transform", `translate(${xScale.bandwidth() / 2},${arrowRow / 2}) rotate(${(d.windDirection + 180) % 360}) scale(${layout.k})`)
+        .attr("fill", theme.foreground)
+        .append("title")
+        .text(`${d.date}: from ${compassPoint(d.windDirection)} (${Math.round(d.windDirection)}°)`);
+    }
+  });
+
+  // Axes: dates (shortened) and wind speed
+  appendDailyAxes(g, layout, { xScale, yScale: yWind, yLabel: `Wind speed (${windUnit.symbol})`, theme });
+
+  appendLegend(g, layout, theme);
+
+  return body.select("svg").node().outerHTML;
+}
+
+// --- Multi-year: warming stripes (one stripe per year) and the year × day-of-year heatmap ---
+
+// A year's mean needs this share of its days; thinner years (station gaps, a partial first year) are drawn as missing
+const MIN_YEAR_COVERAGE = 0.9;
+// Classic warming stripes: ColorBrewer's eight darkest blues and reds, in equal steps either side of the reference mean
+const STRIPE_COLORS = [
+  "#08306b", "#08519c", "#2171b5", "#4292c6", "#6baed6", "#9ecae1", "#c6dbef", "#deebf7",
+  "#fee0d2", "#fcbba1", "#fc9272", "#fb6a4a", "#ef3b2c", "#cb181d", "#a50f15", "#67000d",
+];
+const MULTI_YEAR_MARGIN = { top: 60, right: 20, bottom: 40, left: 44 };
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+/**
+ * Column of a date on a leap-year calendar (0 = Jan 1, 59 = Feb 29, 365 = Dec 31), so a day of the year is in the
+ * same column every year.
+ */
+function dayOfYearColumn(dateStr) {
+  const month = Number(dateStr.slice(5, 7));
+  const day = Number(dateStr.slice(8, 10));
+  return Math.round((Date.UTC(2000, month - 1, day) - Date.UTC(2000, 0, 1)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Reduce daily rows from many years to one row per year from fromYear to toYear: the mean of the daily mean
+ * temperatures, null where fewer than MIN_YEAR_COVERAGE of the year's days have one.
+ * @param {Array<{ date, meanTemp }>} daily - e.g. getDailyHistory's rows
+ * @returns {Array<{ year, days, meanTemp }>} days: days with a temperature
+ */
+export function aggregateDailyToYearly(daily, fromYear, toYear) {
+  const sums = new Map();
+  for (let year = fromYear; year <= toYear; year++) sums.set(year, { sum: 0, days: 0 });
+  for (const row of daily) {
+    const s = sums.get(Number(row.date.slice(0, 4)));
+    if (!s || row.meanTemp == null) continue;
+    s.sum += row.meanTemp;
+    s.days++;
+  }
+  return Array.from(sums, ([year, { sum, days }]) => ({
+    year,
+    days,
+    meanTemp: days >= MIN_YEAR_COVERAGE * (isLeapYear(year) ? 366 : 365) ? sum / days : null,
+  }));
+}
+
+/**
+ * Annual mean temperatures and each year's anomaly from the mean of the reference years' annual means.
+ * @param {Object} history - From getDailyHistory (values in the chosen unit)
+ * @param {{ from: number, to: number }} reference - Reference years, within the history's range
+ * @returns {{ referenceMean: number|null, years: Array<{ year, days, meanTemp, anomaly }> }} referenceMean is null
+ *   if no reference year has enough data
+ */
+export function computeYearlyAnomalies(history, reference) {
+  const yearly = aggregateDailyToYearly(history.daily, history.fromYear, history.toYear);
+  const referenceMeans = yearly
+    .filter((y) => y.year >= reference.from && y.year <= reference.to && y.meanTemp != null)
+    .map((y) => y.meanTemp);
+  const referenceMean = referenceMeans.length ? d3.mean(referenceMeans) : null;
+  return {
+    referenceMean,
+    years: yearly.map((y) => ({
+      ...y,
+      anomaly: y.meanTemp != null && referenceMean != null ? y.meanTemp - referenceMean : null,
+    })),
+  };
+}
+
+/**
+ * Build warming stripes: one vertical stripe per year coloured by its annual mean temperature anomaly from the
+ * reference period's mean (blue colder, red warmer), in equal steps up to the largest anomaly either way.
+ * Years without enough data are drawn in the theme's missing colour.
+ * @param {Object} history - From getDailyHistory
+ * @param {{ from: number, to: number }} reference - Years the anomalies are measured against
+ * @param {Object} [options] - { labels (title, year axis and legend; false for the stripes alone, default true), units, theme, width, height (px, default 700×420) }
+ * @returns {string} SVG markup
+ */
+export function buildStripesSvg(history, reference, options = {}) {
+  const theme = getTheme(options.theme);
+  const { temperature: tempUnit } = getUnitInfo(options.units);
+  const { referenceMean, years } = computeYearlyAnomalies(history, reference);
+  const labels = options.labels ?? true;
+
+  const locationName = history.locationName || history.timezone || "Unknown";
+  const sign = (v) => (v > 0 ? "+" : "");
+  const maxAbs = Math.max(...years.map((y) => Math.abs(y.anomaly ?? 0))) || 1;
+  const color = d3.scaleQuantize().domain([-maxAbs, maxAbs]).range(STRIPE_COLORS);
+  const title = `Warming stripes — ${locationName}`;
+  const subtitle =
+    referenceMean != null
+      ? `${history.fromYear}–${history.toYear} · annual mean temperature vs ${reference.from}–${reference.to} (${referenceMean.toFixed(1)}${tempUnit.symbol})`
+      : `${history.fromYear}–${history.toYear} · not enough data for annual means`;
+
+  const dom = new JSDOM("<!DOCTYPE html><body></body>", { pretendToBeVisual: true });
+  const body = d3.select(dom.window.document.body);
+  let g;
+  let layout;
+  if (labels) {
+    layout = dailyChartLayout(options, [
+      { label: `Colder than ${reference.from}–${reference.to}`, color: STRIPE_COLORS[2] },
+      { label: `Warmer than ${reference.from}–${reference.to}`, color: STRIPE_COLORS[13] },
+      ...(years.some((y) => y.anomaly == null) ? [{ label: "Not enough data", color: theme.missing }] : []),
+    ]);
+    ({ g } = appendChartFrame(body, layout, { title, subtitle, theme }));
+  } else {
+    // The stripes alone, edge to edge
+    const width = options.width ?? WIDTH;
+    const height = options.height ?? HEIGHT;
+    layout = { chartWidth: width, chartHeight: height };
+    g = body
+      .append("svg")
+      .attr("xmlns", "http://www.w3.org/2000/svg")
+      .attr("width", width)
+      .attr("height", height)
+      .attr("viewBox", `0 0 ${width} ${height}`)
+      .append("g");
+  }
+  const { chartWidth, chartHeight } = layout;
+
+  const xScale = d3
+    .scaleBand()
+    .domain(years.map((y) => y.year))
+    .range([0, chartWidth]);
+  years.forEach((y) => {
+    // Stripes overlap by a fraction of a pixel so anti-aliasing leaves no seams between them
+    g.append("rect")
+      .attr("x", xScale(y.year))
+      .attr("y", 0)
+      .attr("width", xScale.bandwidth() + 0.5)
+      .attr("height", chartHeight)
+      .attr("shape-rendering", "crispEdges")
+      .attr("fill", y.anomaly != null ? color(y.anomaly) : theme.missing)
+      .append("title")
+      .text(
+        y.anomaly != null
+          ? `${y.year}: ${y.meanTemp.toFixed(1)}${tempUnit.symbol} (${sign(y.anomaly)}${y.anomaly.toFixed(2)}${tempUnit.symbol})`
+          : `${y.year}: not enough data (${y.days} days)`
+      );
+  });
+
+  if (labels) {
+    // Year labels at round intervals, as many as fit
+    const step = [1, 2, 5, 10, 20, 25, 50].find((s) => years.length / s <= layout.maxXTicks) ?? 100;
+    const ticks = years.map((y) => y.year).filter((year) => year % step === 0);
+    const xAxis = g
+      .append("g")
+      .attr("transform", `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale).tickValues(ticks.length ? ticks : [years[0].year]));
+    xAxis.selectAll("text").attr("fill", theme.text).attr("font-size", `${layout.font.axis}px`).attr("font-family", "system-ui, sans-serif");
+    xAxis.selectAll(".domain, .tick line").attr("stroke", theme.axis);
+    appendLegend(g, layout, theme);
+  }
+
+  return body.select("svg").node().outerHTML;
+}
+
+/**
+ * Build a multi-year heatmap: one row per year (oldest at the top), one column per day of the year (Jan 1 left →
+ * Dec 31 right; Feb 29 has its own column, empty in other years), coloured by the daily mean temperature or the
+ * daily rainfall on the year heatmaps' colour scales.
+ * @param {Object} history - From getDailyHistory
+ * @param {Object} [options] - { metric ("temperature" | "rainfall", default "temperature"), cellWidth, cellHeight (px per day and per year), showTooltips (boolean, default false: decades are tens of thousands of cells), palette (from resolveColorScale), units, theme }
+ * @returns {string} SVG markup
+ */
+export function buildMultiYearHeatmapSvg(history, options = {}) {
+  const theme = getTheme(options.theme);
+  const rainfall = options.metric === "rainfall";
+  const { temperature: tempUnit, precipitation: precipUnit } = getUnitInfo(options.units);
+  const unit = rainfall ? precipUnit : tempUnit;
+  const field = rainfall ? "precipitationSum" : "meanTemp";
+  const cellWidth = options.cellWidth ?? 2;
+  const cellHeight = options.cellHeight ?? CELL_SIZE;
+  const showTooltips = options.showTooltips ?? false;
+  const { fromYear, toYear } = history;
+  const locationName = history.locationName || history.timezone || "Unknown";
+  const format = (v) => (rainfall ? `${v.toFixed(precipUnit.decimals)} ${unit.symbol}` : `${v.toFixed(1)}${unit.symbol}`);
+
+  const cells = history.daily.filter((d) => d[field] != null);
+  const values = cells.map((d) => d[field]);
+  const extent = values.length ? d3.extent(values) : rainfall ? [0, 1] : [0, 20];
+  const scale = heatmapColorScale(rainfall ? "precipitation" : "temperature", options.palette, unit, extent);
+
+  const numRows = toYear - fromYear + 1;
+  const gridWidth = 366 * cellWidth;
+  const gridHeight = numRows * cellHeight;
+  const width = gridWidth + MULTI_YEAR_MARGIN.left + MULTI_YEAR_MARGIN.right;
+  const height = gridHeight + MULTI_YEAR_MARGIN.top + MULTI_YEAR_MARGIN.bottom;
+
+  const dom = new JSDOM("<!DOCTYPE html><body></body>", { pretendToBeVisual: true });
+  const body = d3.select(dom.window.document.body);
+  const svg = body
+    .append("svg")
+    .attr("xmlns", "http://www.w3.org/2000/svg")
+    .attr("width", width)
+    .attr("height", height)
+    .attr("viewBox", `0 0 ${width} ${height}`);
+  svg.append("rect").attr("width", width).attr("height", height).attr("fill", theme.background);
+  const g = svg.append("g").attr("transform", `translate(${MULTI_YEAR_MARGIN.left},${MULTI_YEAR_MARGIN.top})`);
+
+  const title = `${rainfall ? "Daily rainfall" : "Daily mean temperature"} — ${locationName} — ${fromYear}–${toYear}`;
   g.append("text")
-    .attr("x", 0)
-    .attr("y", legendY + legendHeight + 12)
-    .attr("fill", "#888")
-    .attr("font-size", "10px")
+    .attr("x", gridWidth / 2)
+    .attr("y", -38)
+    .attr("text-anchor", "middle")
+    .attr("fill", theme.foreground)
+    .attr("font-size", `${fitFontSize(title, width - 8, 16)}px`)
+    .attr("font-family", "system-ui, sans-serif")
+    .text(title);
+  g.append("text")
+    .attr("x", gridWidth / 2)
+    .attr("y", -22)
+    .attr("text-anchor", "middle")
+    .attr("fill", theme.muted)
+    .attr("font-size", "11px")
     .attr("font-family", "system-ui, sans-serif")
-    .text(`${legendMin} mm`);
+    .text("One row per year · January ← days → December");
+
+  MONTHS.forEach((month, i) => {
+    g.append("text")
+      .attr("x", dayOfYearColumn(`2000-${String(i + 1).padStart(2, "0")}-01`) * cellWidth)
+      .attr("y", -6)
+      .attr("fill", theme.muted)
+      .attr("font-size", "10px")
+      .attr("font-family", "system-ui, sans-serif")
+      .text(month);
+  });
+
+  // Year labels as often as they fit
+  const labelEvery = [1, 2, 5, 10, 20, 50].find((n) => n * cellHeight >= 11) ?? 100;
+  for (let year = fromYear; year <= toYear; year++) {
+    if (year % labelEvery !== 0 && year !== fromYear) continue;
+    g.append("text")
+      .attr("x", -6)
+      .attr("y", (year - fromYear) * cellHeight + cellHeight / 2 + 3.5)
+      .attr("text-anchor", "end")
+      .attr("fill", theme.text)
+      .attr("font-size", "10px")
+      .attr("font-family", "system-ui, sans-serif")
+      .text(year);
+  }
+
+  // Missing days (and Feb 29 outside leap years) show the background grid; only days with data get a cell
+  g.append("rect").attr("width", gridWidth).attr("height", gridHeight).attr("fill", theme.missing);
+  for (const d of cells) {
+    const rect = g
+      .append("rect")
+      .attr("x", dayOfYearColumn(d.date) * cellWidth)
+      .attr("y", (Number(d.date.slice(0, 4)) - fromYear) * cellHeight)
+      .attr("width", cellWidth)
+      .attr("height", cellHeight)
+      .attr("fill", scale.color(d[field]));
+    if (showTooltips) rect.append("title").text(`${d.date} — ${format(d[field])}`);
+  }
+
+  // Colour scale legend (horizontal bar below the grid)
+  appendGradientLegend(svg, g, scale, {
+    id: "multi-year-heatmap-gradient",
+    width: gridWidth,
+    y: gridHeight + 8,
+    height: 14,
+    unit,
+    separator: rainfall ? " " : "",
+    auto: options.palette?.domain === "auto",
+    theme,
+  });
+
+  return body.select("svg").node().outerHTML;
+}
 
+// --- Calendar heatmap ---
+
+/** Calendar heatmap metrics: the aggregateHourlyToDaily field each colours by, and the colour scale it uses */
+export const CALENDAR_METRICS = {
+  "max-temp": { field: "maxTemp", label: "Daily maximum temperature", variable: "temperature" },
+  "min-temp": { field: "minTemp", label: "Daily minimum temperature", variable: "temperature" },
+  "mean-temp": { field: "meanTemp", label: "Daily mean temperature", variable: "temperature" },
+  rainfall: { field: "precipitationSum", label: "Daily rainfall", variable: "precipitation" },
+  "rain-hours": { field: "rainHours", label: "Hours with rain", variable: "precipitation" },
+};
+
+const CALENDAR_MARGIN = { top: 48, right: 16, bottom: 40, left: 32 };
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Rain hours go on the rainfall key with a whole day of rain (24 h) at its 50 mm end
+const RAIN_HOURS_UNIT = { symbol: "h", toMm: (v) => (v / 24) * 50, legendDomain: [0, 24], minAxisMax: 1, decimals: 0 };
+
+/**
+ * Build a calendar heatmap: a year laid out as weeks (columns, Monday first) × weekdays (rows), like a GitHub
+ * contribution grid, each day coloured by one daily metric on the year heatmaps' colour scales.
+ * Days without data (including the rest of the current year) are left in the missing colour.
+ * @param {Object} data - Weather series with hourly data for the year
+ * @param {Object} [options] - { year, metric (key of CALENDAR_METRICS, default "max-temp"), cellSize (px per day, default 12), showTooltips (boolean, default true), palette (from resolveColorScale), units, theme }
+ * @returns {string} SVG markup
+ */
+export function buildCalendarHeatmapSvg(data, options = {}) {
+  const theme = getTheme(options.theme);
+  const { field, label, variable } = CALENDAR_METRICS[options.metric ?? "max-temp"];
+  const { temperature: tempUnit, precipitation: precipUnit } = getUnitInfo(options.units);
+  const unit = field === "rainHours" ? RAIN_HOURS_UNIT : variable === "precipitation" ? precipUnit : tempUnit;
+  const cellSize = options.cellSize ?? 12;
+  const gap = Math.max(1, Math.round(cellSize / 6));
+  const pitch = cellSize + gap;
+  const showTooltips = options.showTooltips ?? true;
+  const year = options.year ?? new Date().getFullYear();
+  const locationName = data.locationName ?? data.timezone ?? "Unknown";
+  const separator = variable === "precipitation" ? " " : "";
+  const format = (v) => `${v.toFixed(variable === "precipitation" ? unit.decimals : 1)}${separator}${unit.symbol}`;
+
+  const byDate = new Map(
+    aggregateHourlyToDaily(data)
+      .filter((d) => d[field] != null && !Number.isNaN(d[field]))
+      .map((d) => [d.date, d[field]])
+  );
+  const values = [...byDate.values()];
+  const extent = values.length ? d3.extent(values) : variable === "precipitation" ? [0, 1] : [0, 20];
+  const scale = heatmapColorScale(variable, options.palette, unit, extent);
+
+  // Column = week of the year (week 0 holds Jan 1), row = weekday
+  const jan1 = Date.UTC(year, 0, 1);
+  const offset = (new Date(jan1).getUTCDay() + 6) % 7;
+  const numDays = isLeapYear(year) ? 366 : 365;
+  const position = (dayIndex) => ({ col: Math.floor((dayIndex + offset) / 7), row: (dayIndex + offset) % 7 });
+  const numWeeks = position(numDays - 1).col + 1;
+  const gridWidth = numWeeks * pitch - gap;
+  const gridHeight = 7 * pitch - gap;
+  const width = gridWidth + CALENDAR_MARGIN.left + CALENDAR_MARGIN.right;
+  const height = gridHeight + CALENDAR_MARGIN.top + CALENDAR_MARGIN.bottom;
+
+  const dom = new JSDOM("<!DOCTYPE html><body></body>", { pretendToBeVisual: true });
+  const body = d3.select(dom.window.document.body);
+  const svg = body
+    .append("svg")
+    .attr("xmlns", "http://www.w3.org/2000/svg")
+    .attr("width", width)
+    .attr("height", height)
+    .attr("viewBox", `0 0 ${width} ${height}`);
+  svg.append("rect").attr("width", width).attr("height", height).attr("fill", theme.background);
+  const g = svg.append("g").attr("transform", `translate(${CALENDAR_MARGIN.left},${CALENDAR_MARGIN.top})`);
+
+  const title = `${label} — ${locationName} — ${year}`;
   g.append("text")
-    .attr("x", legendWidth)
-    .attr("y", legendY + legendHeight + 12)
-    .attr("text-anchor", "end")
-    .attr("fill", "#888")
-    .attr("font-size", "10px")
+    .attr("x", gridWidth / 2)
+    .attr("y", -28)
+    .attr("text-anchor", "middle")
+    .attr("fill", theme.foreground)
+    .attr("font-size", `${fitFontSize(title, width - 8, 16)}px`)
     .attr("font-family", "system-ui, sans-serif")
-    .text(`${legendMax} mm`);
+    .text(title);
+
+  // Month labels over the week holding the 1st
+  MONTHS.forEach((month, i) => {
+    const dayIndex = Math.round((Date.UTC(year, i, 1) - jan1) / 86400000);
+    g.append("text")
+      .attr("x", position(dayIndex).col * pitch)
+      .attr("y", -6)
+      .attr("fill", theme.muted)
+      .attr("font-size", "10px")
+      .attr("font-family", "system-ui, sans-serif")
+      .text(month);
+  });
+
+  // Every other weekday labelled, as on GitHub
+  [0, 2, 4].forEach((row) => {
+    g.append("text")
+      .attr("x", -6)
+      .attr("y", row * pitch + cellSize / 2 + 3.5)
+      .attr("text-anchor", "end")
+      .attr("fill", theme.text)
+      .attr("font-size", "10px")
+      .attr("font-family", "system-ui, sans-serif")
+      .text(WEEKDAYS[row]);
+  });
+
+  const radius = Math.round(cellSize / 6);
+  for (let dayIndex = 0; dayIndex < numDays; dayIndex++) {
+    const date = new Date(jan1 + dayIndex * 86400000).toISOString().slice(0, 10);
+    const value = byDate.get(date);
+    const { col, row } = position(dayIndex);
+    const rect = g
+      .append("rect")
+      .attr("x", col * pitch)
+      .attr("y", row * pitch)
+      .attr("width", cellSize)
+      .attr("height", cellSize)
+      .attr("rx", radius)
+      .attr("fill", value == null ? theme.missing : scale.color(value));
+    if (showTooltips) rect.append("title").text(`${date} — ${value == null ? "no data" : format(value)}`);
+  }
+
+  // Colour scale legend (horizontal bar below the grid)
+  appendGradientLegend(svg, g, scale, {
+    id: "calendar-heatmap-gradient",
+    width: gridWidth,
+    y: gridHeight + 8,
+    height: 10,
+    unit,
+    separator,
+    auto: options.palette?.domain === "auto",
+    theme,
+  });
 
   return body.select("svg").node().outerHTML;
 }
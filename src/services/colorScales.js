@@ -0,0 +1,192 @@
+/**
+ * Colour scales for the year heatmaps: a palette stretched over a domain.
+ * - Palettes: "standard" (the original keys: blue–red temperature, white–navy rainfall), "viridis", "magma",
+ *   "diverging" (colour-blind safe ColorBrewer schemes: RdYlBu for temperature, BrBG for rainfall) or a custom list of stops.
+ * - Domain "fixed" keeps the standard -40–50 °C / 0–50 mm range, so images are comparable across locations
+ *   and years; "auto" stretches the palette over the data's own min/max.
+ * Rainfall keeps the standard key's stepped spacing (0.5, 1, 2, 5 mm ...) for every palette so light rain
+ * stays distinguishable from dry hours.
+ */
+
+import * as d3 from "d3";
+
+export const PALETTES = ["standard", "viridis", "magma", "diverging"];
+export const SCALE_DOMAINS = ["fixed", "auto"];
+export const DEFAULT_PALETTE = "standard";
+export const MAX_STOPS = 16;
+
+// Standard keys. Stops are metric (°C, mm); other units are converted before lookup
+// so that on a fixed domain a colour always means the same temperature / amount.
+const STANDARD_KEYS = {
+  temperature: {
+    // Dark purple/indigo (cold) → blue → cyan → green → yellow → orange → red → dark red/black (hot)
+    domain: [-40, -35, -30, -25, -20, -15, -10, -5, 0, 5, 10, 15, 20, 25, 28, 30, 32, 35, 40, 45, 50],
+    range: [
+      "#1a0a2e", "#2d1b4e", "#3d2b5c", "#1e3a5f", "#1a5276", "#2874a6", "#2980b9", "#5dade2",
+      "#48c9b0", "#1abc9c", "#27ae60", "#58d68d", "#d4e157", "#f4d03f", "#f5b041", "#e67e22",
+      "#e74c3c", "#c0392b", "#922b21", "#641e16", "#2e0f0f",
+    ],
+    stepped: false,
+  },
+  precipitation: {
+    // 11 shades of blue: 0 mm = white (no rain) → 50 mm = very very dark blue
+    domain: [0, 0.5, 1, 2, 5, 10, 15, 20, 30, 40, 50],
+    range: [
+      "#ffffff", "#e3f2fd", "#bbdefb", "#90caf9", "#64b5f6", "#42a5f5",
+      "#2196f3", "#1e88e5", "#1565c0", "#0d47a1", "#0a1628",
+    ],
+    stepped: true,
+  },
+};
+
+// Named palettes per variable: t in [0, 1] → colour (low → high)
+const INTERPOLATORS = {
+  viridis: () => d3.interpolateViridis,
+  magma: () => d3.interpolateMagma,
+  // ColorBrewer: cold blue → hot red (RdYlBu reversed); dry brown → wet teal (BrBG)
+  diverging: (variable) => (variable === "precipitation" ? d3.interpolateBrBG : (t) => d3.interpolateRdYlBu(1 - t)),
+};
+
+/**
+ * Parse one stop: "#313695", "313695", "steelblue", or "value:colour" (value in the requested unit).
+ */
+function parseStop(text) {
+  const sep = text.lastIndexOf(":");
+  const valueText = sep > 0 ? text.slice(0, sep) : null;
+  let colorText = sep > 0 ? text.slice(sep + 1) : text;
+  if (/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(colorText)) colorText = `#${colorText}`;
+
+  const color = d3.color(colorText);
+  if (!color) {
+    throw new Error(`stops: "${text}" is not a colour (use hex like #3b4cc0 or a CSS colour name)`);
+  }
+  const value = valueText != null ? Number(valueText) : null;
+  if (valueText != null && (valueText.trim() === "" || !Number.isFinite(value))) {
+    throw new Error(`stops: "${text}" has an invalid value (expected value:colour, e.g. -10:#3b4cc0)`);
+  }
+  return { value, color: color.formatHex() };
+}
+
+/**
+ * Resolve the `scale`, `stops` and `domain` query parameters.
+ * `stops` is a comma-separated colour list spread evenly over the domain ("#3b4cc0,#f7f7f7,#b40426"),
+ * or value:colour pairs that set their own domain ("-10:#3b4cc0,0:#f7f7f7,30:#b40426").
+ * @param {Object} query - { scale, stops, domain }
+ * @returns {{ name: string|null, stops: Array<{ value: number|null, color: string }>|null, domain: string }}
+ * @throws {Error} If any value is not recognised
+ */
+export function resolveColorScale({ scale, stops, domain } = {}) {
+  const domainName = domain ? String(domain).toLowerCase() : "fixed";
+  if (!SCALE_DOMAINS.includes(domainName)) {
+    throw new Error(`domain must be one of: ${SCALE_DOMAINS.join(", ")}`);
+  }
+
+  if (stops == null || stops === "") {
+    const name = scale ? String(scale).toLowerCase() : DEFAULT_PALETTE;
+    if (!PALETTES.includes(name)) {
+      throw new Error(`scale must be one of: ${PALETTES.join(", ")} (or pass custom 'stops')`);
+    }
+    return { name, stops: null, domain: domainName };
+  }
+
+  if (scale) {
+    throw new Error("Pass either 'scale' or 'stops', not both");
+  }
+  const parsed = String(stops)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map(parseStop);
+  if (parsed.length < 2 || parsed.length > MAX_STOPS) {
+    throw new Error(`stops must list between 2 and ${MAX_STOPS} colours`);
+  }
+
+  const withValues = parsed.filter((s) => s.value != null).length;
+  if (withValues > 0) {
+    if (withValues !== parsed.length) {
+      throw new Error("stops: give a value for every stop or for none");
+    }
+    if (parsed.some((s, i) => i > 0 && s.value <= parsed[i - 1].value)) {
+      throw new Error("stops: values must be increasing");
+    }
+    if (domain) {
+      throw new Error("stops with values set their own domain; omit 'domain'");
+    }
+  }
+  return { name: null, stops: parsed, domain: withValues > 0 ? "stops" : domainName };
+}
+
+/**
+ * Stable text form of a resolved scale for cache keys, e.g. "viridis/auto" or "-10:#3b4cc0,30:#b40426/stops".
+ */
+export function describeColorScale(spec) {
+  const palette = spec.stops
+    ? spec.stops.map((s) => (s.value != null ? `${s.value}:${s.color}` : s.color)).join(",")
+    : spec.name;
+  return `${palette}/${spec.domain}`;
+}
+
+/**
+ * Round a fitted domain outward to values that read well on the legend.
+ */
+function niceDomain(variable, unit, [min, max]) {
+  if (variable === "precipitation") {
+    const factor = 10 ** unit.decimals;
+    const hi = Math.ceil(max * factor) / factor;
+    return [0, Math.max(hi, unit.minAxisMax)];
+  }
+  const lo = Math.floor(min);
+  const hi = Math.ceil(max);
+  return hi > lo ? [lo, hi] : [lo - 1, hi + 1];
+}
+
+/**
+ * Colour function and legend range for a year heatmap.
+ * @param {"temperature"|"precipitation"} variable
+ * @param {Object} [spec] - From resolveColorScale (default: standard key on the fixed domain)
+ * @param {Object} unit - getUnitInfo(units).temperature or .precipitation
+ * @param {[number, number]} extent - Data min/max in the chosen unit (used by domain "auto")
+ * @returns {{ color: (value: number) => string, legendDomain: [number, number] }}
+ */
+export function heatmapColorScale(variable, spec, unit, extent) {
+  const key = STANDARD_KEYS[variable];
+  const { name = DEFAULT_PALETTE, stops = null, domain = "fixed" } = spec ?? {};
+
+  // Value stops: colours pinned to values in the chosen unit
+  if (domain === "stops") {
+    const scale = d3
+      .scaleLinear()
+      .domain(stops.map((s) => s.value))
+      .range(stops.map((s) => s.color))
+      .clamp(true);
+    return { color: (v) => scale(v), legendDomain: [stops[0].value, stops[stops.length - 1].value] };
+  }
+
+  // Position on the standard key's metric domain: the value itself (fixed), or the fitted range stretched onto it
+  const keyMin = key.domain[0];
+  const keyMax = key.domain[key.domain.length - 1];
+  const toMetric = variable === "temperature" ? unit.toCelsius : unit.toMm;
+  let toKey = toMetric;
+  let legendDomain = unit.legendDomain;
+  if (domain === "auto") {
+    const [lo, hi] = niceDomain(variable, unit, extent);
+    toKey = (v) => keyMin + ((v - lo) / (hi - lo)) * (keyMax - keyMin);
+    legendDomain = [lo, hi];
+  }
+
+  if (!stops && name === "standard") {
+    const scale = d3.scaleLinear().domain(key.domain).range(key.range).clamp(true);
+    return { color: (v) => scale(toKey(v)), legendDomain };
+  }
+
+  // Key position → t in [0, 1]: linear, or following the stepped stops (rainfall)
+  const toT = d3
+    .scaleLinear()
+    .domain(key.stepped ? key.domain : [keyMin, keyMax])
+    .range(key.stepped ? key.domain.map((_, i) => i / (key.domain.length - 1)) : [0, 1])
+    .clamp(true);
+  const interpolate = stops
+    ? d3.piecewise(d3.interpolateRgb, stops.map((s) => s.color))
+    : INTERPOLATORS[name](variable);
+  return { color: (v) => d3.color(interpolate(toT(toKey(v)))).formatHex(), legendDomain };
+}
@@ -0,0 +1,179 @@
+/**
+ * In-memory cache for raw hourly weather data, shared by every chart type.
+ * Data is stored per series (location + timezone + units + variables) as a set of non-overlapping
+ * date-range segments. A request is served by slicing cached segments; only the days not yet
+ * cached are fetched upstream, and adjacent/overlapping segments are merged after each fetch.
+ * Each fetched range is stored as one segment per TTL tier (see getTtlForDateRange), and only segments of the
+ * same tier are merged: the recent days of a range expire without taking the settled history with them.
+ */
+
+import { addDays } from "./dates.js";
+import { getTtlForDateRange } from "./cache.js";
+
+/**
+ * Index range [from, to) of hourly.time entries whose date falls within [startDate, endDate].
+ */
+function sliceBounds(time, startDate, endDate) {
+  let from = 0;
+  while (from < time.length && time[from].slice(0, 10) < startDate) from++;
+  let to = from;
+  while (to < time.length && time[to].slice(0, 10) <= endDate) to++;
+  return [from, to];
+}
+
+function sliceHourly(hourly, from, to) {
+  const out = {};
+  for (const [key, values] of Object.entries(hourly)) {
+    out[key] = values.slice(from, to);
+  }
+  return out;
+}
+
+/**
+ * Split [start, end] into runs of consecutive days that share a TTL (seconds), oldest first.
+ */
+function ttlRuns(start, end) {
+  const runs = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    const ttlSeconds = getTtlForDateRange(day);
+    const last = runs[runs.length - 1];
+    if (last?.ttlSeconds === ttlSeconds) last.end = day;
+    else runs.push({ start: day, end: day, ttlSeconds });
+  }
+  return runs;
+}
+
+function concatHourly(a, b) {
+  const out = {};
+  for (const key of Object.keys(a)) {
+    out[key] = a[key].concat(b[key] ?? Array(b.time.length).fill(null));
+  }
+  return out;
+}
+
+export class HourlySeriesCache {
+  /**
+   * @param {Object} [options] - { maxHours: total hourly rows kept across all series before LRU eviction }
+   */
+  constructor({ maxHours = 24 * 366 * 20 } = {}) {
+    this.maxHours = maxHours;
+    this.series = new Map(); // seriesKey -> { meta, segments: [{ start, end, hourly, ttlSeconds, expiresAt }] } (Map order = LRU)
+    this.totalHours = 0;
+  }
+
+  /**
+   * Get a weather series (see providers/series.js) for [startDate, endDate], fetching only uncached days.
+   * @param {string} seriesKey - Identifies location, timezone, units and variables
+   * @param {string} startDate - yyyy-mm-dd
+   * @param {string} endDate - yyyy-mm-dd
+   * @param {(start: string, end: string) => Promise<Object>} fetchRange - Upstream fetch for a gap
+   * @returns {Promise<Object>} { ...series metadata, hourly }
+   */
+  async getRange(seriesKey, startDate, endDate, fetchRange) {
+    const entry = this.touch(seriesKey);
+    this.dropExpired(entry);
+
+    const gaps = this.findGaps(entry.segments, startDate, endDate);
+    const label = seriesKey.split("|").slice(0, 3).join(" "); // lat lon timezone
+    if (gaps.length === 0) {
+      console.log(`[DATA CACHE HIT] ${label} ${startDate}..${endDate}`);
+    } else {
+      console.log(`[DATA CACHE MISS] ${label} fetching ${gaps.map(([s, e]) => `${s}..${e}`).join(", ")}`);
+      const fetched = await Promise.all(gaps.map(([s, e]) => fetchRange(s, e)));
+      fetched.forEach((response, i) => {
+        const { hourly, ...meta } = response;
+        if (!entry.meta) entry.meta = meta;
+        if (!hourly?.time) return;
+        for (const { start, end, ttlSeconds } of ttlRuns(...gaps[i])) {
+          const [from, to] = sliceBounds(hourly.time, start, end);
+          entry.segments.push({
+            start,
+            end,
+            hourly: sliceHourly(hourly, from, to),
+            ttlSeconds,
+            expiresAt: Date.now() + ttlSeconds * 1000,
+          });
+          this.totalHours += to - from;
+        }
+      });
+      this.mergeSegments(entry);
+      this.evict(seriesKey);
+    }
+
+    return { ...entry.meta, hourly: this.slice(entry.segments, startDate, endDate) };
+  }
+
+  /** Get (or create) a series entry and mark it most recently used. */
+  touch(seriesKey) {
+    const entry = this.series.get(seriesKey) ?? { meta: null, segments: [] };
+    this.series.delete(seriesKey);
+    this.series.set(seriesKey, entry);
+    return entry;
+  }
+
+  dropExpired(entry) {
+    const now = Date.now();
+    entry.segments = entry.segments.filter((seg) => {
+      if (seg.expiresAt > now) return true;
+      this.totalHours -= seg.hourly.time.length;
+      return false;
+    });
+  }
+
+  /** Date ranges within [startDate, endDate] not covered by any segment (segments are sorted). */
+  findGaps(segments, startDate, endDate) {
+    const gaps = [];
+    let cursor = startDate;
+    for (const seg of segments) {
+      if (seg.end < cursor) continue;
+      if (seg.start > endDate) break;
+      if (seg.start > cursor) gaps.push([cursor, addDays(seg.start, -1)]);
+      cursor = addDays(seg.end, 1);
+      if (cursor > endDate) break;
+    }
+    if (cursor <= endDate) gaps.push([cursor, endDate]);
+    return gaps;
+  }
+
+  /** Sort segments and join any of the same TTL tier that overlap or touch (next day); merged expiry is the earlier one. */
+  mergeSegments(entry) {
+    const sorted = entry.segments.sort((a, b) => a.start.localeCompare(b.start));
+    const merged = [];
+    for (const seg of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && last.ttlSeconds === seg.ttlSeconds && seg.start <= addDays(last.end, 1)) {
+        // Keep only the part of seg after last.end
+        const [from] = sliceBounds(seg.hourly.time, addDays(last.end, 1), seg.end);
+        const tail = sliceHourly(seg.hourly, from, seg.hourly.time.length);
+        this.totalHours -= from;
+        last.hourly = concatHourly(last.hourly, tail);
+        last.end = seg.end > last.end ? seg.end : last.end;
+        last.expiresAt = Math.min(last.expiresAt, seg.expiresAt);
+      } else {
+        merged.push(seg);
+      }
+    }
+    entry.segments = merged;
+  }
+
+  slice(segments, startDate, endDate) {
+    let result = null;
+    for (const seg of segments) {
+      if (seg.end < startDate || seg.start > endDate) continue;
+      const [from, to] = sliceBounds(seg.hourly.time, startDate, endDate);
+      const part = sliceHourly(seg.hourly, from, to);
+      result = result ? concatHourly(result, part) : part;
+    }
+    return result ?? { time: [] };
+  }
+
+  /** Evict least recently used series (never the one just requested) until under maxHours. */
+  evict(currentKey) {
+    for (const [key, entry] of this.series) {
+      if (this.totalHours <= this.maxHours) break;
+      if (key === currentKey) continue;
+      for (const seg of entry.segments) this.totalHours -= seg.hourly.time.length;
+      this.series.delete(key);
+    }
+  }
+}
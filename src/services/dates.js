@@ -0,0 +1,26 @@
+/**
+ * Date helpers for yyyy-mm-dd strings (UTC calendar arithmetic, no time-of-day).
+ */
+
+/**
+ * Add days to a yyyy-mm-dd date string.
+ */
+export function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Today's date as yyyy-mm-dd (UTC).
+ */
+export function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from startStr to endStr (negative if endStr is earlier).
+ */
+export function daysBetween(startStr, endStr) {
+  return Math.round((new Date(`${endStr}T00:00:00Z`) - new Date(`${startStr}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
@@ -0,0 +1,26 @@
+/**
+ * Errors shared by the data providers and the chart routes, independent of where the data comes from.
+ */
+
+// Machine-readable `code` of 404 responses, with what it means
+export const NOT_FOUND_CODES = {
+  LOCATION_NOT_FOUND: "No place matches the name (within country / admin1), or no place has the id",
+  NO_DATA: "The place's data source has nothing for the requested dates (e.g. a station's CSV file ends earlier)",
+};
+
+/**
+ * A request for something that does not exist (404): code is one of NOT_FOUND_CODES, param the query parameter
+ * that named it.
+ */
+export class NotFoundError extends Error {
+  constructor(code, message, param = null) {
+    super(message);
+    this.name = "NotFoundError";
+    this.code = code;
+    this.param = param;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, param: this.param };
+  }
+}
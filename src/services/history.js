@@ -0,0 +1,120 @@
+/**
+ * Multi-year daily history for the warming stripes and multi-year heatmaps: decades of a provider's archive
+ * reduced to one row per day (mean, max and min temperature, rainfall).
+ * The archive is read a calendar decade per request (1940–1949, 1950–1959 ...) and each decade's daily rows are
+ * persisted through the image cache backends as JSON, like baselines, so overlapping year ranges and charts
+ * share them. Rows are stored in metric (°C, mm) and converted to the requested units on the way out.
+ */
+
+import { aggregateHourlyToDaily } from "./chart.js";
+import { generateCacheKey, getCache, getTtlForDateRange, locationTag } from "./cache.js";
+import { DEFAULT_UNITS, convertValue } from "./units.js";
+import { SingleFlight } from "./singleFlight.js";
+import { UpstreamError } from "./httpClient.js";
+
+// Years per archive request, aligned to calendar decades
+const CHUNK_YEARS = 10;
+
+// A decade is several MB of hourly data; concurrent requests needing one must not each download it
+const chunkFlights = new SingleFlight("history");
+
+/**
+ * Daily rows of one decade (cut to the last complete year) at a location, from the cache or the archive.
+ */
+function getChunk(provider, { latitude, longitude, timezone }, from, to) {
+  const cacheKey = generateCacheKey({
+    endpoint: "history",
+    ...(provider.name === "open-meteo" ? {} : { source: provider.name }),
+    lat: Number(latitude).toFixed(2),
+    lon: Number(longitude).toFixed(2),
+    timezone,
+    from,
+    to,
+  });
+
+  return chunkFlights.run(cacheKey, async () => {
+    const cache = await getCache();
+    const cached = await cache.get(cacheKey, "json");
+    if (cached) {
+      return JSON.parse(cached.toString("utf8"));
+    }
+
+    console.log(`[HISTORY] Fetching ${from}–${to} for ${latitude}, ${longitude}`);
+    let chunk;
+    try {
+      const data = await provider.getArchive(latitude, longitude, `${from}-01-01`, `${to}-12-31`, timezone, DEFAULT_UNITS);
+      chunk = {
+        latitude: data.latitude,
+        longitude: data.longitude,
+        elevation: data.elevation ?? null,
+        daily: aggregateHourlyToDaily(data).map(({ date, meanTemp, maxTemp, minTemp, precipitationSum }) => ({
+          date,
+          meanTemp,
+          maxTemp,
+          minTemp,
+          precipitationSum,
+        })),
+      };
+    } catch (err) {
+      // Past decades do not change: an expired copy is as good as a fresh one while the archive is down
+      const stale = err instanceof UpstreamError && err.unavailable ? await cache.get(cacheKey, "json", { allowStale: true }) : null;
+      if (stale) return JSON.parse(stale.toString("utf8"));
+      throw err;
+    }
+    await cache.set(cacheKey, "json", Buffer.from(JSON.stringify(chunk)), {
+      endpoint: "history",
+      locations: [locationTag({ lat: latitude, lon: longitude })],
+      ttlSeconds: getTtlForDateRange(`${to}-12-31`),
+    });
+    return chunk;
+  });
+}
+
+/**
+ * Daily history of a location over whole calendar years, fetching and persisting the decades it spans on first use.
+ * Years after the last complete one are left out.
+ * @param {Object} provider - Source of the archive data (see providers/registry.js)
+ * @param {Object} location - From the provider's locate(): { latitude, longitude, timezone, locationName, place }
+ * @param {number} fromYear
+ * @param {number} toYear
+ * @param {Object} [units] - { temperature, precipitation }
+ * @returns {Promise<{ source, latitude, longitude, elevation, timezone, locationName, place, fromYear, toYear,
+ *   daily: Array<{ date, meanTemp, maxTemp, minTemp, precipitationSum }> }>} Coordinates are where the data is from
+ */
+export async function getDailyHistory(provider, location, fromYear, toYear, units = DEFAULT_UNITS) {
+  const lastCompleteYear = new Date().getFullYear() - 1;
+  const lastYear = Math.min(toYear, lastCompleteYear);
+  const chunks = [];
+  // One decade at a time: each response is held in memory until it is reduced to daily rows
+  for (let decade = fromYear - (fromYear % CHUNK_YEARS); decade <= lastYear; decade += CHUNK_YEARS) {
+    chunks.push(await getChunk(provider, location, decade, Math.min(decade + CHUNK_YEARS - 1, lastCompleteYear)));
+  }
+
+  const first = `${fromYear}-01-01`;
+  const last = `${lastYear}-12-31`;
+  const toTemp = (v) => convertValue("temperature", v, DEFAULT_UNITS.temperature, units.temperature);
+  const daily = chunks
+    .flatMap((chunk) => chunk.daily)
+    .filter((row) => row.date >= first && row.date <= last)
+    .map((row) => ({
+      date: row.date,
+      meanTemp: toTemp(row.meanTemp),
+      maxTemp: toTemp(row.maxTemp),
+      minTemp: toTemp(row.minTemp),
+      precipitationSum: convertValue("precipitation", row.precipitationSum, DEFAULT_UNITS.precipitation, units.precipitation),
+    }));
+
+  const fetched = chunks.find((chunk) => chunk.daily.length) ?? {};
+  return {
+    source: provider.name,
+    latitude: fetched.latitude ?? location.latitude,
+    longitude: fetched.longitude ?? location.longitude,
+    elevation: fetched.elevation ?? null,
+    timezone: location.timezone,
+    locationName: location.locationName,
+    place: location.place,
+    fromYear,
+    toYear,
+    daily,
+  };
+}
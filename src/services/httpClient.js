@@ -0,0 +1,202 @@
+/**
+ * HTTP client for the upstream APIs (Open-Meteo): a timeout per attempt, retries with jittered exponential
+ * backoff for 429 / 5xx / network errors, and a circuit breaker per upstream that fails fast while it is down.
+ * - UPSTREAM_TIMEOUT_MS (10000): per attempt, including reading the body
+ * - UPSTREAM_RETRIES (2): attempts after the first. The wait before retry n is random in
+ *   [0, min(UPSTREAM_RETRY_MAX_MS, UPSTREAM_RETRY_BASE_MS × 2^n)] ("full jitter"), or the upstream's Retry-After
+ *   when it sends one; a Retry-After longer than UPSTREAM_RETRY_MAX_MS fails the request instead of waiting
+ * - UPSTREAM_BREAKER_THRESHOLD (5): consecutive failed requests (after retries) that open the breaker;
+ *   after UPSTREAM_BREAKER_COOLDOWN_MS (30000) one trial request is let through, and its outcome closes or reopens it
+ * Answers that reject the request itself (other 4xx) are not retried and count as the upstream being up.
+ */
+
+const DEFAULTS = {
+  timeoutMs: numberFromEnv("UPSTREAM_TIMEOUT_MS", 10000),
+  retries: numberFromEnv("UPSTREAM_RETRIES", 2),
+  retryBaseMs: numberFromEnv("UPSTREAM_RETRY_BASE_MS", 300),
+  retryMaxMs: numberFromEnv("UPSTREAM_RETRY_MAX_MS", 5000),
+  breakerThreshold: numberFromEnv("UPSTREAM_BREAKER_THRESHOLD", 5),
+  breakerCooldownMs: numberFromEnv("UPSTREAM_BREAKER_COOLDOWN_MS", 30000),
+};
+
+function numberFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (value == null || value === "") return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+  return n;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * A failed upstream request. `unavailable` means the upstream is down, overloaded or unreachable (timeouts,
+ * network errors, 429, 5xx, open breaker) rather than rejecting this particular request: callers may fall back
+ * to stale data and answer 503 instead of 500.
+ */
+export class UpstreamError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ status?: number, unavailable?: boolean, retryAfterSeconds?: number }} [details]
+   */
+  constructor(message, { status = null, unavailable = false, retryAfterSeconds = null } = {}) {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status;
+    this.unavailable = unavailable;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Seconds from a Retry-After header (delta-seconds or an HTTP date), or null.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+}
+
+/**
+ * Circuit breaker: closed (requests pass) → open after `threshold` consecutive failures (requests fail fast)
+ * → half-open after `cooldownMs` (one trial request passes; success closes, failure reopens).
+ */
+export class CircuitBreaker {
+  constructor(name, { threshold, cooldownMs }) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = 0;
+  }
+
+  /**
+   * Let a request through, or throw while open (and while a half-open trial is in flight).
+   * @throws {UpstreamError} unavailable, with the seconds until the next trial
+   */
+  enter() {
+    if (this.state === "closed" || this.threshold <= 0) return;
+    const waitMs = this.openedAt + this.cooldownMs - Date.now();
+    if (this.state === "open" && waitMs <= 0) {
+      this.state = "half-open";
+      console.log(`[CIRCUIT] ${this.name} half-open: sending a trial request`);
+      return;
+    }
+    throw new UpstreamError(`${this.name} is unavailable (failing fast after ${this.failures} failed requests)`, {
+      unavailable: true,
+      retryAfterSeconds: Math.max(1, Math.ceil(waitMs / 1000)),
+    });
+  }
+
+  success() {
+    if (this.state !== "closed") {
+      console.log(`[CIRCUIT] ${this.name} closed: upstream is answering again`);
+    }
+    this.state = "closed";
+    this.failures = 0;
+  }
+
+  failure() {
+    this.failures++;
+    if (this.threshold > 0 && (this.state === "half-open" || this.failures >= this.threshold)) {
+      if (this.state !== "open") {
+        console.warn(`[CIRCUIT] ${this.name} open after ${this.failures} failed requests; failing fast for ${this.cooldownMs} ms`);
+      }
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+/**
+ * JSON-over-HTTP client for one upstream, with its own circuit breaker.
+ */
+export class HttpClient {
+  /**
+   * @param {string} name - Upstream name for logs and errors, e.g. "Open-Meteo archive"
+   * @param {Object} [options] - Overrides for the env defaults: { timeoutMs, retries, retryBaseMs, retryMaxMs,
+   *   breakerThreshold (0 disables the breaker), breakerCooldownMs }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...DEFAULTS, ...options };
+    this.breaker = new CircuitBreaker(name, {
+      threshold: this.options.breakerThreshold,
+      cooldownMs: this.options.breakerCooldownMs,
+    });
+  }
+
+  /**
+   * GET a URL and parse its JSON body.
+   * @param {string|URL} url
+   * @param {string} label - Prefix for error messages, e.g. "Historical weather API" → "Historical weather API error 404: …"
+   * @returns {Promise<any>}
+   * @throws {UpstreamError} With the status for HTTP errors; unavailable for timeouts, 429 / 5xx after the last retry,
+   *   and while the breaker is open
+   */
+  async getJson(url, label) {
+    this.breaker.enter();
+    try {
+      const json = await this.fetchWithRetries(String(url), label);
+      this.breaker.success();
+      return json;
+    } catch (err) {
+      if (err.unavailable) {
+        this.breaker.failure();
+      } else {
+        this.breaker.success();
+      }
+      throw err;
+    }
+  }
+
+  async fetchWithRetries(url, label) {
+    const { retries, retryBaseMs, retryMaxMs } = this.options;
+    for (let attempt = 0; ; attempt++) {
+      const result = await this.attempt(url, label);
+      if (!(result instanceof UpstreamError)) return result;
+      if (!result.unavailable || attempt >= retries) throw result;
+
+      const backoffMs = Math.random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+      const waitMs = result.retryAfterSeconds != null ? result.retryAfterSeconds * 1000 : backoffMs;
+      if (waitMs > retryMaxMs) throw result;
+      console.warn(`[UPSTREAM] ${result.message.slice(0, 120)}; retry ${attempt + 1}/${retries} in ${Math.round(waitMs)} ms`);
+      await sleep(waitMs);
+    }
+  }
+
+  /**
+   * One attempt: the parsed body, or an UpstreamError to retry or throw.
+   */
+  async attempt(url, label) {
+    const { timeoutMs } = this.options;
+    let res;
+    let text;
+    try {
+      // The signal also bounds reading the body
+      res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+      text = await res.text();
+    } catch (err) {
+      const reason = err.name === "TimeoutError" ? `no response within ${timeoutMs} ms` : err.cause?.message || err.message;
+      return new UpstreamError(`${label}: ${reason}`, { unavailable: true });
+    }
+
+    if (!res.ok) {
+      return new UpstreamError(`${label} error ${res.status}: ${text}`, {
+        status: res.status,
+        unavailable: res.status === 429 || res.status >= 500,
+        retryAfterSeconds: parseRetryAfter(res.headers.get("retry-after")),
+      });
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      return new UpstreamError(`${label}: response is not JSON`, { status: res.status });
+    }
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Image output: chart SVG markup → PNG, WebP, AVIF or JPEG (sharp), or a single-page vector PDF (pdfkit).
+ * The lossy formats take a quality from 1 to 100; PNG, SVG and PDF are lossless and ignore it.
+ * Raster formats also take a pixel-density scale (2 = retina): the SVG is rasterised at scale × its size,
+ * so the layout is unchanged and only sharper.
+ * PDF text uses the built-in Helvetica, which covers Latin-1 only; set PDF_FONT_PATH to a TTF/OTF file
+ * (e.g. DejaVu Sans) to embed a font with full Unicode coverage (arrows, ≥, non-Latin place names).
+ */
+
+import sharp from "sharp";
+
+export const IMAGE_FORMATS = ["png", "svg", "webp", "avif", "jpeg", "pdf"];
+// Alternative spellings accepted in the `format` query parameter
+export const FORMAT_ALIASES = { jpg: "jpeg" };
+
+// Default quality per lossy format (AVIF reaches similar visual quality at lower values)
+const DEFAULT_QUALITY = { jpeg: 85, webp: 80, avif: 50 };
+
+const PDF_FONT_PATH = process.env.PDF_FONT_PATH || null;
+
+/**
+ * Whether a format takes a `quality` setting.
+ */
+export function isLossyFormat(format) {
+  return format in DEFAULT_QUALITY;
+}
+
+/**
+ * Resolve the `quality` query parameter for a format: null for lossless formats, else 1–100 (default per format).
+ * @throws {Error} If quality is not an integer between 1 and 100
+ */
+export function resolveQuality(quality, format) {
+  if (quality != null && quality !== "") {
+    const q = Number(quality);
+    if (!Number.isInteger(q) || q < 1 || q > 100) {
+      throw new Error("quality must be an integer between 1 and 100");
+    }
+    return isLossyFormat(format) ? q : null;
+  }
+  return isLossyFormat(format) ? DEFAULT_QUALITY[format] : null;
+}
+
+/**
+ * Whether a format is rasterised (and so takes a pixel-density scale).
+ */
+export function isRasterFormat(format) {
+  return format !== "svg" && format !== "pdf";
+}
+
+/**
+ * Convert chart SVG markup to the requested image format.
+ * @param {string} svg - SVG markup from a chart builder (width / height attributes in px)
+ * @param {string} format - One of IMAGE_FORMATS
+ * @param {number|null} [quality] - From resolveQuality (lossy formats only)
+ * @param {number} [scale] - Pixel density for raster formats (1–3); SVG and PDF are vector and ignore it
+ * @returns {Promise<Buffer>}
+ */
+export async function renderImage(svg, format, quality = null, scale = 1) {
+  if (format === "svg") {
+    return Buffer.from(svg);
+  }
+  if (format === "pdf") {
+    return renderPdf(svg);
+  }
+
+  // SVG user units are px at 72 dpi
+  const image = sharp(Buffer.from(svg), { density: 72 * scale });
+  switch (format) {
+    case "jpeg":
+      // No alpha channel in JPEG; charts paint their own background, this only covers anti-aliased edges
+      return image.flatten({ background: "#ffffff" }).jpeg({ quality, mozjpeg: true }).toBuffer();
+    case "webp":
+      return image.webp({ quality, effort: 2 }).toBuffer();
+    case "avif":
+      return image.avif({ quality, effort: 2 }).toBuffer();
+    default:
+      // Optimize Sharp PNG conversion for speed (lower compression = faster)
+      return image
+        .png({
+          compressionLevel: 1, // Faster compression (1-9, lower is faster)
+          quality: 90, // Good quality but faster
+          effort: 1, // Lower effort = faster encoding
+        })
+        .toBuffer();
+  }
+}
+
+/**
+ * Draw the SVG onto a single PDF page of the same size (1 px = 1 pt), keeping it vector.
+ */
+async function renderPdf(svg) {
+  // Lazy import: PDF support is only loaded when a PDF is requested
+  const { default: PDFDocument } = await import("pdfkit");
+  const { default: SVGtoPDF } = await import("svg-to-pdfkit");
+
+  const width = Number(/<svg[^>]*\swidth="([\d.]+)"/.exec(svg)?.[1]) || 700;
+  const height = Number(/<svg[^>]*\sheight="([\d.]+)"/.exec(svg)?.[1]) || 420;
+  const doc = new PDFDocument({ size: [width, height], margin: 0, info: { Producer: "weather-images" } });
+  if (PDF_FONT_PATH) {
+    doc.registerFont("chart", PDF_FONT_PATH);
+  }
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  SVGtoPDF(doc, svg, 0, 0, {
+    width,
+    height,
+    assumePt: true,
+    // Charts ask for system-ui / sans-serif; map everything to the embedded font or Helvetica
+    fontCallback: (family, bold) => (PDF_FONT_PATH ? "chart" : bold ? "Helvetica-Bold" : "Helvetica"),
+  });
+  doc.end();
+  return done;
+}
@@ -0,0 +1,19 @@
+/**
+ * Place helpers shared by the data providers: name matching and the timezone at a pair of coordinates.
+ */
+
+import { find as findTimezone } from "geo-tz";
+
+/**
+ * Whether two names are the same ignoring case and surrounding space (a missing `a` matches nothing).
+ */
+export const sameText = (a, b) => a != null && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Resolve IANA timezone for coordinates (e.g. "Europe/London").
+ * Used so hourly data is in local time for that location.
+ */
+export function getTimezoneForCoords(lat, lon) {
+  const zones = findTimezone(Number(lat), Number(lon));
+  return zones?.[0] ?? "UTC";
+}
@@ -0,0 +1,298 @@
+/**
+ * API keys, rate limits and usage counters for the chart routes.
+ * - Keys come from API_KEYS ("key:name,key:name") and/or API_KEYS_FILE (JSON, see loadKeyFile). Clients send
+ *   them in the X-API-Key header or the api_key query parameter. Without API_KEYS_REQUIRED=true keys are optional.
+ * - Limits are token buckets of points refilled every minute: each route costs points (ENDPOINT_COSTS), so a
+ *   year heatmap uses up a budget ten times faster than a 7-day chart. Requests with a key draw on that key's
+ *   budget; anonymous requests on their IP address's budget.
+ * - Usage (requests, points, rejections per endpoint) is counted in memory per key and per IP since startup.
+ * The app's limiter (limitRequests, getUsage) is configured from the environment when this module loads; a
+ * RateLimiter can also be created with its own keys and budgets (as the tests do).
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+
+// Points per request. Year heatmaps fetch and draw ~8,800 hours; comparisons fetch several locations
+export const ENDPOINT_COSTS = {
+  search: 1,
+  daily: 1,
+  compare: 3,
+  yearHeatmap: 10,
+  history: 20,
+};
+
+// Points per minute (also the burst size); 0 disables the limit
+const DEFAULT_KEY_POINTS_PER_MINUTE = 300;
+const DEFAULT_IP_POINTS_PER_MINUTE = 60;
+const KEY_POINTS_PER_MINUTE = numberFromEnv("RATE_LIMIT_KEY_POINTS_PER_MINUTE", DEFAULT_KEY_POINTS_PER_MINUTE);
+const IP_POINTS_PER_MINUTE = numberFromEnv("RATE_LIMIT_IP_POINTS_PER_MINUTE", DEFAULT_IP_POINTS_PER_MINUTE);
+const KEYS_REQUIRED = process.env.API_KEYS_REQUIRED === "true";
+// Buckets and counters kept for anonymous clients; the least recently seen IP is dropped beyond this
+const MAX_TRACKED_IPS = 10000;
+
+function numberFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (value == null || value === "") return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) {
+    throw new Error(`${name} must be a number of points per minute (0 = unlimited)`);
+  }
+  return n;
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Keys file: { "keys": [{ "key": "…", "name": "dashboard", "pointsPerMinute": 600 }] }.
+ * name labels the key in usage counters (keys themselves are never logged); pointsPerMinute is optional.
+ */
+function loadKeyFile(path) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(path, "utf8"));
+  } catch (err) {
+    throw new Error(`API_KEYS_FILE ${path}: ${err.message}`);
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed.keys;
+  if (!Array.isArray(entries) || entries.some((e) => typeof e?.key !== "string" || !e.key)) {
+    throw new Error(`API_KEYS_FILE ${path}: expected { "keys": [{ "key": "…", "name": "…" }] }`);
+  }
+  return entries;
+}
+
+/**
+ * Key entries from API_KEYS and API_KEYS_FILE.
+ * @returns {Array<{ key: string, name?: string, pointsPerMinute?: number }>}
+ */
+function loadKeyEntries() {
+  const entries = [];
+  for (const item of (process.env.API_KEYS || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+    const sep = item.indexOf(":");
+    entries.push(sep > 0 ? { key: item.slice(0, sep), name: item.slice(sep + 1) } : { key: item });
+  }
+  if (process.env.API_KEYS_FILE) {
+    entries.push(...loadKeyFile(process.env.API_KEYS_FILE));
+  }
+  return entries;
+}
+
+/**
+ * Index key entries by SHA-256 of the key (lookups never compare raw keys).
+ * @returns {Map<string, { name: string, pointsPerMinute: number }>}
+ */
+function indexKeys(entries, defaultPointsPerMinute) {
+  const keys = new Map();
+  for (const entry of entries) {
+    const hash = hashKey(entry.key);
+    const pointsPerMinute = entry.pointsPerMinute ?? defaultPointsPerMinute;
+    if (!Number.isFinite(pointsPerMinute) || pointsPerMinute < 0) {
+      throw new Error(`API key "${entry.name ?? hash.slice(0, 8)}": pointsPerMinute must be a number (0 = unlimited)`);
+    }
+    keys.set(hash, { name: entry.name || `key-${hash.slice(0, 8)}`, pointsPerMinute });
+  }
+  return keys;
+}
+
+/**
+ * Token bucket: holds up to capacity points and refills at capacity per minute.
+ * A request costing more than the whole bucket is allowed once the bucket is full, leaving it in debt.
+ */
+class TokenBucket {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now) {
+    const perMs = this.capacity / 60000;
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * perMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take cost points if available.
+   * @returns {{ allowed: boolean, remaining: number, retryAfterSeconds: number }}
+   */
+  take(cost, now = Date.now()) {
+    this.refill(now);
+    const needed = Math.min(cost, this.capacity);
+    if (this.tokens >= needed) {
+      this.tokens -= cost;
+      return { allowed: true, remaining: Math.max(0, Math.floor(this.tokens)), retryAfterSeconds: 0 };
+    }
+    const waitMs = (needed - this.tokens) / (this.capacity / 60000);
+    return { allowed: false, remaining: Math.max(0, Math.floor(this.tokens)), retryAfterSeconds: Math.max(1, Math.ceil(waitMs / 1000)) };
+  }
+
+  remaining(now = Date.now()) {
+    this.refill(now);
+    return Math.max(0, Math.floor(this.tokens));
+  }
+}
+
+function recordUsage(client, endpoint, cost, allowed) {
+  const { usage } = client;
+  const counts = (usage.endpoints[endpoint] ??= { requests: 0, rejected: 0 });
+  usage.lastSeen = new Date().toISOString();
+  if (allowed) {
+    usage.requests++;
+    usage.points += cost;
+    counts.requests++;
+  } else {
+    usage.rejected++;
+    counts.rejected++;
+  }
+}
+
+/**
+ * API keys, per-key and per-IP budgets and usage counters.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} [options] - { keys: [{ key, name, pointsPerMinute }], keysRequired, keyPointsPerMinute (default
+   *   budget per key), ipPointsPerMinute (budget per IP without a key), maxTrackedIps }; 0 points = unlimited
+   */
+  constructor({
+    keys = [],
+    keysRequired = false,
+    keyPointsPerMinute = DEFAULT_KEY_POINTS_PER_MINUTE,
+    ipPointsPerMinute = DEFAULT_IP_POINTS_PER_MINUTE,
+    maxTrackedIps = MAX_TRACKED_IPS,
+  } = {}) {
+    this.apiKeys = indexKeys(keys, keyPointsPerMinute);
+    this.keysRequired = keysRequired;
+    this.keyPointsPerMinute = keyPointsPerMinute;
+    this.ipPointsPerMinute = ipPointsPerMinute;
+    this.maxTrackedIps = maxTrackedIps;
+    // client id ("key:<sha-256 of the key>" / "ip:<address>") -> { label, bucket, usage }. Map order = least
+    // recently seen first. Keys are told apart by hash, not name: two keys may share a name (e.g. an old and a new
+    // key while rotating) and still each have their own budget
+    this.clients = new Map();
+    this.startedAt = new Date().toISOString();
+  }
+
+  getClient(id, type, pointsPerMinute, label = id) {
+    let client = this.clients.get(id);
+    if (client) {
+      this.clients.delete(id);
+    } else {
+      client = {
+        type,
+        label,
+        pointsPerMinute,
+        bucket: pointsPerMinute > 0 ? new TokenBucket(pointsPerMinute) : null,
+        usage: { requests: 0, points: 0, rejected: 0, endpoints: {}, firstSeen: new Date().toISOString(), lastSeen: null },
+      };
+    }
+    this.clients.set(id, client);
+
+    // Keys are bounded by configuration; IPs are not, so forget the least recently seen ones
+    if (type === "ip" && this.clients.size > this.apiKeys.size + this.maxTrackedIps) {
+      for (const [oldId, old] of this.clients) {
+        if (old.type === "ip") {
+          this.clients.delete(oldId);
+          break;
+        }
+      }
+    }
+    return client;
+  }
+
+  /**
+   * Express middleware for a route costing `cost` points: checks the API key (401 if unknown, or if missing when
+   * keys are required), then charges the key's or IP's bucket (429 with Retry-After when it is empty).
+   * Sets X-RateLimit-Limit (points per minute), X-RateLimit-Remaining and X-RateLimit-Cost.
+   * @param {number} cost - From ENDPOINT_COSTS
+   */
+  limit(cost) {
+    return (req, res, next) => {
+      const key = req.get("X-API-Key") || (req.query.api_key ? String(req.query.api_key) : "");
+      let client;
+      if (key) {
+        const hash = hashKey(key);
+        const entry = this.apiKeys.get(hash);
+        if (!entry) {
+          return res.status(401).json({ error: "Invalid API key" });
+        }
+        client = this.getClient(`key:${hash}`, "key", entry.pointsPerMinute, `key:${entry.name}`);
+      } else if (this.keysRequired) {
+        return res.status(401).json({ error: "API key required: send an X-API-Key header or an api_key parameter" });
+      } else {
+        client = this.getClient(`ip:${req.ip}`, "ip", this.ipPointsPerMinute);
+      }
+
+      const endpoint = req.path;
+      if (!client.bucket) {
+        recordUsage(client, endpoint, cost, true);
+        return next();
+      }
+
+      const { allowed, remaining, retryAfterSeconds } = client.bucket.take(cost);
+      res.set({
+        "X-RateLimit-Limit": String(client.pointsPerMinute),
+        "X-RateLimit-Remaining": String(remaining),
+        "X-RateLimit-Cost": String(cost),
+      });
+      recordUsage(client, endpoint, cost, allowed);
+      if (!allowed) {
+        res.set("Retry-After", String(retryAfterSeconds));
+        return res.status(429).json({
+          error: `Rate limit exceeded: this request costs ${cost} point(s) of ${client.pointsPerMinute} per minute; retry in ${retryAfterSeconds} s`,
+        });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Usage counters since startup, busiest clients first.
+   * @returns {{ since: string, limits: Object, costs: Object, clients: Array<Object> }}
+   */
+  getUsage() {
+    const now = Date.now();
+    const list = Array.from(this.clients.values(), (client) => ({
+      client: client.label,
+      type: client.type,
+      pointsPerMinute: client.pointsPerMinute || null,
+      remaining: client.bucket ? client.bucket.remaining(now) : null,
+      ...client.usage,
+    }));
+    list.sort((a, b) => b.points - a.points || b.rejected - a.rejected);
+    return {
+      since: this.startedAt,
+      limits: {
+        keysRequired: this.keysRequired,
+        keys: this.apiKeys.size,
+        keyPointsPerMinute: this.keyPointsPerMinute || null,
+        ipPointsPerMinute: this.ipPointsPerMinute || null,
+      },
+      costs: ENDPOINT_COSTS,
+      clients: list,
+    };
+  }
+}
+
+// The app's limiter, from the environment
+const limiter = new RateLimiter({
+  keys: loadKeyEntries(),
+  keysRequired: KEYS_REQUIRED,
+  keyPointsPerMinute: KEY_POINTS_PER_MINUTE,
+  ipPointsPerMinute: IP_POINTS_PER_MINUTE,
+});
+if (limiter.apiKeys.size > 0 || KEYS_REQUIRED) {
+  console.log(`[RATE LIMIT] ${limiter.apiKeys.size} API key(s) loaded${KEYS_REQUIRED ? ", keys required" : ""}`);
+}
+
+/**
+ * The app's rate limit middleware for a route costing `cost` points (see RateLimiter#limit).
+ */
+export const limitRequests = (cost) => limiter.limit(cost);
+
+/**
+ * The app's usage counters since startup (see RateLimiter#getUsage).
+ */
+export const getUsage = () => limiter.getUsage();
@@ -0,0 +1,65 @@
+import crypto from "crypto";
+
+/**
+ * Short label for a key in log lines: cache keys (SHA-256 hex) by their prefix, as in X-Cache-Key; other keys
+ * (URLs, which all start alike) by a digest of the whole key.
+ */
+function keyLabel(key) {
+  const hex = /^[0-9a-f]{64}$/.test(key) ? key : crypto.createHash("sha256").update(key).digest("hex");
+  return hex.slice(0, 16);
+}
+
+/**
+ * Single-flight request coalescing: concurrent calls with the same key share one execution.
+ * The first caller runs the work; callers arriving while it is in flight await the same promise.
+ * Once it settles the key is released, so a failure is delivered to everyone who was waiting
+ * but never cached — the next call starts a fresh attempt.
+ */
+export class SingleFlight {
+  /**
+   * @param {string} name - Used in log lines, e.g. "render" or "upstream"
+   */
+  constructor(name) {
+    this.name = name;
+    this.inFlight = new Map(); // key -> { promise, waiters }
+  }
+
+  /**
+   * Run fn() for key, or join the execution already in flight for key.
+   * @param {string} key
+   * @param {() => Promise<T>} fn
+   * @param {string} [label] - What the key is for in log lines, e.g. "51.5,-0.12 2024-01-01..2024-01-31"
+   *   (default: a digest of the key, computed only when a line is logged)
+   * @returns {Promise<T>}
+   * @template T
+   */
+  run(key, fn, label) {
+    const existing = this.inFlight.get(key);
+    if (existing) {
+      existing.waiters++;
+      console.log(`[SINGLE FLIGHT] ${this.name} joined ${label ?? keyLabel(key)} (${existing.waiters} waiting)`);
+      return existing.promise;
+    }
+
+    const flight = { waiters: 0, promise: null };
+    flight.promise = (async () => {
+      try {
+        return await fn();
+      } catch (err) {
+        if (flight.waiters > 0) {
+          console.error(`[SINGLE FLIGHT] ${this.name} ${label ?? keyLabel(key)} failed for ${flight.waiters + 1} callers: ${err.message}`);
+        }
+        throw err;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+    this.inFlight.set(key, flight);
+    return flight.promise;
+  }
+
+  /** Number of distinct keys currently in flight. */
+  get size() {
+    return this.inFlight.size;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Sunrise, sunset and civil twilight without an upstream request: the sunrise equation (NOAA's low-precision
+ * solar position), good to a minute or two outside the polar circles. Times are converted to a location's local
+ * wall clock, the same "yyyy-mm-ddThh:mm" local times the hourly series carries.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J2000 = 2451545; // Julian day of 2000-01-01 12:00 UTC
+const UNIX_EPOCH_JD = 2440587.5;
+const OBLIQUITY = 23.4397; // Earth's axial tilt, degrees
+// Solar altitudes (degrees) of the events: the sun's upper limb on the horizon allowing for refraction, and the
+// centre 6° below it (civil dawn and dusk)
+export const SUNRISE_ALTITUDE = -0.833;
+export const CIVIL_TWILIGHT_ALTITUDE = -6;
+
+const rad = (deg) => (deg * Math.PI) / 180;
+const deg = (r) => (r * 180) / Math.PI;
+const toMs = (julianDay) => Math.round((julianDay - UNIX_EPOCH_JD) * DAY_MS);
+
+/**
+ * Sunrise and sunset on a local calendar day: when the sun rises above and sets below an altitude.
+ * @param {string} date - yyyy-mm-dd
+ * @param {number} latitude
+ * @param {number} longitude - East positive
+ * @param {number} [altitude] - Degrees: SUNRISE_ALTITUDE (default) or CIVIL_TWILIGHT_ALTITUDE for dawn and dusk
+ * @returns {{ sunrise: number|null, sunset: number|null, polar: "day"|"night"|null }} Epoch ms (UTC); null with
+ *   polar set when the sun stays above ("day") or below ("night") the altitude all day
+ */
+export function getSunTimes(date, latitude, longitude, altitude = SUNRISE_ALTITUDE) {
+  const n = Math.round(Date.parse(`${date}T12:00:00Z`) / DAY_MS + UNIX_EPOCH_JD - J2000);
+  const meanNoon = n - longitude / 360;
+  const anomaly = (357.5291 + 0.98560028 * meanNoon) % 360;
+  const center = 1.9148 * Math.sin(rad(anomaly)) + 0.02 * Math.sin(rad(2 * anomaly)) + 0.0003 * Math.sin(rad(3 * anomaly));
+  const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+  const transit = J2000 + meanNoon + 0.0053 * Math.sin(rad(anomaly)) - 0.0069 * Math.sin(rad(2 * eclipticLongitude));
+  const declination = Math.asin(Math.sin(rad(eclipticLongitude)) * Math.sin(rad(OBLIQUITY)));
+
+  const cosHourAngle =
+    (Math.sin(rad(altitude)) - Math.sin(rad(latitude)) * Math.sin(declination)) /
+    (Math.cos(rad(latitude)) * Math.cos(declination));
+  if (cosHourAngle < -1) return { sunrise: null, sunset: null, polar: "day" };
+  if (cosHourAngle > 1) return { sunrise: null, sunset: null, polar: "night" };
+  const halfDay = deg(Math.acos(cosHourAngle)) / 360;
+  return { sunrise: toMs(transit - halfDay), sunset: toMs(transit + halfDay), polar: null };
+}
+
+const FORMATTERS = new Map();
+
+function localFormatter(timezone) {
+  if (!FORMATTERS.has(timezone)) {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat("en-CA", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+    } catch {
+      // Not an IANA name the runtime knows: read the times as UTC rather than failing the chart
+      formatter = localFormatter("UTC");
+    }
+    FORMATTERS.set(timezone, formatter);
+  }
+  return FORMATTERS.get(timezone);
+}
+
+/**
+ * Local wall-clock time of an instant in a timezone, e.g. "2024-06-21T04:43".
+ * @param {number} ms - Epoch ms
+ * @param {string} timezone - IANA name, e.g. "Europe/London"
+ */
+export function toLocalTime(ms, timezone) {
+  const parts = Object.fromEntries(localFormatter(timezone).formatToParts(new Date(ms)).map((p) => [p.type, p.value]));
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Sunrise and sunset (or, with CIVIL_TWILIGHT_ALTITUDE, dawn and dusk) for each day, as local times in the
+ * location's timezone.
+ * @param {string[]} dates - yyyy-mm-dd local days
+ * @param {{ latitude: number, longitude: number, timezone: string }} location
+ * @param {number} [altitude] - See getSunTimes
+ * @returns {Array<{ date, sunrise: string|null, sunset: string|null, polar: "day"|"night"|null }>}
+ */
+export function getLocalSunTimes(dates, { latitude, longitude, timezone }, altitude = SUNRISE_ALTITUDE) {
+  return dates.map((date) => {
+    const { sunrise, sunset, polar } = getSunTimes(date, latitude, longitude, altitude);
+    return {
+      date,
+      sunrise: sunrise == null ? null : toLocalTime(sunrise, timezone),
+      sunset: sunset == null ? null : toLocalTime(sunset, timezone),
+      polar,
+    };
+  });
+}
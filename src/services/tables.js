@@ -0,0 +1,301 @@
+/**
+ * Tabular exports (format=json / format=csv): the numbers behind each chart.
+ * Tables are built with the same helpers the chart builders use (aggregateHourlyToDaily, the anomaly
+ * and wind rose helpers), so every value is exactly what the chart drew, unrounded.
+ * A table is { locations: [{ name, id, latitude, longitude, elevation, timezone }], columns: [{ key, unit }], rows, info? }.
+ */
+
+import {
+  aggregateHourlyToDaily,
+  computeTemperatureAnomalies,
+  computeRainfallAnomalies,
+  computeYearlyAnomalies,
+  binWindRose,
+  COMPASS_POINTS,
+  CALENDAR_METRICS,
+  WEATHER_SERIES,
+} from "./chart.js";
+import { getUnitInfo } from "./units.js";
+
+export const TABLE_FORMATS = ["json", "csv"];
+
+export function isTableFormat(format) {
+  return TABLE_FORMATS.includes(format);
+}
+
+/**
+ * Location metadata for a weather series. Coordinates are where the data is from (the Open-Meteo grid cell or
+ * the station), not the request.
+ * @param {Object} data - Weather series from a provider (see providers/series.js)
+ * @param {string} [name] - Display name when the response has no locationName (coordinate requests)
+ */
+function locationMeta(data, name) {
+  return {
+    name: data.locationName ?? name ?? null,
+    id: data.place?.id ?? null,
+    latitude: data.latitude ?? null,
+    longitude: data.longitude ?? null,
+    elevation: data.elevation ?? null,
+    timezone: data.timezone ?? null,
+  };
+}
+
+/**
+ * Unit symbol per daily column.
+ */
+function dailyColumnUnits(units) {
+  const { temperature, precipitation, wind } = getUnitInfo(units);
+  return {
+    date: null,
+    meanTemp: temperature.symbol,
+    maxTemp: temperature.symbol,
+    minTemp: temperature.symbol,
+    meanHumidity: "%",
+    meanApparentTemp: temperature.symbol,
+    maxApparentTemp: temperature.symbol,
+    minApparentTemp: temperature.symbol,
+    precipitationSum: precipitation.symbol,
+    rainHours: "h",
+    meanWind: wind.symbol,
+    maxWind: wind.symbol,
+    maxGust: wind.symbol,
+    windDirection: "°",
+    forecast: null,
+    normalMaxTemp: temperature.symbol,
+    normalMinTemp: temperature.symbol,
+    maxAnomaly: temperature.symbol,
+    minAnomaly: temperature.symbol,
+    anomaly: temperature.symbol,
+    normalPrecipitation: precipitation.symbol,
+    percent: "%",
+    year: null,
+    days: null,
+  };
+}
+
+function pickColumns(keys, units) {
+  const unitByKey = dailyColumnUnits(units);
+  return keys.map((key) => ({ key, unit: unitByKey[key] ?? null }));
+}
+
+function pickRow(row, columns) {
+  return Object.fromEntries(columns.map(({ key }) => [key, row[key] ?? null]));
+}
+
+// Columns per daily chart: the values it draws (each chart's cache key covers exactly these units)
+const DAILY_COLUMNS = {
+  weather: ["date", "maxTemp", "minTemp", "meanHumidity"],
+  rainfall: ["date", "precipitationSum"],
+  wind: ["date", "meanWind", "maxWind", "maxGust", "windDirection"],
+};
+
+/**
+ * Daily rows behind a daily chart (weather, rainfall, wind). `forecast` marks forecast days.
+ * @param {Object} data - Weather series from a provider (see providers/series.js)
+ * @param {Object} [options] - { chart: "weather" | "rainfall" | "wind", series (weather: keys of WEATHER_SERIES drawn, instead of its default columns), units }
+ */
+export function buildDailyTable(data, options = {}) {
+  const forecastStart = data.forecastStart ?? null;
+  const keys = options.series?.length
+    ? ["date", ...Object.keys(WEATHER_SERIES).filter((key) => options.series.includes(key)).map((key) => WEATHER_SERIES[key].field)]
+    : DAILY_COLUMNS[options.chart ?? "weather"];
+  const columns = pickColumns([...keys, "forecast"], options.units);
+  const rows = aggregateHourlyToDaily(data).map((d) =>
+    pickRow({ ...d, forecast: forecastStart != null && d.date >= forecastStart }, columns)
+  );
+  return { locations: [locationMeta(data)], columns, rows };
+}
+
+/**
+ * Daily values, normals and anomalies behind buildTemperatureAnomalySvg.
+ */
+export function buildTemperatureAnomalyTable(data, baseline, options = {}) {
+  const columns = pickColumns(
+    ["date", "maxTemp", "minTemp", "normalMaxTemp", "normalMinTemp", "maxAnomaly", "minAnomaly", "anomaly"],
+    options.units
+  );
+  const rows = computeTemperatureAnomalies(data, baseline, options.units).map((d) => pickRow(d, columns));
+  return { locations: [locationMeta(data)], columns, rows, info: { baseline: `${baseline.from}-${baseline.to}` } };
+}
+
+/**
+ * Daily rainfall, normals and percent of normal behind buildRainfallAnomalySvg.
+ */
+export function buildRainfallAnomalyTable(data, baseline, options = {}) {
+  const columns = pickColumns(["date", "precipitationSum", "normalPrecipitation", "percent"], options.units);
+  const rows = computeRainfallAnomalies(data, baseline, options.units).map((d) => pickRow(d, columns));
+  return { locations: [locationMeta(data)], columns, rows, info: { baseline: `${baseline.from}-${baseline.to}` } };
+}
+
+/**
+ * Hourly values behind buildHourlyWeatherChartSvg: one row per hour (local time). `forecast` marks forecast hours.
+ * @param {Object} data - Weather series from a provider (see providers/series.js)
+ * @param {Object} [options] - { units }
+ */
+export function buildHourlyTable(data, options = {}) {
+  const { temperature, precipitation } = getUnitInfo(options.units);
+  const forecastStart = data.forecastStart ?? null;
+  const columns = [
+    { key: "time", unit: null },
+    { key: "temperature", unit: temperature.symbol },
+    { key: "apparentTemperature", unit: temperature.symbol },
+    { key: "precipitation", unit: precipitation.symbol },
+    { key: "forecast", unit: null },
+  ];
+  const value = (v) => (v == null || Number.isNaN(v) ? null : v);
+  const rows = (data.hourly?.time ?? []).map((time, i) => ({
+    time,
+    temperature: value(data.hourly.temperature?.[i]),
+    apparentTemperature: value(data.hourly.apparentTemperature?.[i]),
+    precipitation: value(data.hourly.precipitation?.[i]),
+    forecast: forecastStart != null && time.slice(0, 10) >= forecastStart,
+  }));
+  return { locations: [locationMeta(data)], columns, rows };
+}
+
+/**
+ * Hourly grid behind the year heatmaps: one row per hour with its date and hour (the cell's row and column).
+ * @param {Object} data - Weather series from a provider (see providers/series.js)
+ * @param {Object} [options] - { variable: "temperature" | "precipitation", units }
+ */
+export function buildHourlyGridTable(data, options = {}) {
+  const variable = options.variable ?? "temperature";
+  const { temperature, precipitation } = getUnitInfo(options.units);
+  const values = (variable === "precipitation" ? data.hourly?.precipitation : data.hourly?.temperature) ?? [];
+  const time = data.hourly?.time ?? [];
+  const columns = [
+    { key: "date", unit: null },
+    { key: "hour", unit: null },
+    { key: variable, unit: variable === "precipitation" ? precipitation.symbol : temperature.symbol },
+  ];
+  const rows = time.map((t, i) => {
+    const v = values[i];
+    return {
+      date: t.slice(0, 10),
+      hour: parseInt(t.slice(11, 13), 10),
+      [variable]: v == null || Number.isNaN(v) ? null : v,
+    };
+  });
+  return { locations: [locationMeta(data)], columns, rows };
+}
+
+/**
+ * Annual mean temperatures and anomalies behind buildStripesSvg: one row per year (meanTemp and anomaly null for
+ * years without enough data).
+ * @param {Object} history - From getDailyHistory
+ * @param {{ from: number, to: number }} reference - Years the anomalies are measured against
+ * @param {Object} [options] - { units }
+ */
+export function buildYearlyAnomalyTable(history, reference, options = {}) {
+  const columns = pickColumns(["year", "days", "meanTemp", "anomaly"], options.units);
+  const { referenceMean, years } = computeYearlyAnomalies(history, reference);
+  return {
+    locations: [locationMeta(history)],
+    columns,
+    rows: years.map((y) => pickRow(y, columns)),
+    info: { baseline: `${reference.from}-${reference.to}`, baselineMeanTemp: referenceMean },
+  };
+}
+
+/**
+ * Daily values behind buildMultiYearHeatmapSvg: one row per day (one heatmap cell).
+ * @param {Object} history - From getDailyHistory
+ * @param {Object} [options] - { metric: "temperature" | "rainfall", units }
+ */
+export function buildDailyHistoryTable(history, options = {}) {
+  const columns = pickColumns(["date", options.metric === "rainfall" ? "precipitationSum" : "meanTemp"], options.units);
+  return { locations: [locationMeta(history)], columns, rows: history.daily.map((d) => pickRow(d, columns)) };
+}
+
+/**
+ * Daily values behind buildCalendarHeatmapSvg: one row per day (one calendar cell).
+ * @param {Object} data - Weather series with hourly data for the year
+ * @param {Object} [options] - { metric: key of CALENDAR_METRICS, units }
+ */
+export function buildCalendarTable(data, options = {}) {
+  const columns = pickColumns(["date", CALENDAR_METRICS[options.metric ?? "max-temp"].field], options.units);
+  return { locations: [locationMeta(data)], columns, rows: aggregateHourlyToDaily(data).map((d) => pickRow(d, columns)) };
+}
+
+/**
+ * Percent of hours per direction sector and speed class behind buildWindRoseSvg.
+ */
+export function buildWindRoseTable(data, options = {}) {
+  const { wind } = getUnitInfo(options.units);
+  const { counts, total, calm, labels } = binWindRose(data, options.units);
+  const columns = [
+    { key: "sector", unit: null },
+    { key: "direction", unit: "°" },
+    ...labels.map((label) => ({ key: label, unit: "% of hours" })),
+  ];
+  const rows = counts.map((row, s) => ({
+    sector: COMPASS_POINTS[s],
+    direction: s * 22.5,
+    ...Object.fromEntries(row.map((count, cls) => [labels[cls], (count / total) * 100])),
+  }));
+  return {
+    locations: [locationMeta(data)],
+    columns,
+    rows,
+    info: { hours: total, calmPercent: (calm / total) * 100, speedUnit: wind.symbol },
+  };
+}
+
+/**
+ * Daily rows per location behind buildComparisonChartSvg (long format: one row per location and day).
+ * @param {Array<{ data: Object, locationName: string }>} locations
+ * @param {Object} [options] - { metric: "temperature" | "rainfall", units }
+ */
+export function buildComparisonTable(locations, options = {}) {
+  const metric = options.metric ?? "temperature";
+  const columns = [
+    { key: "location", unit: null },
+    ...pickColumns(metric === "rainfall" ? ["date", "precipitationSum"] : ["date", "maxTemp", "minTemp"], options.units),
+  ];
+  const meta = locations.map((loc) => locationMeta(loc.data, loc.locationName));
+  const rows = locations.flatMap((loc, i) =>
+    aggregateHourlyToDaily(loc.data).map((d) => pickRow({ ...d, location: meta[i].name }, columns))
+  );
+  return { locations: meta, columns, rows };
+}
+
+function csvValue(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvValue).join(",");
+}
+
+/**
+ * Serialise a table. JSON: { locations, units: { column: unit }, rows, ...info }.
+ * CSV mirrors Open-Meteo's CSV layout: a location metadata block, a blank line, then the data
+ * with units in the column headers, e.g. "maxTemp (°C)".
+ * @param {Object} table
+ * @param {"json"|"csv"} format
+ * @returns {string}
+ */
+export function serializeTable(table, format) {
+  if (format === "json") {
+    return JSON.stringify({
+      locations: table.locations,
+      units: Object.fromEntries(table.columns.map(({ key, unit }) => [key, unit])),
+      ...table.info,
+      rows: table.rows,
+    });
+  }
+
+  // Table-wide info (e.g. baseline period) is repeated on each location row of the metadata block
+  const info = table.info ?? {};
+  const metaKeys = ["name", "id", "latitude", "longitude", "elevation", "timezone"];
+  const lines = [
+    csvLine([...metaKeys, ...Object.keys(info)]),
+    ...table.locations.map((loc) => csvLine([...metaKeys.map((k) => loc[k]), ...Object.values(info)])),
+    "",
+    csvLine(table.columns.map(({ key, unit }) => (unit ? `${key} (${unit})` : key))),
+    ...table.rows.map((row) => csvLine(table.columns.map(({ key }) => row[key]))),
+  ];
+  return lines.join("\n") + "\n";
+}
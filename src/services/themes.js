@@ -0,0 +1,142 @@
+/**
+ * Chart themes: background, text, axis and series colours for every chart builder.
+ * Data colour scales (year heatmap temperature / rainfall keys) are not themed; only the chrome around
+ * them and the fixed series colours are.
+ *
+ * - dark: the original look (navy background), for dashboards
+ * - light: white background for light-mode web pages
+ * - print: white, black text, series told apart by lightness so they survive greyscale printing
+ * - high-contrast: black background, white text, fully saturated series colours
+ */
+
+export const THEMES = {
+  dark: {
+    background: "#1a1a2e",
+    foreground: "#eee", // titles, wind arrows
+    text: "#aaa", // subtitles, axis ticks and labels, legends
+    muted: "#888", // forecast divider, reference lines, heatmap captions
+    axis: "#444",
+    grid: "#333",
+    missing: "#2d2d2d", // heatmap cells with no data
+    night: "#141425", // hourly chart shading between sunset and sunrise
+    cellBorder: "#aaaaaa",
+    series: {
+      max: "#e74c3c",
+      min: "#3498db",
+      humidity: "#2ecc71",
+      mean: "#f1c40f",
+      feelsMax: "#f1948a",
+      feelsMin: "#85c1e9",
+      warm: "#e74c3c",
+      cold: "#3498db",
+      wet: "#3498db",
+      dry: "#b9770e",
+      wind: "#48c9b0",
+      gust: "#e67e22",
+    },
+    categorical: ["#e74c3c", "#3498db", "#2ecc71", "#f1c40f", "#9b59b6", "#e67e22", "#1abc9c", "#ecf0f1"],
+    windClasses: ["#48c9b0", "#2ecc71", "#f4d03f", "#e67e22", "#e74c3c", "#8e44ad"],
+  },
+  light: {
+    background: "#ffffff",
+    foreground: "#1f2933",
+    text: "#52606d",
+    muted: "#7b8794",
+    axis: "#cbd2d9",
+    grid: "#e4e7eb",
+    missing: "#e4e7eb",
+    night: "#eef1f6",
+    cellBorder: "#ffffff",
+    series: {
+      max: "#d64541",
+      min: "#2e86de",
+      humidity: "#27ae60",
+      mean: "#d4a017",
+      feelsMax: "#e8908c",
+      feelsMin: "#85b7e8",
+      warm: "#d64541",
+      cold: "#2e86de",
+      wet: "#2e86de",
+      dry: "#a0522d",
+      wind: "#16a085",
+      gust: "#e67e22",
+    },
+    categorical: ["#d64541", "#2e86de", "#27ae60", "#d4a017", "#8e44ad", "#e67e22", "#16a085", "#34495e"],
+    windClasses: ["#48c9b0", "#27ae60", "#d4ac0d", "#e67e22", "#d64541", "#8e44ad"],
+  },
+  print: {
+    background: "#ffffff",
+    foreground: "#000000",
+    text: "#333333",
+    muted: "#666666",
+    axis: "#999999",
+    grid: "#cccccc",
+    missing: "#f0f0f0",
+    night: "#ececec",
+    cellBorder: "#ffffff",
+    series: {
+      max: "#1a1a1a",
+      min: "#a6a6a6",
+      humidity: "#5f5f5f",
+      mean: "#7f7f7f",
+      feelsMax: "#404040",
+      feelsMin: "#cfcfcf",
+      warm: "#1a1a1a",
+      cold: "#a6a6a6",
+      wet: "#404040",
+      dry: "#bfbfbf",
+      wind: "#8c8c8c",
+      gust: "#1a1a1a",
+    },
+    categorical: ["#000000", "#6b6b6b", "#a8a8a8", "#3a3a3a", "#8a8a8a", "#c8c8c8", "#222222", "#b5b5b5"],
+    windClasses: ["#e0e0e0", "#bdbdbd", "#969696", "#737373", "#525252", "#252525"],
+  },
+  "high-contrast": {
+    background: "#000000",
+    foreground: "#ffffff",
+    text: "#ffffff",
+    muted: "#e0e0e0",
+    axis: "#ffffff",
+    grid: "#808080",
+    missing: "#404040",
+    night: "#1f1f1f",
+    cellBorder: "#000000",
+    series: {
+      max: "#ff3b30",
+      min: "#00bfff",
+      humidity: "#00ff7f",
+      mean: "#ffff00",
+      feelsMax: "#ff80ab",
+      feelsMin: "#80d8ff",
+      warm: "#ff3b30",
+      cold: "#00bfff",
+      wet: "#00bfff",
+      dry: "#ffb000",
+      wind: "#00ffff",
+      gust: "#ffb000",
+    },
+    categorical: ["#ff3b30", "#00bfff", "#00ff7f", "#ffff00", "#ff00ff", "#ffb000", "#ffffff", "#8080ff"],
+    windClasses: ["#00ffff", "#00ff00", "#ffff00", "#ffb000", "#ff3b30", "#ff00ff"],
+  },
+};
+
+export const DEFAULT_THEME = "dark";
+
+/**
+ * Resolve the `theme` query parameter to a theme name.
+ * @throws {Error} If not a known theme
+ */
+export function resolveTheme(value) {
+  const name = value ? String(value).toLowerCase() : DEFAULT_THEME;
+  if (!THEMES[name]) {
+    throw new Error(`theme must be one of: ${Object.keys(THEMES).join(", ")}`);
+  }
+  return name;
+}
+
+/**
+ * Colours for a theme name (default dark).
+ */
+export function getTheme(name = DEFAULT_THEME) {
+  return THEMES[name] ?? THEMES[DEFAULT_THEME];
+}
@@ -0,0 +1,113 @@
+/**
+ * Unit systems for temperature, precipitation and wind speed.
+ * Providers deliver data already in the chosen unit (Open-Meteo converts server-side via temperature_unit /
+ * precipitation_unit / wind_speed_unit; file data is converted with convertValue). Colour scales are defined in metric, so each unit knows how to
+ * convert back to °C / mm, and carries its own "nice" legend range so key labels stay round numbers.
+ */
+
+export const TEMPERATURE_UNITS = {
+  celsius: {
+    symbol: "°C",
+    toCelsius: (v) => v,
+    fromCelsius: (v) => v,
+    legendDomain: [-40, 50],
+  },
+  fahrenheit: {
+    symbol: "°F",
+    toCelsius: (v) => ((v - 32) * 5) / 9,
+    fromCelsius: (v) => (v * 9) / 5 + 32,
+    legendDomain: [-40, 120],
+  },
+};
+
+export const PRECIPITATION_UNITS = {
+  mm: {
+    symbol: "mm",
+    toMm: (v) => v,
+    fromMm: (v) => v,
+    legendDomain: [0, 50],
+    minAxisMax: 1, // At least 1 mm on rainfall axes
+    decimals: 1,
+  },
+  inch: {
+    symbol: "in",
+    toMm: (v) => v * 25.4,
+    fromMm: (v) => v / 25.4,
+    legendDomain: [0, 2],
+    minAxisMax: 0.05,
+    decimals: 2,
+  },
+};
+
+// speedClasses: upper bounds of wind rose speed bins (last bin is open-ended), nice numbers per unit
+export const WIND_SPEED_UNITS = {
+  kmh: { symbol: "km/h", kmhPerUnit: 1, speedClasses: [5, 10, 20, 30, 40] },
+  ms: { symbol: "m/s", kmhPerUnit: 3.6, speedClasses: [2, 4, 6, 8, 12] },
+  mph: { symbol: "mph", kmhPerUnit: 1.609344, speedClasses: [5, 10, 15, 20, 30] },
+  kn: { symbol: "kn", kmhPerUnit: 1.852, speedClasses: [5, 10, 15, 20, 25] },
+};
+
+export const UNIT_SYSTEMS = {
+  metric: { temperature: "celsius", precipitation: "mm", wind: "kmh" },
+  imperial: { temperature: "fahrenheit", precipitation: "inch", wind: "mph" },
+};
+
+export const DEFAULT_UNITS = UNIT_SYSTEMS.metric;
+
+/**
+ * Resolve units from query parameters: `units` (metric | imperial) picks the system,
+ * `temperature_unit` (celsius | fahrenheit), `precipitation_unit` (mm | inch) and
+ * `wind_speed_unit` (kmh | ms | mph | kn) override per variable.
+ * @param {Object} query - { units, temperature_unit, precipitation_unit, wind_speed_unit }
+ * @returns {{ temperature: string, precipitation: string, wind: string }}
+ * @throws {Error} If any value is not recognised
+ */
+export function resolveUnits({ units, temperature_unit, precipitation_unit, wind_speed_unit } = {}) {
+  const systemName = units ? String(units).toLowerCase() : "metric";
+  const system = UNIT_SYSTEMS[systemName];
+  if (!system) {
+    throw new Error(`units must be one of: ${Object.keys(UNIT_SYSTEMS).join(", ")}`);
+  }
+
+  const temperature = temperature_unit ? String(temperature_unit).toLowerCase() : system.temperature;
+  if (!TEMPERATURE_UNITS[temperature]) {
+    throw new Error(`temperature_unit must be one of: ${Object.keys(TEMPERATURE_UNITS).join(", ")}`);
+  }
+
+  const precipitation = precipitation_unit ? String(precipitation_unit).toLowerCase() : system.precipitation;
+  if (!PRECIPITATION_UNITS[precipitation]) {
+    throw new Error(`precipitation_unit must be one of: ${Object.keys(PRECIPITATION_UNITS).join(", ")}`);
+  }
+
+  const wind = wind_speed_unit ? String(wind_speed_unit).toLowerCase() : system.wind;
+  if (!WIND_SPEED_UNITS[wind]) {
+    throw new Error(`wind_speed_unit must be one of: ${Object.keys(WIND_SPEED_UNITS).join(", ")}`);
+  }
+
+  return { temperature, precipitation, wind };
+}
+
+/**
+ * Unit metadata (symbol, conversions, legend range) for a resolved units object.
+ */
+export function getUnitInfo(units = DEFAULT_UNITS) {
+  return {
+    temperature: TEMPERATURE_UNITS[units.temperature] ?? TEMPERATURE_UNITS.celsius,
+    precipitation: PRECIPITATION_UNITS[units.precipitation] ?? PRECIPITATION_UNITS.mm,
+    wind: WIND_SPEED_UNITS[units.wind] ?? WIND_SPEED_UNITS.kmh,
+  };
+}
+
+/**
+ * Convert a value between two units of the same kind.
+ * @param {"temperature"|"precipitation"|"wind"} kind
+ * @param {number|null} value
+ * @param {string} from - Unit name, e.g. "fahrenheit"
+ * @param {string} to - Unit name, e.g. "celsius"
+ */
+export function convertValue(kind, value, from, to) {
+  if (value == null || from === to) return value;
+  if (kind === "temperature") return TEMPERATURE_UNITS[to].fromCelsius(TEMPERATURE_UNITS[from].toCelsius(value));
+  if (kind === "precipitation") return PRECIPITATION_UNITS[to].fromMm(PRECIPITATION_UNITS[from].toMm(value));
+  return (value * WIND_SPEED_UNITS[from].kmhPerUnit) / WIND_SPEED_UNITS[to].kmhPerUnit;
+}
@@ -1,95 +1,351 @@
 /**
- * Fetches historical weather from Open-Meteo Historical Weather API.
+ * Open-Meteo client behind the "open-meteo" provider (providers/openMeteo.js): fetches historical weather from the
+ * Open-Meteo Historical Weather API, stitched with the Open-Meteo Forecast API for the most recent days (not yet in
+ * the archive) and up to 16 days ahead, plus geocoding. Responses are normalised to the series model in
+ * providers/series.js.
  * No API key required for non-commercial use.
  * Timezone is always set to the location's IANA timezone so hourly data is in local time.
+ * Base URLs can be overridden via env (e.g. to point at a local stub server). Requests go through one
+ * HttpClient per API (timeouts, retries, circuit breaker; see httpClient.js).
  * @see https://open-meteo.com/en/docs/historical-weather-api
+ * @see https://open-meteo.com/en/docs
  */
 
-import { find as findTimezone } from "geo-tz";
+import { DEFAULT_UNITS } from "./units.js";
+import { addDays, today } from "./dates.js";
+import { HourlySeriesCache } from "./dataCache.js";
+import { SingleFlight } from "./singleFlight.js";
+import { HttpClient, UpstreamError } from "./httpClient.js";
+import { mergeHourly } from "../providers/series.js";
+import { NotFoundError } from "./errors.js";
+import { getTimezoneForCoords, sameText } from "./places.js";
 
-const ARCHIVE_URL = "https://archive-api.open-meteo.com/v1/archive";
-const GEOCODE_URL = "https://geocoding-api.open-meteo.com/v1/search";
+const ARCHIVE_URL = process.env.OPEN_METEO_ARCHIVE_URL || "https://archive-api.open-meteo.com/v1/archive";
+const FORECAST_URL = process.env.OPEN_METEO_FORECAST_URL || "https://api.open-meteo.com/v1/forecast";
+const GEOCODE_URL = process.env.OPEN_METEO_GEOCODE_URL || "https://geocoding-api.open-meteo.com/v1/search";
+
+// Separate breakers: the archive being down should not stop forecast-only charts or location search
+const archiveClient = new HttpClient("Open-Meteo archive");
+const forecastClient = new HttpClient("Open-Meteo forecast");
+const geocodeClient = new HttpClient("Open-Meteo geocoding");
+
+// Open-Meteo hourly variable -> series variable (see providers/series.js)
+const HOURLY_FIELDS = {
+  temperature_2m: "temperature",
+  relative_humidity_2m: "humidity",
+  apparent_temperature: "apparentTemperature",
+  precipitation: "precipitation",
+  wind_speed_10m: "windSpeed",
+  wind_gusts_10m: "windGusts",
+  wind_direction_10m: "windDirection",
+};
+const HOURLY_VARIABLES = Object.keys(HOURLY_FIELDS).join(",");
+
+// Archive lags ~5 days behind today; the last day it reliably has is 6 days ago
+export const ARCHIVE_LAG_DAYS = 6;
+export const MAX_FORECAST_DAYS = 16;
+
+// Raw archive data shared across chart types (see dataCache.js)
+const archiveCache = new HourlySeriesCache({
+  maxHours: Number(process.env.DATA_CACHE_MAX_HOURS) || undefined,
+});
+
+// Identical upstream requests in flight (e.g. two chart types missing the same range) share one fetch
+const upstreamFlights = new SingleFlight("upstream");
+
+// Geocoding lookups by normalised query (promises, so concurrent lookups share one request)
+const GEOCODE_CACHE = new Map();
+const MAX_GEOCODE_CACHE_SIZE = 500;
+// Candidates requested per search, so country / admin1 filters still have results to choose from
+const GEOCODE_SEARCH_COUNT = 20;
+export const MAX_LOCATION_RESULTS = 20;
 
 /**
- * Resolve IANA timezone for coordinates (e.g. "Europe/London").
- * Used so Open-Meteo returns hourly data in local time for that location.
+ * Memoise a geocoding lookup in-process; failed lookups are not kept.
  */
-export function getTimezoneForCoords(lat, lon) {
-  const zones = findTimezone(Number(lat), Number(lon));
-  return zones?.[0] ?? "UTC";
+function memoGeocode(cacheKey, lookup) {
+  if (GEOCODE_CACHE.has(cacheKey)) {
+    return GEOCODE_CACHE.get(cacheKey);
+  }
+  if (GEOCODE_CACHE.size >= MAX_GEOCODE_CACHE_SIZE) {
+    GEOCODE_CACHE.delete(GEOCODE_CACHE.keys().next().value);
+  }
+  const pending = lookup();
+  GEOCODE_CACHE.set(cacheKey, pending);
+  pending.catch(() => GEOCODE_CACHE.delete(cacheKey));
+  return pending;
 }
 
 /**
- * Resolve city name to first result's { latitude, longitude, timezone, name }.
+ * Display name with enough context to tell places apart, e.g. "Paris, Texas, United States".
  */
-export async function geocodeCity(city) {
-  const url = new URL(GEOCODE_URL);
-  url.searchParams.set("name", city);
-  url.searchParams.set("count", "1");
-
-  const res = await fetch(url.toString());
-  if (!res.ok) throw new Error(`Geocoding error ${res.status}: ${await res.text()}`);
-  const json = await res.json();
-  const first = json.results?.[0];
-  if (!first) throw new Error(`No location found for "${city}"`);
+function formatPlaceName({ name, admin1, country }) {
+  const parts = [name];
+  if (admin1 && admin1 !== name) parts.push(admin1);
+  if (country && country !== name) parts.push(country);
+  return parts.join(", ");
+}
+
+/**
+ * Normalise an Open-Meteo geocoding result. `id` is the GeoNames id, stable across requests.
+ */
+function toPlace(result) {
   return {
-    latitude: first.latitude,
-    longitude: first.longitude,
-    timezone: first.timezone || "UTC",
-    name: first.name,
+    id: result.id,
+    name: result.name,
+    fullName: formatPlaceName(result),
+    admin1: result.admin1 ?? null,
+    country: result.country ?? null,
+    countryCode: result.country_code ?? null,
+    latitude: result.latitude,
+    longitude: result.longitude,
+    timezone: result.timezone || "UTC",
+    population: result.population ?? null,
   };
 }
 
 /**
- * Fetch historical weather for a date range. Data has ~5-day delay; use past dates.
+ * Search places by name, best match first.
+ * Open-Meteo's relevance order is kept, except that exact name matches move ahead of partial ones.
+ * @param {string} query - Place name (at least 2 characters)
+ * @param {Object} [options] - { country: ISO 3166-1 alpha-2 code or country name, admin1: state / region name, count }
+ * @returns {Promise<Array<{ id, name, fullName, admin1, country, countryCode, latitude, longitude, timezone, population }>>}
+ */
+export async function searchLocations(query, { country, admin1, count = 10 } = {}) {
+  const name = String(query).trim();
+  const countryCode = country && /^[a-z]{2}$/i.test(String(country).trim()) ? String(country).trim().toUpperCase() : null;
+  const results = await memoGeocode(`search:${name.toLowerCase()}|${countryCode ?? ""}`, () =>
+    fetchGeocodeSearch(name, countryCode)
+  );
+  return results
+    .filter((place) => !country || countryCode || sameText(place.country, country))
+    .filter((place) => !admin1 || sameText(place.admin1, admin1))
+    .map((place, i) => ({ place, i, exact: sameText(place.name, name) }))
+    .sort((a, b) => b.exact - a.exact || a.i - b.i)
+    .slice(0, count)
+    .map(({ place }) => place);
+}
+
+async function fetchGeocodeSearch(name, countryCode) {
+  const url = new URL(GEOCODE_URL);
+  url.searchParams.set("name", name);
+  url.searchParams.set("count", String(GEOCODE_SEARCH_COUNT));
+  if (countryCode) url.searchParams.set("countryCode", countryCode);
+
+  const json = await geocodeClient.getJson(url, "Geocoding");
+  return (json.results ?? []).map(toPlace);
+}
+
+/**
+ * Resolve a city name to its best-matching place, optionally narrowed by country and/or admin1.
+ * @param {string} city
+ * @param {Object} [options] - { country, admin1 } as for searchLocations
+ * @throws {NotFoundError} LOCATION_NOT_FOUND if nothing matches
+ */
+export async function geocodeCity(city, { country, admin1 } = {}) {
+  const [first] = await searchLocations(city, { country, admin1, count: 1 });
+  if (!first) {
+    const within = [admin1, country].filter(Boolean).join(", ");
+    throw new NotFoundError("LOCATION_NOT_FOUND", `No location found for "${city}"${within ? ` in ${within}` : ""}`, "city");
+  }
+  return first;
+}
+
+/**
+ * Look up a place by the stable id returned from searchLocations (a GeoNames id).
+ * @throws {NotFoundError} LOCATION_NOT_FOUND if there is no place with the id
+ */
+export async function getLocationById(id) {
+  return memoGeocode(`id:${id}`, async () => {
+    // Sibling of the search endpoint: .../v1/search -> .../v1/get
+    const url = new URL("get", GEOCODE_URL);
+    url.searchParams.set("id", String(id));
+
+    let json;
+    try {
+      json = await geocodeClient.getJson(url, "Geocoding");
+    } catch (err) {
+      // Unknown ids come back as 4xx; outages stay UpstreamErrors so callers can tell them apart
+      if (err instanceof UpstreamError && !err.unavailable && err.status != null) {
+        throw new NotFoundError("LOCATION_NOT_FOUND", `No location found for id ${id} (geocoding ${err.status})`, "location_id");
+      }
+      throw err;
+    }
+    const result = json.results?.[0] ?? json;
+    if (result?.latitude == null) throw new NotFoundError("LOCATION_NOT_FOUND", `No location found for id ${id}`, "location_id");
+    return toPlace(result);
+  });
+}
+
+/**
+ * Resolve a place reference from request parameters: a stable `id`, or a `city` name
+ * optionally narrowed by `country` / `admin1`.
+ * @param {Object} place - { id, city, country, admin1 }
+ */
+export async function resolvePlace({ id, city, country, admin1 }) {
+  return id != null ? getLocationById(id) : geocodeCity(city, { country, admin1 });
+}
+
+/**
+ * Normalise an archive / forecast response to a series (hourly arrays are reused, not copied).
+ */
+export function toSeries({ latitude, longitude, elevation, timezone, hourly = {} }) {
+  const series = { time: hourly.time ?? [] };
+  for (const [variable, field] of Object.entries(HOURLY_FIELDS)) {
+    if (hourly[variable]) series[field] = hourly[variable];
+  }
+  return { source: "open-meteo", latitude, longitude, elevation, timezone, hourly: series };
+}
+
+/**
+ * GET an Open-Meteo weather URL as a series, coalescing concurrent identical requests.
+ * The series is shared between callers, so it must be treated as read-only.
+ * @param {URL} url
+ * @param {HttpClient} client - archiveClient or forecastClient
+ * @param {string} apiName - "Historical" or "Forecast", for error messages
+ */
+function fetchWeatherJson(url, client, apiName) {
+  const params = url.searchParams;
+  const label = `${apiName} ${params.get("latitude")},${params.get("longitude")} ${params.get("start_date")}..${params.get("end_date")}`;
+  return upstreamFlights.run(url.toString(), async () => toSeries(await client.getJson(url, `${apiName} weather API`)), label);
+}
+
+/**
+ * Fetch historical weather for a date range straight from the archive API (no data cache).
+ * Use for one-off bulk downloads (e.g. climate baselines) that would only churn the shared cache.
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
  * @param {string} startDate - yyyy-mm-dd
  * @param {string} endDate - yyyy-mm-dd
  * @param {string} [timezone] - e.g. "auto" or "Europe/London"
+ * @param {Object} [units] - { temperature: "celsius"|"fahrenheit", precipitation: "mm"|"inch", wind: "kmh"|"ms"|"mph"|"kn" }
  */
-export async function getHistoricalWeather(lat, lon, startDate, endDate, timezone = "auto") {
+export async function fetchHistoricalWeather(lat, lon, startDate, endDate, timezone = "auto", units = DEFAULT_UNITS) {
   const url = new URL(ARCHIVE_URL);
   url.searchParams.set("latitude", lat);
   url.searchParams.set("longitude", lon);
   url.searchParams.set("start_date", startDate);
   url.searchParams.set("end_date", endDate);
   url.searchParams.set("timezone", timezone);
-  url.searchParams.set(
-    "hourly",
-    "temperature_2m,relative_humidity_2m,apparent_temperature,precipitation"
+  url.searchParams.set("temperature_unit", units.temperature);
+  url.searchParams.set("precipitation_unit", units.precipitation);
+  url.searchParams.set("wind_speed_unit", units.wind ?? DEFAULT_UNITS.wind);
+  url.searchParams.set("hourly", HOURLY_VARIABLES);
+
+  return fetchWeatherJson(url, archiveClient, "Historical");
+}
+
+/**
+ * Fetch historical weather for a date range. Data has ~5-day delay; use past dates.
+ * Served from the shared data cache where possible: sub-ranges of cached data are sliced out and
+ * only uncached days are fetched, so switching chart type for the same place never refetches.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} startDate - yyyy-mm-dd
+ * @param {string} endDate - yyyy-mm-dd
+ * @param {string} [timezone] - e.g. "auto" or "Europe/London"
+ * @param {Object} [units] - { temperature, precipitation, wind }
+ */
+export async function getHistoricalWeather(lat, lon, startDate, endDate, timezone = "auto", units = DEFAULT_UNITS) {
+  const seriesKey = [
+    Number(lat).toFixed(4),
+    Number(lon).toFixed(4),
+    timezone,
+    units.temperature,
+    units.precipitation,
+    units.wind ?? DEFAULT_UNITS.wind,
+    HOURLY_VARIABLES,
+  ].join("|");
+  return archiveCache.getRange(seriesKey, startDate, endDate, (start, end) =>
+    fetchHistoricalWeather(lat, lon, start, end, timezone, units)
   );
+}
+
+/**
+ * Fetch forecast-model weather for a date range (recent past days and up to 16 days ahead).
+ * Same hourly variables and series shape as getHistoricalWeather.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} startDate - yyyy-mm-dd
+ * @param {string} endDate - yyyy-mm-dd (at most MAX_FORECAST_DAYS after today)
+ * @param {string} [timezone] - e.g. "auto" or "Europe/London"
+ * @param {Object} [units] - { temperature, precipitation, wind }
+ */
+export async function getForecastWeather(lat, lon, startDate, endDate, timezone = "auto", units = DEFAULT_UNITS) {
+  const url = new URL(FORECAST_URL);
+  url.searchParams.set("latitude", lat);
+  url.searchParams.set("longitude", lon);
+  url.searchParams.set("start_date", startDate);
+  url.searchParams.set("end_date", endDate);
+  url.searchParams.set("timezone", timezone);
+  url.searchParams.set("temperature_unit", units.temperature);
+  url.searchParams.set("precipitation_unit", units.precipitation);
+  url.searchParams.set("wind_speed_unit", units.wind ?? DEFAULT_UNITS.wind);
+  url.searchParams.set("hourly", HOURLY_VARIABLES);
+
+  return fetchWeatherJson(url, forecastClient, "Forecast");
+}
+
+/**
+ * Fetch weather for any range from 1940 to MAX_FORECAST_DAYS ahead.
+ * Days up to the archive lag come from the archive; later days come from the forecast API.
+ * The series is archive-shaped, plus `forecastStart` (yyyy-mm-dd, first day containing forecast hours)
+ * when the range reaches today or later, so charts can mark the forecast portion.
+ * Days beyond the forecast horizon are dropped.
+ */
+export async function getStitchedWeather(lat, lon, startDate, endDate, timezone = "auto", units = DEFAULT_UNITS) {
+  const archiveEnd = addDays(today(), -ARCHIVE_LAG_DAYS);
+  const forecastEnd = addDays(today(), MAX_FORECAST_DAYS);
+
+  if (endDate <= archiveEnd) {
+    return getHistoricalWeather(lat, lon, startDate, endDate, timezone, units);
+  }
+  if (startDate > forecastEnd) {
+    throw new Error(`No data available after ${forecastEnd} (forecast covers ${MAX_FORECAST_DAYS} days ahead)`);
+  }
+
+  const recentStart = startDate > archiveEnd ? startDate : addDays(archiveEnd, 1);
+  const recentEnd = endDate < forecastEnd ? endDate : forecastEnd;
+
+  const [archive, forecast] = await Promise.all([
+    startDate <= archiveEnd
+      ? getHistoricalWeather(lat, lon, startDate, archiveEnd, timezone, units)
+      : null,
+    getForecastWeather(lat, lon, recentStart, recentEnd, timezone, units),
+  ]);
 
-  const res = await fetch(url.toString());
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Historical weather API error ${res.status}: ${text}`);
+  const forecastStart = recentEnd >= today() ? (recentStart > today() ? recentStart : today()) : undefined;
+  if (!archive) {
+    return { ...forecast, forecastStart };
   }
-  return res.json();
+  return { ...archive, hourly: mergeHourly(archive, forecast), forecastStart };
 }
 
 /**
- * Get historical weather by city name (geocodes then fetches archive).
+ * Get weather for a named place (geocodes then fetches archive, plus forecast for recent/future days).
+ * `locationName` is the place's full name ("Paris, Texas, United States"); `place` is the resolved place.
+ * @param {Object} place - { id } from searchLocations, or { city, country, admin1 }
  */
-export async function getWeatherByCity(city, startDate, endDate) {
-  const loc = await geocodeCity(city);
-  const data = await getHistoricalWeather(
+export async function getWeatherByPlace(place, startDate, endDate, units = DEFAULT_UNITS) {
+  const loc = await resolvePlace(place);
+  const data = await getStitchedWeather(
     loc.latitude,
     loc.longitude,
     startDate,
     endDate,
-    loc.timezone
+    loc.timezone,
+    units
   );
-  return { ...data, locationName: loc.name };
+  return { ...data, locationName: loc.fullName, place: loc };
 }
 
 /**
- * Get historical weather by coordinates.
+ * Get weather by coordinates (archive, plus forecast for recent/future days).
  * Timezone is resolved from lat/lon so hourly data is in local time for that location.
  */
-export async function getWeatherByCoords(lat, lon, startDate, endDate, timezone = null) {
+export async function getWeatherByCoords(lat, lon, startDate, endDate, timezone = null, units = DEFAULT_UNITS) {
   const tz = timezone ?? getTimezoneForCoords(lat, lon);
-  const data = await getHistoricalWeather(lat, lon, startDate, endDate, tz);
+  const data = await getStitchedWeather(lat, lon, startDate, endDate, tz, units);
   return data;
 }
 
@@ -98,7 +354,7 @@ export async function getWeatherByCoords(lat, lon, startDate, endDate, timezone
  */
 export function getDefaultDateRange() {
   const end = new Date();
-  end.setDate(end.getDate() - 6);
+  end.setDate(end.getDate() - ARCHIVE_LAG_DAYS);
   const start = new Date(end);
   start.setDate(start.getDate() - 6);
   return {
@@ -0,0 +1,202 @@
+/**
+ * Chart builders against the recorded Open-Meteo fixtures (and made-up decades for the multi-year charts), compared
+ * with SVG snapshots (see helpers/snapshot.js).
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildCalendarHeatmapSvg,
+  buildComparisonChartSvg,
+  buildHourlyWeatherChartSvg,
+  buildMultiYearHeatmapSvg,
+  buildRainfallAnomalySvg,
+  buildRainfallChartSvg,
+  buildRainfallYearHeatmapSvg,
+  buildStripesSvg,
+  buildTemperatureAnomalySvg,
+  buildWeatherChartSvg,
+  buildWindChartSvg,
+  buildWindRoseSvg,
+  buildYearHeatmapSvg,
+} from "../src/services/chart.js";
+import { toSeries } from "../src/services/weather.js";
+import { convertHourly } from "../src/providers/series.js";
+import { UNIT_SYSTEMS } from "../src/services/units.js";
+import { resolveColorScale } from "../src/services/colorScales.js";
+import { loadFixture } from "./helpers/fixtures.js";
+import { assertMatchesSnapshot } from "./helpers/snapshot.js";
+
+const london = { ...toSeries(loadFixture("archive-london.json")), locationName: "London, England, United Kingdom" };
+const paris = { ...toSeries(loadFixture("archive-paris.json")), locationName: "Paris, Île-de-France, France" };
+const baseline = loadFixture("baseline-london.json");
+
+const imperial = UNIT_SYSTEMS.imperial;
+const londonImperial = { ...london, hourly: convertHourly(london.hourly, UNIT_SYSTEMS.metric, imperial) };
+
+/**
+ * Daily history (see services/history.js) of a made-up place: a seasonal cycle warming 0.03 °C a year, with
+ * day-to-day wiggles and a rain shower every few days. The first year lacks its last two months.
+ */
+function syntheticHistory(fromYear, toYear) {
+  const daily = [];
+  for (let day = Date.UTC(fromYear, 0, 1); day < Date.UTC(toYear + 1, 0, 1); day += 24 * 60 * 60 * 1000) {
+    const date = new Date(day).toISOString().slice(0, 10);
+    if (date >= `${fromYear}-11-01` && date <= `${fromYear}-12-31`) continue;
+    const year = Number(date.slice(0, 4));
+    const doy = (day - Date.UTC(year, 0, 1)) / (24 * 60 * 60 * 1000);
+    const meanTemp = 10 - 8 * Math.cos((2 * Math.PI * doy) / 365) + (year - fromYear) * 0.03 + 2 * Math.sin(year * 1.7 + doy * 0.3);
+    daily.push({ date, meanTemp, maxTemp: meanTemp + 4, minTemp: meanTemp - 4, precipitationSum: doy % 4 === 0 ? (year % 7) + doy / 40 : 0 });
+  }
+  return { locationName: "Testville", timezone: "UTC", latitude: 51.5, longitude: -0.12, fromYear, toYear, daily };
+}
+
+describe("daily charts", () => {
+  test("weather", () => {
+    assertMatchesSnapshot("weather", buildWeatherChartSvg(london));
+  });
+
+  test("weather, imperial units and light theme", () => {
+    assertMatchesSnapshot("weather-imperial-light", buildWeatherChartSvg(londonImperial, { units: imperial, theme: "light" }));
+  });
+
+  test("weather at a custom size", () => {
+    const svg = buildWeatherChartSvg(london, { width: 360, height: 240 });
+    assert.match(svg, /^<svg[^>]* width="360"[^>]* height="240"/);
+    assertMatchesSnapshot("weather-360x240", svg);
+  });
+
+  test("weather as lines, every series, with forecast days", () => {
+    const svg = buildWeatherChartSvg(
+      { ...london, forecastStart: "2024-01-10" },
+      { style: "lines", series: ["humidity", "feels-min", "feels-max", "mean-temp", "min-temp", "max-temp"] }
+    );
+    assert.match(svg, /Feels-like max/);
+    assert.match(svg, /Humidity \(%\)/);
+    assertMatchesSnapshot("weather-lines", svg);
+  });
+
+  test("weather, humidity alone on the left axis", () => {
+    const svg = buildWeatherChartSvg(london, { series: ["humidity"] });
+    assert.doesNotMatch(svg, /Temperature/);
+    assertMatchesSnapshot("weather-humidity", svg);
+  });
+
+  test("hourly weather over three days, the last one forecast", () => {
+    const hourly = Object.fromEntries(Object.entries(london.hourly).map(([key, values]) => [key, values.slice(0, 72)]));
+    const svg = buildHourlyWeatherChartSvg({ ...london, hourly, forecastStart: "2024-01-03" });
+    assert.match(svg, /hourly \(Europe\/London time\)/);
+    assertMatchesSnapshot("weather-hourly", svg);
+  });
+
+  test("rainfall", () => {
+    assertMatchesSnapshot("rainfall", buildRainfallChartSvg(london));
+  });
+
+  test("rainfall, print theme", () => {
+    assertMatchesSnapshot("rainfall-print", buildRainfallChartSvg(london, { theme: "print" }));
+  });
+
+  test("wind", () => {
+    assertMatchesSnapshot("wind", buildWindChartSvg(london));
+  });
+
+  test("comparison of temperature and rainfall", () => {
+    const locations = [london, paris].map((data) => ({ data, locationName: data.locationName }));
+    assertMatchesSnapshot("compare-temperature", buildComparisonChartSvg(locations));
+    assertMatchesSnapshot("compare-rainfall", buildComparisonChartSvg(locations, { metric: "rainfall" }));
+  });
+});
+
+describe("anomaly charts", () => {
+  test("temperature against the baseline", () => {
+    assertMatchesSnapshot("anomaly-temperature", buildTemperatureAnomalySvg(london, baseline));
+  });
+
+  test("rainfall against the baseline", () => {
+    assertMatchesSnapshot("anomaly-rainfall", buildRainfallAnomalySvg(london, baseline));
+  });
+});
+
+describe("year heatmaps", () => {
+  test("temperature", () => {
+    assertMatchesSnapshot("year-temperature", buildYearHeatmapSvg(london, { year: 2024, palette: resolveColorScale() }));
+  });
+
+  test("temperature, custom stops and larger cells without labels", () => {
+    const svg = buildYearHeatmapSvg(london, {
+      year: 2024,
+      cellSize: 12,
+      showTooltips: false,
+      palette: resolveColorScale({ stops: "-5:#3b4cc0,5:#f7f7f7,15:#b40426" }),
+    });
+    assert.doesNotMatch(svg, /<title>/);
+    assertMatchesSnapshot("year-temperature-stops", svg);
+  });
+
+  test("rainfall", () => {
+    assertMatchesSnapshot("year-rainfall", buildRainfallYearHeatmapSvg(london, { year: 2024, palette: resolveColorScale() }));
+  });
+
+  test("daylight curves and dimmed night cells", () => {
+    const svg = buildYearHeatmapSvg(london, { year: 2024, daylight: "both", palette: resolveColorScale() });
+    assert.match(svg, /Solid: sunrise \/ sunset/);
+    assertMatchesSnapshot("year-temperature-daylight", svg);
+    assertMatchesSnapshot(
+      "year-rainfall-dim",
+      buildRainfallYearHeatmapSvg(london, { year: 2024, daylight: "dim", theme: "light", palette: resolveColorScale() })
+    );
+  });
+});
+
+describe("calendar heatmaps", () => {
+  test("max temperature", () => {
+    assertMatchesSnapshot("calendar-max-temp", buildCalendarHeatmapSvg(london, { year: 2024, palette: resolveColorScale() }));
+  });
+
+  test("rain hours fitted to the data, light theme without labels", () => {
+    const svg = buildCalendarHeatmapSvg(london, {
+      year: 2024,
+      metric: "rain-hours",
+      cellSize: 8,
+      showTooltips: false,
+      theme: "light",
+      palette: resolveColorScale({ domain: "auto" }),
+    });
+    assert.doesNotMatch(svg, /<title>/);
+    assert.match(svg, /fitted to data/);
+    assertMatchesSnapshot("calendar-rain-hours", svg);
+  });
+});
+
+describe("multi-year charts", () => {
+  const history = syntheticHistory(1961, 2024);
+
+  test("warming stripes", () => {
+    const svg = buildStripesSvg(history, { from: 1971, to: 2000 });
+    assert.match(svg, /<title>1961: not enough data \(304 days\)<\/title>/);
+    assertMatchesSnapshot("stripes", svg);
+  });
+
+  test("warming stripes alone, imperial", () => {
+    const svg = buildStripesSvg(history, { from: 1991, to: 2020 }, { labels: false, units: imperial, width: 640, height: 200 });
+    assert.doesNotMatch(svg, /<text/);
+    assertMatchesSnapshot("stripes-bare", svg);
+  });
+
+  test("temperature and rainfall heatmaps", () => {
+    const recent = syntheticHistory(2022, 2024);
+    assertMatchesSnapshot("multi-year-temperature", buildMultiYearHeatmapSvg(recent, { palette: resolveColorScale() }));
+    assertMatchesSnapshot(
+      "multi-year-rainfall",
+      buildMultiYearHeatmapSvg(recent, { metric: "rainfall", cellWidth: 1, cellHeight: 12, palette: resolveColorScale({ scale: "viridis", domain: "auto" }) })
+    );
+  });
+});
+
+describe("wind rose", () => {
+  test("metric and imperial", () => {
+    assertMatchesSnapshot("wind-rose", buildWindRoseSvg(london));
+    assertMatchesSnapshot("wind-rose-imperial", buildWindRoseSvg(londonImperial, { units: imperial }));
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * The archive's circuit breaker, seen through the routes: open after consecutive failures, 503 without asking the
+ * archive while open, a trial request after the cooldown, and location search unaffected (geocoding has its own breaker).
+ */
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { startTestServer } from "./helpers/server.js";
+
+const COOLDOWN_MS = 500;
+
+let server;
+
+before(async () => {
+  server = await startTestServer({
+    UPSTREAM_RETRIES: "0",
+    UPSTREAM_BREAKER_THRESHOLD: "2",
+    UPSTREAM_BREAKER_COOLDOWN_MS: String(COOLDOWN_MS),
+  });
+});
+
+after(() => server.close());
+
+// Each call asks for days not asked for before, so the raw-data cache cannot answer it
+let day = 0;
+function nextChart() {
+  day++;
+  const date = `2024-01-${String(day).padStart(2, "0")}`;
+  return `/api/rainfall-image?lat=51.5&lon=-0.12&start_date=${date}&end_date=${date}&format=json`;
+}
+
+test("the breaker opens after consecutive failures, fails fast, and closes after a successful trial", async () => {
+  server.upstream.fail({ status: 500 });
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await server.get(nextChart())).status, 503);
+  }
+  const asked = server.upstream.count("/archive");
+  assert.equal(asked, 2);
+
+  // Open: answered without asking the archive, retrying once the cooldown is over
+  const fast = await server.get(nextChart());
+  assert.equal(fast.status, 503);
+  assert.equal(fast.headers.get("retry-after"), "1");
+  assert.match((await fast.json()).error, /^Open-Meteo archive is unavailable \(failing fast after 2 failed requests\)/);
+  assert.equal(server.upstream.count("/archive"), asked);
+
+  // Still open once the archive answers again; geocoding has its own breaker
+  server.upstream.recover();
+  assert.equal((await server.get(nextChart())).status, 503);
+  assert.equal(server.upstream.count("/archive"), asked);
+  assert.equal((await server.get("/api/locations?q=Paris")).status, 200);
+
+  // After the cooldown one trial request goes through; it succeeds and closes the breaker
+  await sleep(COOLDOWN_MS + 50);
+  assert.equal((await server.get(nextChart())).status, 200);
+  assert.equal((await server.get(nextChart())).status, 200);
+  assert.equal(server.upstream.count("/archive"), asked + 2);
+});
+
+test("a failed trial reopens the breaker at once", async () => {
+  server.upstream.fail({ status: 500 });
+  for (let i = 0; i < 2; i++) {
+    await server.get(nextChart());
+  }
+  await sleep(COOLDOWN_MS + 50);
+
+  const asked = server.upstream.count("/archive");
+  assert.equal((await server.get(nextChart())).status, 503);
+  assert.equal(server.upstream.count("/archive"), asked + 1);
+  // Open again after a single failure, not another two
+  const fast = await server.get(nextChart());
+  assert.equal(fast.status, 503);
+  assert.match((await fast.json()).error, /failing fast/);
+  assert.equal(server.upstream.count("/archive"), asked + 1);
+  server.upstream.recover();
+});
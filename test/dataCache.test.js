@@ -0,0 +1,54 @@
+/**
+ * The raw-data cache: gaps fetched once, and ranges spanning TTL tiers expiring a tier at a time.
+ */
+
+import { afterEach, beforeEach, test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { HourlySeriesCache } from "../src/services/dataCache.js";
+import { addDays } from "../src/services/dates.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A fetch that answers any range with 24 hourly rows per day, recording what was asked for
+function fakeFetch() {
+  const calls = [];
+  const fetchRange = async (start, end) => {
+    calls.push(`${start}..${end}`);
+    const time = [];
+    for (let day = start; day <= end; day = addDays(day, 1)) {
+      for (let h = 0; h < 24; h++) time.push(`${day}T${String(h).padStart(2, "0")}:00`);
+    }
+    return { latitude: 51.5, longitude: -0.12, hourly: { time, temperature_2m: time.map(() => 10) } };
+  };
+  return { calls, fetchRange };
+}
+
+beforeEach(() => mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-10-19T12:00:00Z") }));
+afterEach(() => mock.timers.reset());
+
+test("a cached range is sliced, and only the uncached days are fetched", async () => {
+  const cache = new HourlySeriesCache();
+  const { calls, fetchRange } = fakeFetch();
+  await cache.getRange("london", "2024-01-01", "2024-01-31", fetchRange);
+  const week = await cache.getRange("london", "2024-01-10", "2024-01-16", fetchRange);
+  assert.equal(week.hourly.time.length, 7 * 24);
+  assert.equal(week.hourly.time[0], "2024-01-10T00:00");
+
+  const wider = await cache.getRange("london", "2023-12-25", "2024-02-05", fetchRange);
+  assert.equal(wider.hourly.time.length, 43 * 24);
+  assert.deepEqual(calls, ["2024-01-01..2024-01-31", "2023-12-25..2023-12-31", "2024-02-01..2024-02-05"]);
+});
+
+test("only the recent days of a range are refetched once their short TTL has passed", async () => {
+  const cache = new HourlySeriesCache();
+  const { calls, fetchRange } = fakeFetch();
+  // A historical year, then the adjacent run up to today
+  await cache.getRange("london", "2025-01-01", "2025-12-31", fetchRange);
+  await cache.getRange("london", "2026-01-01", "2026-10-19", fetchRange);
+
+  mock.timers.tick(2 * HOUR_MS);
+  const again = await cache.getRange("london", "2025-01-01", "2026-10-19", fetchRange);
+  assert.equal(again.hourly.time.length, (365 + 292) * 24);
+  // The days within the last week had a one-hour TTL; the year and the settling months stay cached
+  assert.deepEqual(calls, ["2025-01-01..2025-12-31", "2026-01-01..2026-10-19", "2026-10-13..2026-10-19"]);
+});
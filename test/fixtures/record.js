@@ -0,0 +1,74 @@
+/**
+ * Re-record the fixtures from the live Open-Meteo APIs (or the OPEN_METEO_*_URL overrides):
+ *   npm run test:record && UPDATE_SNAPSHOTS=1 npm test
+ * Records the geocoding results for London and Paris, each city's archive response for FIXTURE_START..FIXTURE_END,
+ * and London's 1991–2020 baseline (computed as the app does, then cut to the recorded days).
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FIXTURES_DIR, FIXTURE_END, FIXTURE_START } from "../helpers/fixtures.js";
+
+// getBaseline persists what it computes; keep that out of the project's cache
+process.env.CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "weather-images-record-"));
+process.env.STORAGE_TYPE = "filesystem";
+
+const ARCHIVE_URL = process.env.OPEN_METEO_ARCHIVE_URL || "https://archive-api.open-meteo.com/v1/archive";
+const GEOCODE_URL = process.env.OPEN_METEO_GEOCODE_URL || "https://geocoding-api.open-meteo.com/v1/search";
+// The hourly variables services/weather.js requests
+const HOURLY = "temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,wind_speed_10m,wind_gusts_10m,wind_direction_10m";
+
+async function getJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${url}: ${res.status} ${await res.text()}`);
+  return res.json();
+}
+
+function write(name, value) {
+  fs.writeFileSync(new URL(name, FIXTURES_DIR), JSON.stringify(value) + "\n");
+  console.log(`Wrote test/fixtures/${name}`);
+}
+
+async function search(name, count) {
+  const url = new URL(GEOCODE_URL);
+  url.search = new URLSearchParams({ name, count: String(count) });
+  return (await getJson(url)).results ?? [];
+}
+
+async function archive(place) {
+  const url = new URL(ARCHIVE_URL);
+  url.search = new URLSearchParams({
+    latitude: place.latitude,
+    longitude: place.longitude,
+    start_date: FIXTURE_START,
+    end_date: FIXTURE_END,
+    timezone: place.timezone,
+    temperature_unit: "celsius",
+    precipitation_unit: "mm",
+    wind_speed_unit: "kmh",
+    hourly: HOURLY,
+  });
+  return getJson(url);
+}
+
+try {
+  const londons = await search("London", 2);
+  const [paris] = await search("Paris", 1);
+  write("geocoding-search.json", { results: [...londons, paris] });
+
+  const londonArchive = await archive(londons[0]);
+  write("archive-london.json", londonArchive);
+  write("archive-paris.json", await archive(paris));
+
+  const { getBaseline, DEFAULT_BASELINE } = await import("../../src/services/baseline.js");
+  const { default: openMeteo } = await import("../../src/providers/openMeteo.js");
+  const { latitude, longitude, timezone } = londonArchive;
+  const baseline = await getBaseline(latitude, longitude, timezone, DEFAULT_BASELINE, openMeteo);
+  const days = Object.fromEntries(
+    Object.entries(baseline.days).filter(([day]) => day >= FIXTURE_START.slice(5) && day <= FIXTURE_END.slice(5))
+  );
+  write("baseline-london.json", { ...baseline, days });
+} finally {
+  fs.rmSync(process.env.CACHE_DIR, { recursive: true, force: true });
+}
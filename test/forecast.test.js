@@ -0,0 +1,103 @@
+/**
+ * Archive and forecast stitching: with today set inside the recorded fixtures, charts reaching past the archive's
+ * lag take those days from the forecast API, and mark the days from today on as forecast.
+ */
+
+import { after, before, beforeEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers/server.js";
+import { FIXTURE_END, FIXTURE_START } from "./helpers/fixtures.js";
+
+// Today, for the app: the archive reaches 2024-01-04 (ARCHIVE_LAG_DAYS) and the forecast 2024-01-26
+const TODAY = "2024-01-10";
+
+let server;
+let seen;
+
+before(async () => {
+  mock.timers.enable({ apis: ["Date"], now: Date.parse(`${TODAY}T12:00:00Z`) });
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+  mock.timers.reset();
+});
+
+beforeEach(() => {
+  seen = server.upstream.requests.length;
+});
+
+// start_date..end_date of the weather requests to `suffix` ("/archive" or "/forecast") made by this test
+function upstreamRanges(suffix) {
+  return server.upstream.requests
+    .slice(seen)
+    .filter((r) => r.path.endsWith(suffix))
+    .map((r) => `${r.params.get("start_date")}..${r.params.get("end_date")}`);
+}
+
+async function getJson(urlPath) {
+  const res = await server.get(urlPath);
+  const body = await res.json();
+  assert.equal(res.status, 200, JSON.stringify(body));
+  return body;
+}
+
+test("a range reaching past the archive's lag is archive days, then forecast days", async () => {
+  const body = await getJson(`/api/weather-image?city=London&start_date=${FIXTURE_START}&end_date=${FIXTURE_END}&resolution=daily&format=json`);
+  assert.deepEqual(upstreamRanges("/archive"), ["2024-01-01..2024-01-04"]);
+  assert.deepEqual(upstreamRanges("/forecast"), ["2024-01-05..2024-01-14"]);
+
+  assert.equal(body.rows.length, 14);
+  assert.ok(body.rows.every((row) => row.maxTemp != null));
+  // Forecast from today on; the days between the archive's end and today are the forecast model's past days
+  assert.deepEqual(
+    body.rows.filter((row) => row.forecast).map((row) => row.date),
+    ["2024-01-10", "2024-01-11", "2024-01-12", "2024-01-13", "2024-01-14"]
+  );
+});
+
+test("hours are stitched without gaps or overlap", async () => {
+  const body = await getJson("/api/weather-image?city=London&start_date=2024-01-04&end_date=2024-01-05&format=json");
+  assert.equal(body.rows.length, 48);
+  assert.equal(body.rows[23].time, "2024-01-04T23:00");
+  assert.equal(body.rows[24].time, "2024-01-05T00:00");
+  assert.ok(body.rows.every((row) => !row.forecast));
+});
+
+test("forecast_days runs the chart through today and that many days ahead", async () => {
+  const body = await getJson("/api/rainfall-image?city=London&start_date=2024-01-08&forecast_days=4&format=json");
+  // Nothing before the archive's end, so only the forecast API is asked
+  assert.deepEqual(upstreamRanges("/archive"), []);
+  assert.deepEqual(upstreamRanges("/forecast"), ["2024-01-08..2024-01-14"]);
+  assert.deepEqual(body.rows.map((row) => row.date), ["2024-01-08", "2024-01-09", "2024-01-10", "2024-01-11", "2024-01-12", "2024-01-13", "2024-01-14"]);
+  assert.deepEqual(body.rows.map((row) => row.forecast), [false, false, true, true, true, true, true]);
+});
+
+test("a range within the archive does not ask for the forecast", async () => {
+  const body = await getJson("/api/rainfall-image?city=Paris&start_date=2024-01-01&end_date=2024-01-03&format=json");
+  assert.deepEqual(upstreamRanges("/archive"), ["2024-01-01..2024-01-03"]);
+  assert.deepEqual(upstreamRanges("/forecast"), []);
+  assert.ok(body.rows.every((row) => !row.forecast));
+});
+
+test("forecast days are drawn hatched", async () => {
+  for (const route of ["weather-image", "rainfall-image"]) {
+    const forecast = await (await server.get(`/api/${route}?city=London&start_date=2024-01-06&end_date=2024-01-12&format=svg`)).text();
+    assert.match(forecast, /url\(#forecast-hatch\)/, route);
+    assert.match(forecast, /Forecast \(hatched\)/, route);
+
+    const past = await (await server.get(`/api/${route}?city=London&start_date=2024-01-01&end_date=2024-01-07&format=svg`)).text();
+    assert.doesNotMatch(past, /url\(#forecast-hatch\)/, route);
+  }
+});
+
+test("end_date past the forecast's reach is a 400", async () => {
+  const res = await server.get("/api/weather-image?city=London&start_date=2024-01-20&end_date=2024-01-27");
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), {
+    error: "end_date must be on or before 2024-01-26 (the forecast reaches 16 days ahead)",
+    code: "OUT_OF_ARCHIVE_WINDOW",
+    param: "end_date",
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * A local stand-in for the Open-Meteo archive, forecast and geocoding APIs, serving the recorded fixtures.
+ * Weather requests get the fixture nearest the requested coordinates, cut to start_date..end_date and converted to
+ * the requested units as Open-Meteo would; days outside the recording come back with no hours. fail() makes it
+ * answer with an error status, a dropped connection or a delay instead, to exercise retries, the circuit breaker
+ * and stale serving.
+ */
+
+import http from "http";
+import { loadFixture } from "./fixtures.js";
+
+const ARCHIVES = [loadFixture("archive-london.json"), loadFixture("archive-paris.json")];
+const PLACES = loadFixture("geocoding-search.json").results;
+
+// Open-Meteo variable -> unit kind, and the conversions from the recorded metric values
+const VARIABLE_KINDS = {
+  temperature_2m: "temperature",
+  apparent_temperature: "temperature",
+  precipitation: "precipitation",
+  wind_speed_10m: "wind",
+  wind_gusts_10m: "wind",
+};
+const CONVERSIONS = {
+  temperature: { fahrenheit: { convert: (c) => c * 1.8 + 32, label: "°F" } },
+  precipitation: { inch: { convert: (mm) => mm / 25.4, label: "inch" } },
+  wind: {
+    ms: { convert: (kmh) => kmh / 3.6, label: "m/s" },
+    mph: { convert: (kmh) => kmh / 1.609344, label: "mp/h" },
+    kn: { convert: (kmh) => kmh / 1.852, label: "kn" },
+  },
+};
+const UNIT_PARAMS = { temperature: "temperature_unit", precipitation: "precipitation_unit", wind: "wind_speed_unit" };
+
+function nearestArchive(lat, lon) {
+  const distance = (a) => (a.latitude - lat) ** 2 + (a.longitude - lon) ** 2;
+  return ARCHIVES.reduce((best, a) => (distance(a) < distance(best) ? a : best));
+}
+
+/**
+ * An archive / forecast response for the request's coordinates, dates and units.
+ */
+function weatherResponse(params) {
+  const archive = nearestArchive(Number(params.get("latitude")), Number(params.get("longitude")));
+  const start = params.get("start_date");
+  const end = params.get("end_date");
+  const keep = archive.hourly.time.map((t) => t.slice(0, 10) >= start && t.slice(0, 10) <= end);
+  const wanted = ["time", ...(params.get("hourly") || "").split(",").filter(Boolean)];
+
+  const hourly = {};
+  const hourlyUnits = {};
+  for (const variable of wanted) {
+    if (!archive.hourly[variable]) continue;
+    const conversion = CONVERSIONS[VARIABLE_KINDS[variable]]?.[params.get(UNIT_PARAMS[VARIABLE_KINDS[variable]])];
+    hourly[variable] = archive.hourly[variable]
+      .filter((_, i) => keep[i])
+      .map((v) => (v == null || !conversion ? v : Math.round(conversion.convert(v) * 10) / 10));
+    hourlyUnits[variable] = conversion?.label ?? archive.hourly_units[variable];
+  }
+  return { ...archive, hourly_units: hourlyUnits, hourly };
+}
+
+function searchResponse(params) {
+  const name = (params.get("name") || "").toLowerCase();
+  const countryCode = params.get("countryCode");
+  const results = PLACES.filter(
+    (p) => p.name.toLowerCase().startsWith(name) && (!countryCode || p.country_code === countryCode)
+  ).slice(0, Number(params.get("count")) || 10);
+  // Like Open-Meteo, no "results" key when nothing matches
+  return results.length ? { results, generationtime_ms: 0.5 } : { generationtime_ms: 0.5 };
+}
+
+/**
+ * Start the fake APIs on a free local port.
+ * @returns {Promise<{ env: Object, requests: Array<{ path: string, params: URLSearchParams }>, count: Function,
+ *   fail: Function, recover: Function, close: Function }>} env holds the OPEN_METEO_*_URL variables pointing here
+ */
+export async function startFakeOpenMeteo() {
+  const requests = [];
+  let fault = null;
+  let faultsLeft = 0;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push({ path: url.pathname, params: url.searchParams });
+
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { "Content-Type": "application/json", ...headers });
+      res.end(JSON.stringify(body));
+    };
+    const respond = () => {
+      if (url.pathname.endsWith("/archive") || url.pathname.endsWith("/forecast")) {
+        return send(200, weatherResponse(url.searchParams));
+      }
+      if (url.pathname.endsWith("/search")) {
+        return send(200, searchResponse(url.searchParams));
+      }
+      if (url.pathname.endsWith("/get")) {
+        const place = PLACES.find((p) => String(p.id) === url.searchParams.get("id"));
+        return place ? send(200, place) : send(400, { error: true, reason: "Invalid id" });
+      }
+      send(404, { error: true, reason: "Not found" });
+    };
+
+    const active = faultsLeft > 0 ? fault : null;
+    if (!active) return respond();
+    faultsLeft--;
+    if (active.reset) return req.socket.destroy();
+    const answer = () =>
+      active.status
+        ? send(active.status, { error: true, reason: "Injected failure" }, active.retryAfter != null ? { "Retry-After": String(active.retryAfter) } : {})
+        : respond();
+    if (active.delayMs) {
+      const timer = setTimeout(answer, active.delayMs);
+      res.on("close", () => clearTimeout(timer));
+    } else {
+      answer();
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}/v1`;
+
+  return {
+    env: {
+      OPEN_METEO_ARCHIVE_URL: `${base}/archive`,
+      OPEN_METEO_FORECAST_URL: `${base}/forecast`,
+      OPEN_METEO_GEOCODE_URL: `${base}/search`,
+    },
+    requests,
+    /** Requests received so far whose path ends with `suffix` ("/archive", "/search" ...). */
+    count: (suffix = "") => requests.filter((r) => r.path.endsWith(suffix)).length,
+    /**
+     * Fail the next `times` requests: { status, retryAfter } answers with that status, { reset: true } drops the
+     * connection, { delayMs } answers late (combine with status to answer late with an error).
+     */
+    fail(nextFault, times = Infinity) {
+      fault = nextFault;
+      faultsLeft = times;
+    },
+    recover() {
+      fault = null;
+      faultsLeft = 0;
+    },
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+}
@@ -0,0 +1,20 @@
+/**
+ * Recorded upstream responses in test/fixtures (see test/fixtures/record.js): Open-Meteo archive responses for
+ * London and Paris over 2024-01-01..2024-01-14, the geocoding results for them, and a baseline in getBaseline's shape.
+ */
+
+import fs from "fs";
+
+export const FIXTURES_DIR = new URL("../fixtures/", import.meta.url);
+
+// First and last day of the recorded archive responses
+export const FIXTURE_START = "2024-01-01";
+export const FIXTURE_END = "2024-01-14";
+
+/**
+ * A fixture's parsed JSON (a fresh copy each call, so tests may modify it).
+ * @param {string} name - File name in test/fixtures, e.g. "archive-london.json"
+ */
+export function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(new URL(name, FIXTURES_DIR), "utf8"));
+}
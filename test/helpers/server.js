@@ -0,0 +1,55 @@
+/**
+ * The app under test: listening on a free port, with the fake Open-Meteo APIs upstream, a FileSystemCache in a
+ * temporary directory and no rate limits. Configuration is read from the environment when the app's modules load,
+ * so this sets it first and each test file (its own process under node --test) starts one server.
+ * App logs are silenced unless TEST_LOGS=1.
+ */
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { startFakeOpenMeteo } from "./fakeOpenMeteo.js";
+
+export const ADMIN_TOKEN = "test-admin-token";
+
+/**
+ * @param {Object} [env] - Extra environment variables for the app (override the defaults below)
+ * @returns {Promise<{ get: (path: string, init?: Object) => Promise<Response>, upstream: Object, cacheDir: string,
+ *   app: Object, close: () => Promise<void> }>}
+ */
+export async function startTestServer(env = {}) {
+  const upstream = await startFakeOpenMeteo();
+  const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), "weather-images-test-"));
+  Object.assign(process.env, {
+    CACHE_DIR: cacheDir,
+    STORAGE_TYPE: "filesystem",
+    RATE_LIMIT_IP_POINTS_PER_MINUTE: "0",
+    ADMIN_API_TOKEN: ADMIN_TOKEN,
+    UPSTREAM_RETRY_BASE_MS: "1",
+    UPSTREAM_RETRY_MAX_MS: "10",
+    ...upstream.env,
+    ...env,
+  });
+  if (process.env.TEST_LOGS !== "1") {
+    for (const level of ["log", "warn", "error"]) console[level] = () => {};
+  }
+
+  const { app } = await import("../../src/app.js");
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    get: (urlPath, init) => fetch(baseUrl + urlPath, init),
+    upstream,
+    cacheDir,
+    app,
+    async close() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await upstream.close();
+      await fs.rm(cacheDir, { recursive: true, force: true });
+    },
+  };
+}
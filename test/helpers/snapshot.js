@@ -0,0 +1,37 @@
+/**
+ * SVG snapshots in test/__snapshots__/<name>.svg. Output is normalised before comparing (numbers rounded to two
+ * decimals, one element per line) so floating-point noise does not fail a test and diffs point at the changed
+ * element. A missing snapshot is written and the test passes, except with CI set; UPDATE_SNAPSHOTS=1 rewrites them
+ * all after an intended change to the charts.
+ */
+
+import assert from "node:assert/strict";
+import fs from "fs";
+
+const SNAPSHOT_DIR = new URL("../__snapshots__/", import.meta.url);
+
+export function normalizeSvg(svg) {
+  return (
+    svg
+      .replace(/-?\d+\.\d{3,}/g, (n) => String(Number(Number(n).toFixed(2)) || 0))
+      .replace(/>\s*</g, ">\n<")
+      .trim() + "\n"
+  );
+}
+
+/**
+ * Assert that an SVG matches its stored snapshot.
+ * @param {string} name - Snapshot file name without extension
+ * @param {string} svg
+ */
+export function assertMatchesSnapshot(name, svg) {
+  const file = new URL(`${name}.svg`, SNAPSHOT_DIR);
+  const actual = normalizeSvg(svg);
+  if (process.env.UPDATE_SNAPSHOTS === "1" || (!fs.existsSync(file) && !process.env.CI)) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `No snapshot ${name}.svg (run the tests locally to write it)`);
+  assert.equal(actual, fs.readFileSync(file, "utf8"), `${name}.svg differs (UPDATE_SNAPSHOTS=1 to accept the change)`);
+}
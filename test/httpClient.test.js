@@ -0,0 +1,124 @@
+/**
+ * HttpClient retries, timeouts and circuit breaker, against the fake Open-Meteo APIs.
+ */
+
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { HttpClient, UpstreamError } from "../src/services/httpClient.js";
+import { startFakeOpenMeteo } from "./helpers/fakeOpenMeteo.js";
+
+let upstream;
+let url;
+
+// Fast retries, no breaker unless a test configures one
+const client = (options = {}) =>
+  new HttpClient("Fake archive", { retries: 2, retryBaseMs: 1, retryMaxMs: 20, timeoutMs: 500, breakerThreshold: 0, ...options });
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    assert.ok(err instanceof UpstreamError, err.stack);
+    return err;
+  }
+  assert.fail("Expected an UpstreamError");
+}
+
+before(async () => {
+  upstream = await startFakeOpenMeteo();
+  url = new URL(upstream.env.OPEN_METEO_ARCHIVE_URL);
+  url.search = "latitude=51.5&longitude=-0.12&start_date=2024-01-01&end_date=2024-01-01&hourly=temperature_2m";
+});
+
+after(() => upstream.close());
+
+beforeEach(() => {
+  upstream.recover();
+  upstream.requests.length = 0;
+});
+
+describe("retries", () => {
+  test("5xx, 429 and dropped connections are retried", async () => {
+    for (const fault of [{ status: 503 }, { status: 429 }, { reset: true }]) {
+      upstream.requests.length = 0;
+      upstream.fail(fault, 2);
+      const json = await client().getJson(url, "Weather API");
+      assert.equal(json.hourly.time.length, 24);
+      assert.equal(upstream.requests.length, 3, JSON.stringify(fault));
+    }
+  });
+
+  test("after the last retry the error is unavailable, with the status", async () => {
+    upstream.fail({ status: 502 });
+    const err = await rejection(client().getJson(url, "Weather API"));
+    assert.equal(err.unavailable, true);
+    assert.equal(err.status, 502);
+    assert.match(err.message, /^Weather API error 502: /);
+    assert.equal(upstream.requests.length, 3);
+  });
+
+  test("other 4xx are not retried and not unavailable", async () => {
+    upstream.fail({ status: 400 });
+    const err = await rejection(client().getJson(url, "Weather API"));
+    assert.equal(err.unavailable, false);
+    assert.equal(err.status, 400);
+    assert.equal(upstream.requests.length, 1);
+  });
+
+  test("a Retry-After longer than the longest backoff fails at once", async () => {
+    upstream.fail({ status: 429, retryAfter: 60 });
+    const err = await rejection(client().getJson(url, "Weather API"));
+    assert.equal(err.retryAfterSeconds, 60);
+    assert.equal(upstream.requests.length, 1);
+  });
+
+  test("a slow answer times out", async () => {
+    upstream.fail({ delayMs: 300 });
+    const err = await rejection(client({ timeoutMs: 50, retries: 0 }).getJson(url, "Weather API"));
+    assert.equal(err.unavailable, true);
+    assert.equal(err.message, "Weather API: no response within 50 ms");
+  });
+});
+
+describe("circuit breaker", () => {
+  test("opens after consecutive failures, then fails fast", async () => {
+    const breaking = client({ retries: 0, breakerThreshold: 2, breakerCooldownMs: 60000 });
+    upstream.fail({ status: 500 });
+    await rejection(breaking.getJson(url, "Weather API"));
+    await rejection(breaking.getJson(url, "Weather API"));
+    assert.equal(breaking.breaker.state, "open");
+
+    upstream.recover();
+    const err = await rejection(breaking.getJson(url, "Weather API"));
+    assert.equal(err.unavailable, true);
+    assert.match(err.message, /Fake archive is unavailable/);
+    assert.equal(err.retryAfterSeconds, 60);
+    assert.equal(upstream.requests.length, 2);
+  });
+
+  test("a trial request after the cooldown closes or reopens it", async () => {
+    const breaking = client({ retries: 0, breakerThreshold: 1, breakerCooldownMs: 30 });
+    upstream.fail({ status: 500 });
+    await rejection(breaking.getJson(url, "Weather API"));
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    await rejection(breaking.getJson(url, "Weather API"));
+    assert.equal(breaking.breaker.state, "open");
+
+    upstream.recover();
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    await breaking.getJson(url, "Weather API");
+    assert.equal(breaking.breaker.state, "closed");
+    assert.equal(upstream.requests.length, 3);
+  });
+
+  test("rejected requests count as the upstream being up", async () => {
+    const breaking = client({ retries: 0, breakerThreshold: 2 });
+    upstream.fail({ status: 500 }, 1);
+    await rejection(breaking.getJson(url, "Weather API"));
+    upstream.fail({ status: 404 }, 1);
+    await rejection(breaking.getJson(url, "Weather API"));
+    upstream.fail({ status: 500 }, 1);
+    await rejection(breaking.getJson(url, "Weather API"));
+    assert.equal(breaking.breaker.state, "closed");
+  });
+});
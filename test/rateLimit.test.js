@@ -0,0 +1,193 @@
+/**
+ * API keys and rate limits: the app's chart routes behind the limiter it configures from the environment, then
+ * routes with the chart costs behind RateLimiters configured per test, so budgets, keys and API_KEYS_REQUIRED can
+ * vary without restarting the app.
+ */
+
+import { after, afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { ADMIN_TOKEN, startTestServer } from "./helpers/server.js";
+
+// The app's limiter reads the environment when rateLimit.js loads, so the app starts before the module is imported
+const app = await startTestServer({ RATE_LIMIT_IP_POINTS_PER_MINUTE: "20", API_KEYS: "route-key:routes" });
+const { ENDPOINT_COSTS, RateLimiter } = await import("../src/services/rateLimit.js");
+
+after(() => app.close());
+
+describe("the app's routes", () => {
+  test("chart routes are charged their cost and answer 429 once the budget is spent", async () => {
+    const query = "/api/weather-year-image?lat=51.5&lon=-0.12&year=2024&format=json";
+    for (const remaining of ["10", "0"]) {
+      const res = await app.get(query);
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get("x-ratelimit-limit"), "20");
+      assert.equal(res.headers.get("x-ratelimit-cost"), String(ENDPOINT_COSTS.yearHeatmap));
+      assert.equal(res.headers.get("x-ratelimit-remaining"), remaining);
+    }
+
+    const rejected = await app.get(query);
+    assert.equal(rejected.status, 429);
+    const retryAfter = Number(rejected.headers.get("retry-after"));
+    assert.ok(retryAfter >= 29 && retryAfter <= 30, `Retry-After ${retryAfter}`);
+    assert.match((await rejected.json()).error, /^Rate limit exceeded: this request costs 10 point\(s\) of 20 per minute/);
+
+    // A key from API_KEYS has its own budget
+    const keyed = await app.get(query, { headers: { "X-API-Key": "route-key" } });
+    assert.equal(keyed.status, 200);
+    assert.equal(keyed.headers.get("x-ratelimit-limit"), "300");
+    assert.equal((await app.get(`${query}&api_key=not-a-key`)).status, 401);
+
+    const usage = await (await app.get("/api/admin/usage", { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } })).json();
+    const routes = usage.clients.find((c) => c.client === "key:routes");
+    assert.deepEqual(routes.endpoints, { "/api/weather-year-image": { requests: 1, rejected: 0 } });
+    const ip = usage.clients.find((c) => c.type === "ip");
+    assert.deepEqual(ip.endpoints, { "/api/weather-year-image": { requests: 2, rejected: 1 } });
+  });
+});
+
+const servers = [];
+
+/**
+ * A server whose routes cost what the chart routes do: /daily, /year (year heatmap) and /history.
+ */
+async function startLimited(options) {
+  const limiter = new RateLimiter(options);
+  const app = express();
+  for (const [path, cost] of [["/daily", ENDPOINT_COSTS.daily], ["/year", ENDPOINT_COSTS.yearHeatmap], ["/history", ENDPOINT_COSTS.history]]) {
+    app.get(path, limiter.limit(cost), (req, res) => res.json({ ok: true }));
+  }
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  servers.push(server);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return {
+    limiter,
+    get: (path, key) => fetch(baseUrl + path, key ? { headers: { "X-API-Key": key } } : undefined),
+  };
+}
+
+afterEach(async () => {
+  for (const server of servers.splice(0)) {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+describe("budgets", () => {
+  test("each request is charged its route's cost", async () => {
+    const { get } = await startLimited({ ipPointsPerMinute: 30 });
+    const daily = await get("/daily");
+    assert.equal(daily.status, 200);
+    assert.equal(daily.headers.get("x-ratelimit-limit"), "30");
+    assert.equal(daily.headers.get("x-ratelimit-cost"), "1");
+    assert.equal(daily.headers.get("x-ratelimit-remaining"), "29");
+
+    const year = await get("/year");
+    assert.equal(year.headers.get("x-ratelimit-cost"), "10");
+    assert.equal(year.headers.get("x-ratelimit-remaining"), "19");
+  });
+
+  test("an empty budget is 429 with Retry-After until enough points refill", async () => {
+    const { get } = await startLimited({ ipPointsPerMinute: 12 });
+    assert.equal((await get("/year")).status, 200);
+    const rejected = await get("/year");
+    assert.equal(rejected.status, 429);
+    // 8 more points at 12 a minute
+    const retryAfter = Number(rejected.headers.get("retry-after"));
+    assert.ok(retryAfter >= 39 && retryAfter <= 40, `Retry-After ${retryAfter}`);
+    assert.match((await rejected.json()).error, /costs 10 point\(s\) of 12 per minute; retry in \d+ s/);
+    // A cheaper request still fits in what is left
+    assert.equal((await get("/daily")).status, 200);
+  });
+
+  test("a request costing more than the whole budget is allowed once, on a full bucket", async () => {
+    const { get } = await startLimited({ ipPointsPerMinute: 10 });
+    assert.equal((await get("/history")).status, 200);
+    assert.equal((await get("/daily")).status, 429);
+  });
+
+  test("0 points per minute is unlimited", async () => {
+    const { get } = await startLimited({ ipPointsPerMinute: 0 });
+    for (let i = 0; i < 5; i++) {
+      const res = await get("/history");
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get("x-ratelimit-limit"), null);
+    }
+  });
+});
+
+describe("API keys", () => {
+  const keys = [
+    { key: "dashboard-key", name: "dashboard", pointsPerMinute: 25 },
+    { key: "old-shared-key", name: "shared" },
+    { key: "new-shared-key", name: "shared" },
+  ];
+
+  test("a key has its own budget, separate from its IP's", async () => {
+    const { get } = await startLimited({ keys, ipPointsPerMinute: 10 });
+    assert.equal((await get("/year")).status, 200);
+    assert.equal((await get("/year")).status, 429);
+
+    const keyed = await get("/year", "dashboard-key");
+    assert.equal(keyed.status, 200);
+    assert.equal(keyed.headers.get("x-ratelimit-limit"), "25");
+    assert.equal(keyed.headers.get("x-ratelimit-remaining"), "15");
+  });
+
+  test("keys sharing a name have separate budgets", async () => {
+    const { get, limiter } = await startLimited({ keys, keyPointsPerMinute: 10 });
+    assert.equal((await get("/year", "old-shared-key")).status, 200);
+    assert.equal((await get("/year", "old-shared-key")).status, 429);
+    assert.equal((await get("/year", "new-shared-key")).status, 200);
+
+    const shared = limiter.getUsage().clients.filter((c) => c.client === "key:shared");
+    assert.equal(shared.length, 2);
+    assert.deepEqual(shared.map((c) => c.rejected).sort(), [0, 1]);
+  });
+
+  test("the key may also be sent as api_key", async () => {
+    const { get } = await startLimited({ keys });
+    const res = await get("/daily?api_key=dashboard-key");
+    assert.equal(res.headers.get("x-ratelimit-limit"), "25");
+  });
+
+  test("an unknown key is 401, with or without keys required", async () => {
+    for (const keysRequired of [false, true]) {
+      const { get } = await startLimited({ keys, keysRequired });
+      const res = await get("/daily", "not-a-key");
+      assert.equal(res.status, 401);
+      assert.equal((await res.json()).error, "Invalid API key");
+    }
+  });
+
+  test("no key is 401 only when keys are required", async () => {
+    const optional = await startLimited({ keys });
+    assert.equal((await optional.get("/daily")).status, 200);
+
+    const required = await startLimited({ keys, keysRequired: true });
+    const res = await required.get("/daily");
+    assert.equal(res.status, 401);
+    assert.match((await res.json()).error, /^API key required/);
+    assert.equal((await required.get("/daily", "dashboard-key")).status, 200);
+  });
+});
+
+test("usage counts requests, points and rejections per client and endpoint", async () => {
+  const { get, limiter } = await startLimited({ keys: [{ key: "k", name: "reports" }], ipPointsPerMinute: 10 });
+  await get("/daily", "k");
+  await get("/year", "k");
+  await get("/year");
+  await get("/year");
+
+  const { limits, clients } = limiter.getUsage();
+  assert.deepEqual(limits, { keysRequired: false, keys: 1, keyPointsPerMinute: 300, ipPointsPerMinute: 10 });
+  const [reports, ip] = clients;
+  assert.equal(reports.client, "key:reports");
+  assert.equal(reports.points, 11);
+  assert.deepEqual(reports.endpoints, { "/daily": { requests: 1, rejected: 0 }, "/year": { requests: 1, rejected: 0 } });
+  assert.equal(ip.type, "ip");
+  assert.equal(ip.points, 10);
+  assert.equal(ip.rejected, 1);
+});
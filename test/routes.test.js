@@ -0,0 +1,619 @@
+/**
+ * Every route of the app (src/app.js) against the fake Open-Meteo APIs, with a temporary FileSystemCache:
+ * chart routes and their output formats, validation errors, the render cache, multi-year history, the CSV source,
+ * discovery (/api/charts, /api/openapi.json), location search and the admin routes.
+ */
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { ADMIN_TOKEN, startTestServer } from "./helpers/server.js";
+import { FIXTURE_END, FIXTURE_START, loadFixture } from "./helpers/fixtures.js";
+
+const RANGE = `start_date=${FIXTURE_START}&end_date=${FIXTURE_END}`;
+
+// A query for each chart route, within the recorded fixtures
+const CHART_QUERIES = {
+  "weather-image": `city=London&${RANGE}`,
+  "rainfall-image": `city=London&${RANGE}`,
+  "wind-image": `city=London&${RANGE}`,
+  "wind-rose-image": `city=London&${RANGE}`,
+  "compare-image": `city=London&city=Paris&${RANGE}`,
+  "weather-year-image": "city=London&year=2024",
+  "rainfall-year-image": "city=London&year=2024",
+  "calendar-image": "city=London&year=2024",
+  "stripes-image": "city=London&from=2024&to=2024",
+  "multi-year-image": "city=London&from=2024&to=2024",
+};
+
+// The last complete year: multi-year history is fetched by decade up to it
+const LAST_YEAR = new Date().getFullYear() - 1;
+
+// First bytes of each output format
+const SIGNATURES = {
+  png: (body) => body.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47])),
+  jpeg: (body) => body.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  webp: (body) => body.toString("latin1", 0, 4) === "RIFF" && body.toString("latin1", 8, 12) === "WEBP",
+  avif: (body) => body.toString("latin1", 4, 12) === "ftypavif",
+  pdf: (body) => body.toString("latin1", 0, 5) === "%PDF-",
+  svg: (body) => body.toString("utf8").startsWith("<svg"),
+};
+
+let server;
+let stationDir;
+
+/**
+ * A CSV source with two stations: Heathrow, holding the London fixture's hours, and Armagh, with one reading a day
+ * from 2020 to 2023 that is 10 °C in 2020 and 0.5 °C warmer each year after.
+ */
+async function writeStations() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "weather-images-stations-"));
+  const { hourly } = loadFixture("archive-london.json");
+  const rows = hourly.time.map((t, i) =>
+    [t, hourly.temperature_2m[i], hourly.relative_humidity_2m[i], hourly.precipitation[i], hourly.wind_speed_10m[i], hourly.wind_direction_10m[i]].join(",")
+  );
+  await fs.writeFile(path.join(dir, "heathrow.csv"), ["time,temperature,humidity,precipitation,windSpeed,windDirection", ...rows].join("\n"));
+  const station = {
+    id: 3772,
+    name: "Heathrow",
+    country: "United Kingdom",
+    countryCode: "GB",
+    admin1: "England",
+    latitude: 51.48,
+    longitude: -0.45,
+    timezone: "Europe/London",
+    file: "heathrow.csv",
+  };
+  const armagh = { id: 3917, name: "Armagh", country: "United Kingdom", countryCode: "GB", admin1: "Northern Ireland", latitude: 54.35, longitude: -6.65, timezone: "Europe/London", file: "armagh.csv" };
+  const days = [];
+  for (let day = Date.UTC(2020, 0, 1); day < Date.UTC(2024, 0, 1); day += 24 * 60 * 60 * 1000) {
+    const date = new Date(day).toISOString().slice(0, 10);
+    days.push(`${date}T12:00,${10 + (Number(date.slice(0, 4)) - 2020) * 0.5},1.5`);
+  }
+  await fs.writeFile(path.join(dir, "armagh.csv"), ["time,temperature,precipitation", ...days].join("\n"));
+  await fs.writeFile(path.join(dir, "stations.json"), JSON.stringify({ stations: [station, armagh] }));
+  return dir;
+}
+
+/**
+ * Poll until check() returns something truthy (background cache writes), failing after a second.
+ */
+async function waitFor(check) {
+  for (let i = 0; i < 50; i++) {
+    const result = await check();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.fail("Timed out waiting");
+}
+
+const fileExists = (file) => fs.access(file).then(() => true, () => false);
+
+async function getJson(urlPath, init) {
+  const res = await server.get(urlPath, init);
+  return { res, body: await res.json() };
+}
+
+async function expectValidationError(urlPath, code, param) {
+  const { res, body } = await getJson(urlPath);
+  assert.equal(res.status, 400, `${urlPath}: ${JSON.stringify(body)}`);
+  assert.equal(body.code, code, body.error);
+  if (param) assert.equal(body.param, param);
+  return body;
+}
+
+before(async () => {
+  stationDir = await writeStations();
+  server = await startTestServer({ CSV_DATA_DIR: stationDir });
+});
+
+after(async () => {
+  await server.close();
+  await fs.rm(stationDir, { recursive: true, force: true });
+});
+
+describe("chart routes", () => {
+  for (const [name, query] of Object.entries(CHART_QUERIES)) {
+    test(`GET /api/${name} draws the chart`, async () => {
+      const res = await server.get(`/api/${name}?${query}&format=svg`);
+      const body = await res.text();
+      assert.equal(res.status, 200, body);
+      assert.equal(res.headers.get("content-type"), "image/svg+xml");
+      assert.match(res.headers.get("x-cache-key"), /^[0-9a-f]{64}$/);
+      assert.match(body, /^<svg/);
+      assert.match(body, name === "compare-image" ? /Paris/ : /London/);
+    });
+  }
+
+  test("anomaly mode uses the stored baseline", async () => {
+    // Seed the baseline for the London fixture's grid cell, as getBaseline would have persisted it
+    const { generateCacheKey, getCache } = await import("../src/services/cache.js");
+    const baseline = loadFixture("baseline-london.json");
+    const key = generateCacheKey({
+      endpoint: "baseline",
+      lat: baseline.latitude.toFixed(2),
+      lon: baseline.longitude.toFixed(2),
+      timezone: baseline.timezone,
+      from: baseline.from,
+      to: baseline.to,
+    });
+    await (await getCache()).set(key, "json", Buffer.from(JSON.stringify(baseline)), { endpoint: "baseline", ttlSeconds: 3600 });
+
+    const requestCount = server.upstream.requests.length;
+    for (const [chart, column] of [["weather-image", "anomaly"], ["rainfall-image", "normalPrecipitation"]]) {
+      const { res, body } = await getJson(`/api/${chart}?city=London&${RANGE}&mode=anomaly&format=json`);
+      assert.equal(res.status, 200, JSON.stringify(body));
+      assert.equal(body.baseline, "1991-2020");
+      assert.equal(body.rows.length, 14);
+      assert.ok(body.rows.every((row) => row[column] != null), JSON.stringify(body.rows[0]));
+    }
+    // Nothing fetched for 1991–2020
+    assert.ok(
+      server.upstream.requests.slice(requestCount).every((r) => !r.path.endsWith("/archive") || r.params.get("start_date") >= FIXTURE_START)
+    );
+  });
+
+  test("units are passed upstream and labelled", async () => {
+    const { res, body } = await getJson(`/api/weather-image?city=London&${RANGE}&units=imperial&format=json`);
+    assert.equal(res.status, 200);
+    assert.equal(body.units.maxTemp, "°F");
+    const last = server.upstream.requests.filter((r) => r.path.endsWith("/archive")).at(-1);
+    assert.equal(last.params.get("temperature_unit"), "fahrenheit");
+    assert.equal(last.params.get("precipitation_unit"), "inch");
+  });
+
+  test("location_id and coordinates", async () => {
+    const byId = await server.get(`/api/rainfall-image?location_id=2988507&${RANGE}&format=svg`);
+    assert.equal(byId.status, 200);
+    assert.match(await byId.text(), /Paris, Île-de-France, France/);
+
+    const byCoords = await server.get(`/api/wind-image?lat=48.86&lon=2.35&${RANGE}&format=svg`);
+    assert.equal(byCoords.status, 200);
+    // Coordinate requests are titled with the timezone
+    assert.match(await byCoords.text(), /Daily wind — Europe\/Paris/);
+  });
+
+  test("an unknown place is a 404 with the geocoding message", async () => {
+    const { res, body } = await getJson(`/api/weather-image?city=Atlantis&${RANGE}`);
+    assert.equal(res.status, 404);
+    assert.deepEqual(body, { error: 'No location found for "Atlantis"', code: "LOCATION_NOT_FOUND", param: "city" });
+  });
+});
+
+describe("output formats", () => {
+  for (const format of Object.keys(SIGNATURES)) {
+    test(`format=${format}`, async () => {
+      const res = await server.get(`/api/weather-image?city=London&${RANGE}&format=${format}`);
+      const body = Buffer.from(await res.arrayBuffer());
+      assert.equal(res.status, 200, body.toString());
+      assert.ok(SIGNATURES[format](body), `${format}: unexpected bytes ${body.subarray(0, 12).toString("hex")}`);
+    });
+  }
+
+  test("png is the default and jpg an alias of jpeg", async () => {
+    const png = await server.get(`/api/rainfall-image?city=London&${RANGE}`);
+    assert.equal(png.headers.get("content-type"), "image/png");
+    const jpg = await server.get(`/api/rainfall-image?city=London&${RANGE}&format=jpg`);
+    assert.equal(jpg.headers.get("content-type"), "image/jpeg");
+  });
+
+  test("json and csv return the data behind the chart", async () => {
+    const { res, body } = await getJson(`/api/weather-image?city=London&${RANGE}&format=json`);
+    assert.match(res.headers.get("content-type"), /^application\/json/);
+    assert.equal(body.rows.length, 14);
+    assert.equal(body.rows[0].date, FIXTURE_START);
+
+    const csv = await server.get(`/api/wind-rose-image?city=London&${RANGE}&format=csv`);
+    assert.equal(csv.headers.get("content-type"), "text/csv; charset=utf-8");
+    // Location block, blank line, then one row per compass sector
+    const [meta, data] = (await csv.text()).trim().split("\n\n");
+    assert.match(meta, /^name,id,latitude,longitude,elevation,timezone,hours,calmPercent,speedUnit\n"?London/);
+    const lines = data.split("\n");
+    assert.match(lines[0], /^sector,direction \(°\),/);
+    assert.equal(lines.length, 17);
+  });
+
+  test("series picks the weather columns, in drawing order", async () => {
+    const { res, body } = await getJson(`/api/weather-image?city=London&${RANGE}&series=feels-min&series=mean-temp&format=json`);
+    assert.equal(res.status, 200, JSON.stringify(body));
+    assert.deepEqual(Object.keys(body.rows[0]), ["date", "meanTemp", "minApparentTemp", "forecast"]);
+    assert.equal(body.units.minApparentTemp, "°C");
+    assert.ok(body.rows.every((row) => row.minApparentTemp != null));
+  });
+
+  test("short ranges are drawn hourly unless resolution says otherwise", async () => {
+    const range = "start_date=2024-01-01&end_date=2024-01-03";
+    const auto = await getJson(`/api/weather-image?city=London&${range}&format=json`);
+    assert.equal(auto.res.status, 200, JSON.stringify(auto.body));
+    assert.deepEqual(Object.keys(auto.body.rows[0]), ["time", "temperature", "apparentTemperature", "precipitation", "forecast"]);
+    assert.equal(auto.body.rows.length, 72);
+
+    const daily = await getJson(`/api/weather-image?city=London&${range}&resolution=daily&format=json`);
+    assert.equal(daily.body.rows.length, 3);
+    const hourly = await getJson(`/api/weather-image?city=London&${RANGE}&resolution=hourly&format=json`);
+    assert.equal(hourly.body.rows.length, 14 * 24);
+
+    // auto and an explicit hourly are one chart
+    const explicit = await server.get(`/api/weather-image?city=London&${range}&resolution=hourly&format=json`);
+    assert.equal(auto.res.headers.get("x-cache-key"), explicit.headers.get("x-cache-key"));
+  });
+
+  test("calendar json has one row per day with the chosen metric", async () => {
+    const { res, body } = await getJson("/api/calendar-image?city=London&year=2024&metric=rain-hours&format=json");
+    assert.equal(res.status, 200, JSON.stringify(body));
+    assert.deepEqual(Object.keys(body.rows[0]), ["date", "rainHours"]);
+    assert.equal(body.units.rainHours, "h");
+    assert.equal(body.rows.length, 14);
+    assert.ok(body.rows.every((row) => Number.isInteger(row.rainHours) && row.rainHours <= 24));
+  });
+
+  test("each format has its own cache entry", async () => {
+    const keys = new Set();
+    for (const format of ["png", "svg", "webp"]) {
+      const res = await server.get(`/api/wind-image?city=London&${RANGE}&format=${format}`);
+      keys.add(res.headers.get("x-cache-key"));
+    }
+    assert.equal(keys.size, 3);
+  });
+});
+
+describe("render cache", () => {
+  test("a miss renders and stores the chart; the repeat is served from the cache", async () => {
+    const query = `/api/rainfall-image?city=London&start_date=2024-01-03&end_date=2024-01-09&format=svg&theme=light`;
+    const first = await server.get(query);
+    const key = first.headers.get("x-cache-key");
+    const body = await first.text();
+    const file = path.join(server.cacheDir, `${key}.svg`);
+    await waitFor(() => fileExists(file));
+    assert.equal(await fs.readFile(file, "utf8"), body);
+
+    const upstreamRequests = server.upstream.requests.length;
+    const second = await server.get(query);
+    assert.equal(second.headers.get("x-cache-key"), key);
+    assert.equal(await second.text(), body);
+    assert.equal(server.upstream.requests.length, upstreamRequests);
+  });
+
+  test("parameters that do not change the output share a cache key", async () => {
+    const a = await server.get(`/api/weather-image?city=London&${RANGE}&format=svg`);
+    const b = await server.get(`/api/weather-image?format=svg&end_date=${FIXTURE_END}&start_date=${FIXTURE_START}&city=London`);
+    assert.equal(a.headers.get("x-cache-key"), b.headers.get("x-cache-key"));
+
+    // Visual parameters do not apply to data tables
+    const dark = await server.get(`/api/weather-image?city=London&${RANGE}&format=json`);
+    const light = await server.get(`/api/weather-image?city=London&${RANGE}&format=json&theme=light&width=400`);
+    assert.equal(dark.headers.get("x-cache-key"), light.headers.get("x-cache-key"));
+
+    const svgLight = await server.get(`/api/weather-image?city=London&${RANGE}&format=svg&theme=light`);
+    assert.notEqual(a.headers.get("x-cache-key"), svgLight.headers.get("x-cache-key"));
+
+    // The default series, and any order or repeat of the same series, are one chart
+    const series = `series=humidity&series=min-temp&series=max-temp&series=humidity`;
+    const reordered = await server.get(`/api/weather-image?city=London&${RANGE}&format=svg&${series}`);
+    assert.equal(a.headers.get("x-cache-key"), reordered.headers.get("x-cache-key"));
+
+    // Rainfall charts are keyed by the precipitation unit alone
+    const rainMetric = await server.get(`/api/rainfall-year-image?city=London&year=2024&format=json`);
+    const rainImperialMm = await server.get(`/api/rainfall-year-image?city=London&year=2024&format=json&units=imperial&precipitation_unit=mm`);
+    assert.equal(rainMetric.headers.get("x-cache-key"), rainImperialMm.headers.get("x-cache-key"));
+  });
+});
+
+describe("validation errors", () => {
+  test("unknown, missing and duplicate parameters", async () => {
+    await expectValidationError(`/api/weather-image?city=London&colour=red`, "UNKNOWN_PARAMETER", "colour");
+    await expectValidationError(`/api/weather-image?${RANGE}`, "MISSING_PARAMETER", "city");
+    await expectValidationError(`/api/weather-image?lat=51.5&${RANGE}`, "MISSING_PARAMETER");
+    await expectValidationError(`/api/weather-image?city=London&format=png&format=svg`, "DUPLICATE_PARAMETER", "format");
+    await expectValidationError(`/api/locations`, "MISSING_PARAMETER", "q");
+    await expectValidationError(`/api/rainfall-year-image?city=London&temperature_unit=fahrenheit`, "UNKNOWN_PARAMETER", "temperature_unit");
+  });
+
+  test("cache-busters and analytics tags are ignored", async () => {
+    const plain = await server.get(`/api/weather-image?city=London&${RANGE}&format=svg`);
+    const tagged = await server.get(`/api/weather-image?city=London&${RANGE}&format=svg&v=3&_=1729330000&utm_source=newsletter&utm_campaign=oct`);
+    assert.equal(tagged.status, 200);
+    assert.equal(tagged.headers.get("x-cache-key"), plain.headers.get("x-cache-key"));
+    await expectValidationError(`/api/weather-image?city=London&utm=x`, "UNKNOWN_PARAMETER", "utm");
+  });
+
+  test("malformed and out-of-range values", async () => {
+    await expectValidationError(`/api/weather-image?city=London&format=gif`, "INVALID_PARAMETER", "format");
+    await expectValidationError(`/api/weather-image?city=London&width=20`, "INVALID_PARAMETER", "width");
+    await expectValidationError(`/api/weather-image?city=London&units=nautical`, "INVALID_PARAMETER", "units");
+    await expectValidationError(`/api/weather-image?lat=91&lon=0`, "INVALID_PARAMETER", "lat");
+    await expectValidationError(`/api/weather-image?city=London&source=ftp`, "INVALID_PARAMETER", "source");
+    await expectValidationError(`/api/compare-image?coords=51.5&coords=48.8,2.3`, "INVALID_PARAMETER", "coords");
+    await expectValidationError(`/api/calendar-image?city=London&metric=humidity`, "INVALID_PARAMETER", "metric");
+    await expectValidationError(`/api/weather-image?city=London&series=max-temp&series=dew-point`, "INVALID_PARAMETER", "series");
+    await expectValidationError(`/api/weather-image?city=London&resolution=minutely`, "INVALID_PARAMETER", "resolution");
+    await expectValidationError(`/api/weather-year-image?city=London&daylight=sparkly`, "INVALID_PARAMETER", "daylight");
+  });
+
+  test("dates", async () => {
+    await expectValidationError(`/api/weather-image?city=London&start_date=2024-02-30`, "INVALID_DATE", "start_date");
+    await expectValidationError(
+      `/api/weather-image?city=London&start_date=2024-01-10&end_date=2024-01-01`,
+      "END_BEFORE_START",
+      "end_date"
+    );
+    await expectValidationError(
+      `/api/weather-image?city=London&start_date=2022-01-01&end_date=2024-01-01`,
+      "RANGE_TOO_LONG",
+      "end_date"
+    );
+    await expectValidationError(
+      `/api/weather-image?city=London&start_date=1900-01-01&end_date=1900-01-07`,
+      "OUT_OF_ARCHIVE_WINDOW",
+      "start_date"
+    );
+    await expectValidationError(`/api/weather-year-image?city=London&year=1900`, "OUT_OF_ARCHIVE_WINDOW", "year");
+  });
+
+  test("location counts for comparisons", async () => {
+    await expectValidationError(`/api/compare-image?city=London&${RANGE}`, "LOCATION_COUNT");
+    const seven = Array.from({ length: 7 }, (_, i) => `coords=${50 + i},0`).join("&");
+    await expectValidationError(`/api/compare-image?${seven}&${RANGE}`, "LOCATION_COUNT");
+  });
+
+  test("places that do not exist are 404 with a code", async () => {
+    const notFound = async (urlPath, param, error) => {
+      const { res, body } = await getJson(urlPath);
+      assert.equal(res.status, 404, urlPath);
+      assert.deepEqual(body, { error, code: "LOCATION_NOT_FOUND", param });
+    };
+    await notFound(`/api/weather-image?city=Paris&country=Canada&${RANGE}`, "city", 'No location found for "Paris" in Canada');
+    await notFound(`/api/rainfall-image?city=London&admin1=Texas&${RANGE}`, "city", 'No location found for "London" in Texas');
+    await notFound(`/api/wind-image?location_id=999&${RANGE}`, "location_id", "No location found for id 999 (geocoding 400)");
+    await notFound(`/api/compare-image?city=London&city=Atlantis&${RANGE}`, "city", 'No location found for "Atlantis"');
+    await notFound(`/api/stripes-image?city=Atlantis&from=2000`, "city", 'No location found for "Atlantis"');
+  });
+
+  test("nothing is fetched for a rejected request", async () => {
+    const before = server.upstream.requests.length;
+    await expectValidationError(`/api/weather-image?city=Madrid&start_date=nope`, "INVALID_DATE");
+    assert.equal(server.upstream.requests.length, before);
+  });
+});
+
+describe("multi-year history", () => {
+  test("each decade is fetched once and shared between the charts", async () => {
+    const requestCount = server.upstream.requests.length;
+    const { res, body } = await getJson("/api/multi-year-image?city=Paris&from=2021&to=2024&format=json");
+    assert.equal(res.status, 200, JSON.stringify(body));
+    assert.deepEqual(body.units, { date: null, meanTemp: "°C" });
+    // The fixture's days: the rest of the decade has no data
+    assert.equal(body.rows.length, 14);
+    assert.equal(body.rows[0].date, FIXTURE_START);
+
+    const fetched = server.upstream.requests.slice(requestCount).filter((r) => r.path.endsWith("/archive"));
+    assert.deepEqual(
+      fetched.map((r) => [r.params.get("start_date"), r.params.get("end_date"), r.params.get("temperature_unit")]),
+      [["2020-01-01", `${Math.min(2029, LAST_YEAR)}-12-31`, "celsius"]]
+    );
+
+    const stripes = await server.get("/api/stripes-image?city=Paris&from=2020&to=2024&units=imperial&format=svg");
+    assert.equal(stripes.status, 200);
+    assert.equal(server.upstream.requests.slice(requestCount).filter((r) => r.path.endsWith("/archive")).length, 1);
+  });
+
+  test("stripes measure each year against the reference years", async () => {
+    const { res, body } = await getJson("/api/stripes-image?city=Armagh&source=csv&from=2020&to=2023&format=json");
+    assert.equal(res.status, 200, JSON.stringify(body));
+    // 2020–2023 does not cover the default 1971–2000, so the whole range is the reference
+    assert.equal(body.baseline, "2020-2023");
+    assert.equal(body.baselineMeanTemp, 10.75);
+    assert.deepEqual(
+      body.rows.map((r) => [r.year, r.days, r.anomaly]),
+      [[2020, 366, -0.75], [2021, 365, -0.25], [2022, 365, 0.25], [2023, 365, 0.75]]
+    );
+
+    const svg = await (await server.get("/api/stripes-image?city=Armagh&source=csv&from=2020&to=2023&format=svg")).text();
+    assert.match(svg, /<title>2023: 11\.5°C \(\+0\.75°C\)<\/title>/);
+    assert.match(svg, /Warming stripes — Armagh, Northern Ireland, United Kingdom/);
+  });
+
+  test("a year without enough days is left out of the means", async () => {
+    const { body } = await getJson("/api/stripes-image?city=Armagh&source=csv&from=2019&to=2021&format=json");
+    assert.deepEqual(body.rows.map((r) => [r.year, r.days, r.meanTemp]), [[2019, 0, null], [2020, 366, 10], [2021, 365, 10.5]]);
+    assert.equal(body.baselineMeanTemp, 10.25);
+  });
+
+  test("year range and reference validation", async () => {
+    await expectValidationError("/api/stripes-image?city=London&from=2010&to=2000", "END_BEFORE_START", "to");
+    await expectValidationError(`/api/multi-year-image?city=London&to=${LAST_YEAR + 1}`, "OUT_OF_ARCHIVE_WINDOW", "to");
+    await expectValidationError("/api/stripes-image?city=London&from=1939", "OUT_OF_ARCHIVE_WINDOW", "from");
+    const outside = await expectValidationError("/api/stripes-image?city=London&from=1980&baseline=1961-1990", "INVALID_PARAMETER", "baseline");
+    assert.match(outside.error, /must be within from–to \(1980-/);
+    await expectValidationError("/api/stripes-image?city=London&from=2015&to=2020&baseline=2015-2020", "INVALID_PARAMETER", "baseline");
+  });
+});
+
+describe("CSV source", () => {
+  test("charts a station's data", async () => {
+    const res = await server.get(`/api/weather-image?city=Heathrow&source=csv&${RANGE}&format=svg`);
+    const body = await res.text();
+    assert.equal(res.status, 200, body);
+    assert.match(body, /Heathrow, England, United Kingdom/);
+  });
+
+  test("has its own cache key and converts units", async () => {
+    const metric = await getJson(`/api/weather-image?city=Heathrow&source=csv&${RANGE}&format=json`);
+    const imperial = await getJson(`/api/weather-image?city=Heathrow&source=csv&${RANGE}&format=json&units=imperial`);
+    const openMeteo = await server.get(`/api/weather-image?city=London&${RANGE}&format=json`);
+    assert.notEqual(metric.res.headers.get("x-cache-key"), openMeteo.headers.get("x-cache-key"));
+
+    const c = metric.body.rows[0].maxTemp;
+    const f = imperial.body.rows[0].maxTemp;
+    assert.ok(Math.abs(f - (c * 1.8 + 32)) < 0.2, `${c} °C vs ${f} °F`);
+  });
+
+  test("errors for places without a station and days without data", async () => {
+    const noStation = await getJson(`/api/weather-image?lat=40&lon=-3&source=csv&${RANGE}`);
+    assert.equal(noStation.res.status, 404);
+    assert.equal(noStation.body.code, "LOCATION_NOT_FOUND");
+    assert.match(noStation.body.error, /No station within 25 km/);
+
+    const unknown = await getJson(`/api/weather-year-image?city=Atlantis&source=csv&year=2024`);
+    assert.equal(unknown.res.status, 404);
+    assert.deepEqual(unknown.body, { error: 'No station found for "Atlantis"', code: "LOCATION_NOT_FOUND", param: "city" });
+
+    const noData = await getJson(`/api/weather-image?city=Heathrow&source=csv&start_date=2023-06-01&end_date=2023-06-07`);
+    assert.equal(noData.res.status, 404);
+    assert.equal(noData.body.code, "NO_DATA");
+    assert.match(noData.body.error, /covers 2024-01-01 to 2024-01-14/);
+  });
+
+  test("a station without an id in stations.json is an error", async () => {
+    const manifest = path.join(stationDir, "stations.json");
+    const original = await fs.readFile(manifest, "utf8");
+    const { stations } = JSON.parse(original);
+    // Each write gets a later modification time, so the manifest is re-read
+    let mtime = Date.now() / 1000 + 10;
+    const writeManifest = async (text) => {
+      await fs.writeFile(manifest, text);
+      await fs.utimes(manifest, mtime, mtime++);
+    };
+    try {
+      for (const [id, day] of [[null, "02"], ["", "03"], ["  ", "04"]]) {
+        await writeManifest(JSON.stringify({ stations: [{ ...stations[0], id }, stations[1]] }));
+        const { res, body } = await getJson(`/api/weather-image?city=Heathrow&source=csv&start_date=2024-01-${day}&end_date=2024-01-${day}&format=json`);
+        assert.equal(res.status, 500, JSON.stringify(id));
+        assert.match(body.error, /station "Heathrow" needs an integer id/);
+      }
+    } finally {
+      await writeManifest(original);
+    }
+    const { res } = await getJson(`/api/weather-image?city=Heathrow&source=csv&start_date=2024-01-05&end_date=2024-01-05&format=json`);
+    assert.equal(res.status, 200);
+  });
+
+  test("location search lists stations", async () => {
+    const { body } = await getJson(`/api/locations?q=heath&source=csv`);
+    assert.deepEqual(body.results.map((r) => r.id), [3772]);
+  });
+});
+
+describe("discovery", () => {
+  test("/api/charts lists every chart route", async () => {
+    const { res, body } = await getJson("/api/charts");
+    assert.equal(res.status, 200);
+    assert.deepEqual(body.charts.map((c) => c.name).sort(), Object.keys(CHART_QUERIES).sort());
+    for (const chart of body.charts) {
+      assert.ok(chart.params.some((p) => p.name === "format"), chart.name);
+    }
+  });
+
+  test("/api/openapi.json describes every route", async () => {
+    const { res, body } = await getJson("/api/openapi.json");
+    assert.equal(res.status, 200);
+    assert.match(body.openapi, /^3\./);
+    for (const name of Object.keys(CHART_QUERIES)) {
+      assert.ok(body.paths[`/api/${name}`]?.get, name);
+    }
+    for (const route of ["/api/charts", "/api/locations", "/api/admin/cache", "/api/admin/usage", "/health"]) {
+      assert.ok(body.paths[route], route);
+    }
+    assert.ok(body.paths["/api/weather-image"].get.responses[404]);
+    assert.ok(body.components.schemas.Error.properties.code.enum.includes("LOCATION_NOT_FOUND"));
+  });
+
+  test("/health", async () => {
+    const { res, body } = await getJson("/health");
+    assert.equal(res.status, 200);
+    assert.deepEqual(body, { ok: true });
+  });
+});
+
+describe("/api/locations", () => {
+  test("exact matches first, filtered by country", async () => {
+    const all = await getJson("/api/locations?q=London");
+    assert.equal(all.res.status, 200);
+    assert.deepEqual(all.body.results.map((r) => r.countryCode), ["GB", "CA"]);
+    assert.equal(all.body.results[0].fullName, "London, England, United Kingdom");
+
+    const canada = await getJson("/api/locations?q=London&country=Canada");
+    assert.deepEqual(canada.body.results.map((r) => r.id), [6058560]);
+
+    const one = await getJson("/api/locations?q=London&count=1");
+    assert.equal(one.body.results.length, 1);
+  });
+
+  test("no results", async () => {
+    const { res, body } = await getJson("/api/locations?q=Atlantis");
+    assert.equal(res.status, 200);
+    assert.deepEqual(body.results, []);
+  });
+});
+
+describe("admin routes", () => {
+  const auth = { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } };
+
+  test("require the admin token", async () => {
+    assert.equal((await server.get("/api/admin/usage")).status, 401);
+    assert.equal((await server.get("/api/admin/usage", { headers: { Authorization: "Bearer wrong" } })).status, 401);
+    assert.equal((await server.get("/api/admin/cache?all=true", { method: "DELETE" })).status, 401);
+  });
+
+  test("usage counts requests per client", async () => {
+    const { res, body } = await getJson("/api/admin/usage", auth);
+    assert.equal(res.status, 200);
+    assert.equal(body.limits.ipPointsPerMinute, null);
+    const [client] = body.clients;
+    assert.equal(client.type, "ip");
+    assert.ok(client.requests > 0);
+  });
+
+  test("purging by key removes the stored chart", async () => {
+    const res = await server.get(`/api/wind-rose-image?city=London&${RANGE}&format=svg&theme=print`);
+    const key = res.headers.get("x-cache-key");
+    const file = path.join(server.cacheDir, `${key}.svg`);
+    await waitFor(() => fileExists(file));
+
+    const purge = await getJson(`/api/admin/cache?key=${key}`, { ...auth, method: "DELETE" });
+    assert.equal(purge.res.status, 200);
+    assert.deepEqual(purge.body.purged, { memory: 1, storage: 1 });
+    assert.equal(await fileExists(file), false);
+  });
+
+  test("purging by endpoint and location", async () => {
+    await server.get(`/api/rainfall-year-image?city=London&year=2024&format=svg`);
+    await waitFor(async () => (await fs.readdir(server.cacheDir)).length > 0);
+
+    const byCity = await getJson(`/api/admin/cache?city=London&endpoint=rainfall-year-image`, { ...auth, method: "DELETE" });
+    assert.equal(byCity.res.status, 200);
+    assert.ok(byCity.body.purged.storage >= 1, JSON.stringify(byCity.body));
+
+    const none = await getJson(`/api/admin/cache`, { ...auth, method: "DELETE" });
+    assert.equal(none.res.status, 400);
+  });
+
+  test("purging a city keeps places of the same name elsewhere; a location_id finds entries requested by name", async () => {
+    const res = await server.get(`/api/rainfall-image?city=Paris&${RANGE}&format=svg`);
+    const file = path.join(server.cacheDir, `${res.headers.get("x-cache-key")}.svg`);
+    await waitFor(() => fileExists(file));
+
+    const texas = await getJson(`/api/admin/cache?city=Paris&country=US&endpoint=rainfall-image`, { ...auth, method: "DELETE" });
+    assert.deepEqual(texas.body.purged, { memory: 0, storage: 0 });
+    assert.equal(await fileExists(file), true);
+
+    const byId = await getJson(`/api/admin/cache?location_id=2988507&endpoint=rainfall-image`, { ...auth, method: "DELETE" });
+    assert.ok(byId.body.purged.storage >= 1, JSON.stringify(byId.body));
+    assert.equal(await fileExists(file), false);
+  });
+
+  test("purging a city also removes entries requested with a country or admin1", async () => {
+    const res = await server.get(`/api/rainfall-image?city=Paris&country=FR&${RANGE}&format=svg&theme=print`);
+    const file = path.join(server.cacheDir, `${res.headers.get("x-cache-key")}.svg`);
+    await waitFor(() => fileExists(file));
+
+    const france = await getJson(`/api/admin/cache?city=Paris&country=FR&admin1=Texas`, { ...auth, method: "DELETE" });
+    assert.deepEqual(france.body.purged, { memory: 0, storage: 0 });
+
+    const byCity = await getJson(`/api/admin/cache?city=Paris`, { ...auth, method: "DELETE" });
+    assert.ok(byCity.body.purged.storage >= 1, JSON.stringify(byCity.body));
+    assert.equal(await fileExists(file), false);
+  });
+});
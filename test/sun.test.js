@@ -0,0 +1,48 @@
+/**
+ * Sunrise and sunset from the sunrise equation, against published times (to within a few minutes).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CIVIL_TWILIGHT_ALTITUDE, getLocalSunTimes, toLocalTime } from "../src/services/sun.js";
+
+const minutes = (localTime) => Number(localTime.slice(11, 13)) * 60 + Number(localTime.slice(14, 16));
+
+function assertNear(actual, expected) {
+  assert.ok(Math.abs(minutes(actual) - minutes(expected)) <= 3, `${actual} is not within 3 minutes of ${expected}`);
+}
+
+test("local sunrise and sunset, with daylight saving time", () => {
+  const [summer, winter] = getLocalSunTimes(["2024-06-21", "2024-12-21"], { latitude: 51.5, longitude: -0.12, timezone: "Europe/London" });
+  assertNear(summer.sunrise, "2024-06-21T04:43");
+  assertNear(summer.sunset, "2024-06-21T21:21");
+  assertNear(winter.sunrise, "2024-12-21T08:04");
+  assertNear(winter.sunset, "2024-12-21T15:53");
+
+  const [sydney] = getLocalSunTimes(["2024-06-21"], { latitude: -33.87, longitude: 151.21, timezone: "Australia/Sydney" });
+  assertNear(sydney.sunrise, "2024-06-21T07:00");
+  assertNear(sydney.sunset, "2024-06-21T16:54");
+});
+
+test("civil dawn and dusk", () => {
+  const [summer] = getLocalSunTimes(["2024-06-21"], { latitude: 51.5, longitude: -0.12, timezone: "Europe/London" }, CIVIL_TWILIGHT_ALTITUDE);
+  assertNear(summer.sunrise, "2024-06-21T03:58");
+  assertNear(summer.sunset, "2024-06-21T22:06");
+
+  // North of about 60.5° the sun stays within 6° of the horizon all midsummer night
+  const [oslo] = getLocalSunTimes(["2024-06-21"], { latitude: 59.91, longitude: 10.75, timezone: "Europe/Oslo" }, CIVIL_TWILIGHT_ALTITUDE);
+  assert.equal(oslo.polar, null);
+  const [bergenNorth] = getLocalSunTimes(["2024-06-21"], { latitude: 62.5, longitude: 6.15, timezone: "Europe/Oslo" }, CIVIL_TWILIGHT_ALTITUDE);
+  assert.equal(bergenNorth.polar, "day");
+});
+
+test("polar day and night", () => {
+  const svalbard = { latitude: 78.22, longitude: 15.65, timezone: "Arctic/Longyearbyen" };
+  const [midsummer, midwinter] = getLocalSunTimes(["2024-06-21", "2024-12-21"], svalbard);
+  assert.deepEqual(midsummer, { date: "2024-06-21", sunrise: null, sunset: null, polar: "day" });
+  assert.equal(midwinter.polar, "night");
+});
+
+test("an unknown timezone reads as UTC", () => {
+  assert.equal(toLocalTime(Date.UTC(2024, 0, 1, 12, 30), "Nowhere/Special"), "2024-01-01T12:30");
+});
@@ -0,0 +1,156 @@
+/**
+ * Routes while Open-Meteo is failing: 503 with Retry-After when it is unavailable, expired cache entries (charts and
+ * the multi-year history behind them) served instead while they are within the stale grace period, and 404 when it
+ * rejects an unknown location id. Coordinate requests are used so geocoding does not take the injected failures.
+ */
+
+import { after, afterEach, before, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { startTestServer } from "./helpers/server.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer({
+    UPSTREAM_RETRIES: "1",
+    UPSTREAM_TIMEOUT_MS: "200",
+    UPSTREAM_BREAKER_THRESHOLD: "0",
+    // The raw-data cache keeps only the latest place's hours, so a chart for an earlier place goes upstream again
+    DATA_CACHE_MAX_HOURS: "1",
+  });
+});
+
+after(() => server.close());
+
+afterEach(() => server.upstream.recover());
+
+async function getJson(urlPath) {
+  const res = await server.get(urlPath);
+  return { res, body: await res.json() };
+}
+
+test("a transient failure is retried", async () => {
+  server.upstream.fail({ status: 500 }, 1);
+  const res = await server.get("/api/weather-image?lat=51.5&lon=-0.12&start_date=2024-01-01&end_date=2024-01-02&format=svg");
+  assert.equal(res.status, 200);
+  assert.equal(server.upstream.count("/archive"), 2);
+});
+
+test("503 with the upstream's Retry-After while it is unavailable", async () => {
+  server.upstream.fail({ status: 503, retryAfter: 120 });
+  const { res, body } = await getJson("/api/rainfall-image?lat=51.5&lon=-0.12&start_date=2024-01-03&end_date=2024-01-04");
+  assert.equal(res.status, 503);
+  assert.equal(res.headers.get("retry-after"), "120");
+  assert.match(body.error, /^Historical weather API error 503/);
+});
+
+test("a 429 is retried after the upstream's Retry-After, unless that is longer than the longest backoff", async () => {
+  const before = server.upstream.count("/archive");
+  server.upstream.fail({ status: 429, retryAfter: 0 }, 1);
+  const retried = await server.get("/api/rainfall-image?lat=51.5&lon=-0.12&start_date=2024-01-11&end_date=2024-01-12&format=svg");
+  assert.equal(retried.status, 200);
+  assert.equal(server.upstream.count("/archive"), before + 2);
+
+  server.upstream.fail({ status: 429, retryAfter: 60 });
+  const { res, body } = await getJson("/api/rainfall-image?lat=51.5&lon=-0.12&start_date=2024-01-13&end_date=2024-01-14");
+  assert.equal(res.status, 503);
+  assert.equal(res.headers.get("retry-after"), "60");
+  assert.match(body.error, /^Historical weather API error 429/);
+  assert.equal(server.upstream.count("/archive"), before + 3);
+});
+
+test("503 when upstream times out or drops the connection", async () => {
+  server.upstream.fail({ delayMs: 1000 });
+  const slow = await getJson("/api/wind-image?lat=51.5&lon=-0.12&start_date=2024-01-05&end_date=2024-01-06");
+  assert.equal(slow.res.status, 503);
+  assert.equal(slow.body.error, "Historical weather API: no response within 200 ms");
+
+  server.upstream.fail({ reset: true });
+  const dropped = await getJson("/api/wind-image?lat=51.5&lon=-0.12&start_date=2024-01-05&end_date=2024-01-06");
+  assert.equal(dropped.res.status, 503);
+});
+
+test("an expired entry is served, flagged stale, while upstream is unavailable", async () => {
+  const query = "/api/weather-image?lat=48.86&lon=2.35&start_date=2024-01-07&end_date=2024-01-08&format=svg";
+  server.upstream.fail({ status: 500 });
+  const failed = await server.get(query);
+  assert.equal(failed.status, 503);
+
+  // An entry for this chart that expired a second ago (within the grace period)
+  const { getCache } = await import("../src/services/cache.js");
+  const cache = await getCache();
+  const stale = "<svg>rendered earlier</svg>";
+  await cache.set(failed.headers.get("x-cache-key"), "svg", Buffer.from(stale), { ttlSeconds: -1 });
+
+  const res = await server.get(query);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-cache-stale"), "true");
+  assert.equal(await res.text(), stale);
+
+  // Once upstream answers again the chart is rendered afresh
+  server.upstream.recover();
+  const fresh = await server.get(query);
+  assert.equal(fresh.status, 200);
+  assert.equal(fresh.headers.get("x-cache-stale"), null);
+  assert.notEqual(await fresh.text(), stale);
+});
+
+test("an entry expired longer ago than the grace period is not served", async () => {
+  const query = "/api/weather-image?lat=48.86&lon=2.35&start_date=2024-01-09&end_date=2024-01-10&format=svg";
+  server.upstream.fail({ status: 500 });
+  const failed = await server.get(query);
+
+  const { getCache } = await import("../src/services/cache.js");
+  const cache = await getCache();
+  await cache.set(failed.headers.get("x-cache-key"), "svg", Buffer.from("<svg>too old</svg>"), { ttlSeconds: -8 * 24 * 60 * 60 });
+
+  const res = await server.get(query);
+  assert.equal(res.status, 503);
+  assert.equal(res.headers.get("x-cache-stale"), null);
+});
+
+test("expired multi-year history is used while upstream is unavailable", async () => {
+  const query = "/api/multi-year-image?lat=40.42&lon=-3.7&from=2024&to=2024&format=json";
+  const first = await server.get(query);
+  assert.equal(first.status, 200);
+  const rows = (await first.json()).rows;
+
+  // Expire the stored decades, drop the chart made from them, and push their hours out of the raw-data cache
+  const { getCache } = await import("../src/services/cache.js");
+  const cache = await getCache();
+  let expired = 0;
+  for (const file of await fs.readdir(server.cacheDir)) {
+    if (!file.endsWith(".meta.json")) continue;
+    const meta = JSON.parse(await fs.readFile(path.join(server.cacheDir, file), "utf8"));
+    if (meta.endpoint !== "history") continue;
+    const data = await fs.readFile(path.join(server.cacheDir, file.slice(0, -".meta.json".length)));
+    await cache.set(meta.key, "json", data, { endpoint: "history", ttlSeconds: -1 });
+    expired++;
+  }
+  assert.ok(expired > 0);
+  await cache.purge({ key: first.headers.get("x-cache-key") });
+  await server.get("/api/rainfall-image?lat=51.5&lon=-0.12&start_date=2024-01-09&end_date=2024-01-10&format=json");
+
+  server.upstream.fail({ status: 500 });
+  const before = server.upstream.count("/archive");
+  const res = await server.get(query);
+  assert.equal(res.status, 200);
+  assert.ok(server.upstream.count("/archive") > before, "the archive was asked first");
+  assert.deepEqual((await res.json()).rows, rows);
+});
+
+test("location search is 503 while geocoding is unavailable", async () => {
+  server.upstream.fail({ status: 502 });
+  const { res } = await getJson("/api/locations?q=Paris");
+  assert.equal(res.status, 503);
+});
+
+test("an unknown location_id is rejected upstream: 404, not retried", async () => {
+  const before = server.upstream.count("/get");
+  const { res, body } = await getJson("/api/weather-image?location_id=999&start_date=2024-01-01&end_date=2024-01-02");
+  assert.equal(res.status, 404);
+  assert.deepEqual(body, { error: "No location found for id 999 (geocoding 400)", code: "LOCATION_NOT_FOUND", param: "location_id" });
+  assert.equal(server.upstream.count("/get"), before + 1);
+});